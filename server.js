@@ -1,17 +1,45 @@
 import express from 'express';
 import dotenv from 'dotenv';
-import { connectToDatabase } from './src/database/database-connection.js';
+import { connectToDatabase, onConnectionChange } from './src/database/database-connection.js';
 import { SchedulerManager } from './src/scheduler/scheduler-manager.js';
 // ✅ FIXED: Import the class 'JobService', not the default object
 import { JobService } from './src/database/job-service.js';
 import { JobRepository } from './src/database/job-repository.js';
+import { JobRunService } from './src/database/job-run-service.js';
+import { JobRunRepository } from './src/database/job-run-repository.js';
+import { JobLeaseRepository } from './src/database/job-lease-repository.js';
+import { ApiKeyService, MIN_SUPPLIED_KEY_LENGTH } from './src/database/api-key-service.js';
+import { ApiKeyRepository } from './src/database/api-key-repository.js';
+import { AlertService } from './src/database/alert-service.js';
+import { AlertRepository } from './src/database/alert-repository.js';
+import config from './src/config/config.js';
+import { closeTransporter } from './src/scheduler/email-sender.js';
+import { jobTypeRegistry } from './src/scheduler/job-type-registry.js';
+import { loadPlugins } from './src/scheduler/plugin-loader.js';
+import { AlertManager, parseTypeAlertRules } from './src/scheduler/alert-manager.js';
+import { parseAlertChannels, createAlertChannels } from './src/scheduler/alert-channels.js';
 import jobRoutes from './src/api/routes/jobRoutes.js';
+import runRoutes from './src/api/routes/runRoutes.js';
+import jobTypeRoutes from './src/api/routes/jobTypeRoutes.js';
+import cronRoutes from './src/api/routes/cronRoutes.js';
+import apiKeyRoutes from './src/api/routes/apiKeyRoutes.js';
+import adminRoutes from './src/api/routes/adminRoutes.js';
+import eventRoutes from './src/api/routes/eventRoutes.js';
+import { NamespaceQuotas } from './src/core/namespaces.js';
+import { createRateLimitStore } from './src/core/rate-limit-store.js';
+import { registry as metricsRegistry } from './src/core/metrics.js';
+import { getLiveness, getReadiness } from './src/core/health.js';
+import { eventBus } from './src/core/event-bus.js';
 import {
   corsMiddleware,
   requestSizeLimiter,
   errorHandler,
   notFoundHandler,
-  requestLogger
+  requestLogger,
+  authenticate,
+  ipRateLimit,
+  requireScope,
+  rateLimit
 } from './src/core/middleware.js';
 import { logger } from './src/core/logger.js';
 
@@ -27,25 +55,79 @@ app.use(requestLogger);
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
-
 // Variables for services
 let schedulerService = null;
 let jobService = null;
 let jobRepository = null;
+let runService = null;
+let apiKeyService = null;
+let namespaceQuotas = null;
+let rateLimitStore = null;
+let alertManager = null;
+
+// Health checks need no API key and do not depend on the services being set up
+app.get('/health/live', (req, res) => {
+  res.json(getLiveness());
+});
+
+app.get('/health/ready', (req, res) => {
+  const readiness = getReadiness(schedulerService, { discoveryMaxAgeMs: config.HEALTH_DISCOVERY_MAX_AGE_MS });
+  res.status(readiness.status === 'ready' ? 200 : 503).json(readiness);
+});
 
 // Main startup function
 async function startServer() {
   try {
+    // A short bootstrap admin key could be guessed; refuse it before touching anything
+    if (config.ADMIN_API_KEY && config.ADMIN_API_KEY.length < MIN_SUPPLIED_KEY_LENGTH) {
+      throw new Error(`ADMIN_API_KEY must be at least ${MIN_SUPPLIED_KEY_LENGTH} characters long; generate one with "openssl rand -hex 32".`);
+    }
+
     // 1️⃣ Connect to MongoDB
     await connectToDatabase();
     logger.info('Database connected successfully');
 
+    // Register job types from plugins before any job is validated or scheduled
+    await loadPlugins(config.PLUGINS_DIR, jobTypeRegistry);
+
     // 2️⃣ Initialize core services
     // ✅ FIXED: Implement Dependency Injection
     jobRepository = new JobRepository();
     jobService = new JobService(jobRepository); // Inject repository into service
+    runService = new JobRunService(new JobRunRepository(), { staleAfterMs: config.RUN_STALE_AFTER_MS });
+    apiKeyService = new ApiKeyService(new ApiKeyRepository());
+    await jobService.backfillNamespace();
+    await runService.backfillNamespace();
+    // Refuses to start while jobs share a name in a namespace, as the unique index needs
+    await jobService.ensureIndexes();
+    rateLimitStore = createRateLimitStore(config.RATE_LIMIT_STORE, { redisUrl: config.REDIS_URL });
+    namespaceQuotas = new NamespaceQuotas({
+      maxJobs: config.NAMESPACE_MAX_JOBS,
+      minIntervalMs: config.NAMESPACE_MIN_INTERVAL_MS,
+      overrides: config.NAMESPACE_QUOTAS
+    });
+
+    // Store the bootstrap admin key so it can be used to create the real keys
+    if (config.ADMIN_API_KEY) {
+      await apiKeyService.ensureKey(config.ADMIN_API_KEY, { name: 'bootstrap-admin', scopes: ['admin'] });
+    } else if (!(await apiKeyService.hasActiveKeys())) {
+      logger.warn('No API keys exist and ADMIN_API_KEY is not set; every /api request will be rejected');
+    }
     
-    schedulerService = new SchedulerManager(jobService); // Inject service into manager
+    schedulerService = new SchedulerManager(jobService, { // Inject services into manager
+      runService,
+      leaseRepository: new JobLeaseRepository(),
+      leaseTtlMs: config.LEASE_TTL_MS,
+      registry: jobTypeRegistry,
+      misfireThresholdMs: config.MISFIRE_THRESHOLD_MS,
+      maxConcurrentRuns: config.MAX_CONCURRENT_RUNS,
+      maxQueuedRuns: config.MAX_QUEUED_RUNS,
+      typeConcurrencyLimits: config.TYPE_CONCURRENCY_LIMITS,
+      discoveryMode: config.JOB_DISCOVERY_MODE,
+      reconcileIntervalMs: config.JOB_RECONCILE_INTERVAL_MS,
+      runSweepIntervalMs: config.RUN_SWEEP_INTERVAL_MS,
+      eventBus
+    });
 
     // 3️⃣ Middleware to inject services into request
     // This MUST come after services are initialized
@@ -53,6 +135,11 @@ async function startServer() {
       res.locals.jobService = jobService;
       res.locals.jobRepository = jobRepository;
       res.locals.schedulerService = schedulerService;
+      res.locals.runService = runService;
+      res.locals.jobTypeRegistry = jobTypeRegistry;
+      res.locals.apiKeyService = apiKeyService;
+      res.locals.namespaceQuotas = namespaceQuotas;
+      res.locals.eventBus = eventBus;
       next();
     });
 
@@ -60,13 +147,52 @@ async function startServer() {
     await schedulerService.start();
     logger.info('Job scheduler started successfully');
 
+    // Alerting follows the runs this instance executes; bad channel or rule config stops startup
+    const alertChannels = parseAlertChannels(config.ALERT_CHANNELS);
+    alertManager = new AlertManager(jobService, runService, new AlertService(new AlertRepository()), {
+      channels: createAlertChannels(alertChannels),
+      typeRules: parseTypeAlertRules(config.ALERT_TYPE_RULES, Object.keys(alertChannels)),
+      checkIntervalMs: config.ALERT_CHECK_INTERVAL_MS,
+      eventBus
+    });
+    alertManager.start();
+
+    // Pause during database outages and resync once the connection is back
+    onConnectionChange(connected => {
+      if (connected) {
+        schedulerService.handleDatabaseReconnect();
+      } else {
+        schedulerService.handleDatabaseDisconnect();
+      }
+    });
+
     // 5️⃣ Mount routes AFTER everything is ready
+    // Every /api route needs an API key; each route checks its own scope. The per-address
+    // limit comes first so failed key attempts are throttled too.
+    app.use('/api', ipRateLimit({
+      store: rateLimitStore,
+      windowMs: config.RATE_LIMIT_WINDOW_MS,
+      limit: config.RATE_LIMIT_IP
+    }));
+    app.use('/api', authenticate);
+    app.use('/api', rateLimit({
+      store: rateLimitStore,
+      windowMs: config.RATE_LIMIT_WINDOW_MS,
+      limits: { read: config.RATE_LIMIT_READ, write: config.RATE_LIMIT_WRITE, trigger: config.RATE_LIMIT_TRIGGER }
+    }));
     app.use('/api/jobs', jobRoutes);
+    app.use('/api/runs', runRoutes);
+    app.use('/api/job-types', jobTypeRoutes);
+    app.use('/api/cron', cronRoutes);
+    app.use('/api/admin/api-keys', apiKeyRoutes);
+    app.use('/api/admin', adminRoutes);
+    app.use('/api/events', eventRoutes);
 
     // 6️⃣ Scheduler status endpoint
-    app.get('/api/scheduler/status', (req, res) => {
+    app.get('/api/scheduler/status', requireScope('jobs:read'), async (req, res) => {
       try {
-        const status = schedulerService.getStatus();
+        // Callers only see their own namespace; /api/admin/scheduler/status shows everything
+        const status = await schedulerService.getStatus({ namespace: res.locals.namespace });
         res.json({
           success: true,
           data: status,
@@ -79,6 +205,16 @@ async function startServer() {
       }
     });
 
+    // Prometheus scrape endpoint; outside /api so scrapers need no API key
+    app.get('/metrics', async (req, res) => {
+      try {
+        res.set('Content-Type', metricsRegistry.contentType);
+        res.send(await metricsRegistry.metrics());
+      } catch (error) {
+        res.status(500).send(error.message);
+      }
+    });
+
     // 7️⃣ Error handling middleware (must be last)
     app.use(notFoundHandler);
     app.use(errorHandler);
@@ -88,7 +224,9 @@ async function startServer() {
     app.listen(PORT, '0.0.0.0', () => {
       logger.info(`Server listening on port ${PORT}`, {
         api: `http://localhost:${PORT}/api/jobs`,
-        schedulerStatus: `http://localhost:${PORT}/api/scheduler/status`
+        schedulerStatus: `http://localhost:${PORT}/api/scheduler/status`,
+        metrics: `http://localhost:${PORT}/metrics`,
+        readiness: `http://localhost:${PORT}/health/ready`
       });
     });
 
@@ -102,7 +240,10 @@ async function startServer() {
 async function gracefulShutdown() {
   logger.info('Shutdown signal received, shutting down gracefully');
   try {
+    if (alertManager) alertManager.stop();
     if (schedulerService) await schedulerService.shutdown();
+    closeTransporter();
+    if (rateLimitStore) await rateLimitStore.close();
     logger.info('Graceful shutdown completed');
     process.exit(0);
   } catch (error) {
@@ -0,0 +1,46 @@
+/**
+ * Admin controller for /api/admin - views across all namespaces
+ */
+import * as loggerModule from '../../core/logger.js';
+
+const logger = loggerModule?.default ?? loggerModule?.logger ?? console;
+
+function handleError(res, err, message = 'Internal server error', code = 500) {
+  try {
+    logger.error(message, { error: err && err.stack ? err.stack : err });
+  } catch (_) { /* ignore logger failures */ }
+  if (!res.headersSent) res.status(code).json({ error: message });
+}
+
+// Every namespace with jobs or its own quota, with job counts and quota usage
+async function listNamespaces(req, res) {
+  try {
+    const jobService = res.locals.jobService;
+    const quotas = res.locals.namespaceQuotas;
+
+    const summaries = new Map((await jobService.summarizeNamespaces()).map(entry => [entry.namespace, entry]));
+    for (const namespace of quotas ? quotas.getOverriddenNamespaces() : []) {
+      if (!summaries.has(namespace)) summaries.set(namespace, { namespace, total: 0, byStatus: {} });
+    }
+
+    const data = Array.from(summaries.values())
+      .sort((a, b) => a.namespace.localeCompare(b.namespace))
+      .map(entry => ({ ...entry, quota: quotas ? quotas.get(entry.namespace) : null }));
+    return res.json({ data });
+  } catch (err) {
+    return handleError(res, err, 'Failed to list namespaces');
+  }
+}
+
+// Scheduler status for this instance across all namespaces
+async function getSchedulerStatus(req, res) {
+  try {
+    const status = await res.locals.schedulerService.getStatus();
+    return res.json({ data: status });
+  } catch (err) {
+    return handleError(res, err, 'Failed to get scheduler status');
+  }
+}
+
+const exported = { listNamespaces, getSchedulerStatus };
+export default exported;
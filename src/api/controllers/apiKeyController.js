@@ -0,0 +1,80 @@
+/**
+ * API key controller for /api/admin/api-keys
+ */
+import * as loggerModule from '../../core/logger.js';
+import { DEFAULT_NAMESPACE, isValidNamespace } from '../../core/namespaces.js';
+
+const logger = loggerModule?.default ?? loggerModule?.logger ?? console;
+
+function handleError(res, err, message = 'Internal server error', code = 500) {
+  try {
+    logger.error(message, { error: err && err.stack ? err.stack : err });
+  } catch (_) { /* ignore logger failures */ }
+  if (!res.headersSent) res.status(code).json({ error: message });
+}
+
+function isNotFound(err) {
+  return err?.message === 'API key not found' || err?.name === 'CastError';
+}
+
+async function listApiKeys(req, res) {
+  try {
+    const apiKeyService = res.locals.apiKeyService;
+    const keys = await apiKeyService.list({ includeRevoked: req.query.includeRevoked === 'true' });
+    return res.json({ data: keys });
+  } catch (err) {
+    return handleError(res, err, 'Failed to list API keys');
+  }
+}
+
+async function createApiKey(req, res) {
+  try {
+    const apiKeyService = res.locals.apiKeyService;
+    const { name, scopes, namespace = DEFAULT_NAMESPACE } = req.body || {};
+
+    if (!name || typeof name !== 'string' || name.trim() === '') {
+      return res.status(400).json({ error: 'API key name is required and must be a non-empty string.' });
+    }
+    if (!isValidNamespace(namespace)) {
+      return res.status(400).json({ error: `Invalid namespace: "${namespace}". Use lower-case letters, digits, "-" and "_".` });
+    }
+    try {
+      apiKeyService.validateScopes(scopes);
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+
+    const { key, apiKey } = await apiKeyService.create({ name: name.trim(), scopes, namespace });
+
+    // The full key is only ever returned here
+    return res.status(201).json({ data: { ...apiKey.toJSON(), key } });
+  } catch (err) {
+    return handleError(res, err, 'Failed to create API key');
+  }
+}
+
+async function revokeApiKey(req, res) {
+  try {
+    const apiKeyService = res.locals.apiKeyService;
+    const id = req.params.id;
+
+    if (res.locals.apiKey?._id?.toString() === id) {
+      return res.status(409).json({ error: 'An API key cannot revoke itself' });
+    }
+
+    let revoked;
+    try {
+      revoked = await apiKeyService.revoke(id);
+    } catch (err) {
+      if (isNotFound(err)) return res.status(404).json({ error: 'API key not found' });
+      throw err;
+    }
+
+    return res.json({ data: revoked });
+  } catch (err) {
+    return handleError(res, err, 'Failed to revoke API key');
+  }
+}
+
+const exported = { listApiKeys, createApiKey, revokeApiKey };
+export default exported;
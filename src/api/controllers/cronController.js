@@ -0,0 +1,46 @@
+/**
+ * Cron controller for /api/cron
+ */
+import * as loggerModule from '../../core/logger.js';
+import { previewCron } from '../../core/cron.js';
+import { DEFAULT_TIMEZONE, isValidTimezone } from '../../core/timezone.js';
+
+const logger = loggerModule?.default ?? loggerModule?.logger ?? console;
+
+const DEFAULT_PREVIEW_COUNT = 5;
+const MAX_PREVIEW_COUNT = 50;
+
+function handleError(res, err, message = 'Internal server error', code = 500) {
+  try {
+    logger.error(message, { error: err && err.stack ? err.stack : err });
+  } catch (_) { /* ignore logger failures */ }
+  if (!res.headersSent) res.status(code).json({ error: message });
+}
+
+// GET /api/cron/preview?expr=...&tz=...&count=N
+async function previewSchedule(req, res) {
+  try {
+    const { expr, tz } = req.query;
+    if (!expr || typeof expr !== 'string' || expr.trim() === '') {
+      return res.status(400).json({ error: '"expr" query parameter is required' });
+    }
+
+    const timezone = tz || DEFAULT_TIMEZONE;
+    if (!isValidTimezone(timezone)) {
+      return res.status(400).json({ error: `Invalid timezone: "${timezone}". Must be an IANA zone name such as "America/New_York".` });
+    }
+
+    const count = req.query.count === undefined ? DEFAULT_PREVIEW_COUNT : Number(req.query.count);
+    if (!Number.isInteger(count) || count < 1 || count > MAX_PREVIEW_COUNT) {
+      return res.status(400).json({ error: `"count" must be an integer between 1 and ${MAX_PREVIEW_COUNT}` });
+    }
+
+    // An invalid expression still returns 200 so the client sees the warnings that explain it
+    return res.json({ data: previewCron(expr, { timezone, count }) });
+  } catch (err) {
+    return handleError(res, err, 'Failed to preview cron schedule');
+  }
+}
+
+const exported = { previewSchedule };
+export default exported;
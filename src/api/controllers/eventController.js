@@ -0,0 +1,82 @@
+/**
+ * Event controller for /api/events - a Server-Sent Events stream of job lifecycle events
+ */
+import { JOB_EVENT_TYPES } from '../../core/event-bus.js';
+
+// Comment lines keep idle connections from being closed by proxies
+const KEEPALIVE_INTERVAL_MS = 15 * 1000;
+// Tells EventSource clients how long to wait before reconnecting
+const RECONNECT_DELAY_MS = 5000;
+
+// Filters from the query: ?jobId=...&type=http&events=run.failed,run.succeeded
+function parseEventFilter(query = {}) {
+  const filter = {};
+  if (query.jobId) filter.jobId = String(query.jobId);
+  if (query.type) filter.jobType = String(query.type);
+  if (query.events) {
+    const events = String(query.events).split(',').map(event => event.trim()).filter(Boolean);
+    const unknown = events.filter(event => !JOB_EVENT_TYPES.includes(event));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown event type(s): ${unknown.join(', ')}. Available: ${JOB_EVENT_TYPES.join(', ')}.`);
+    }
+    filter.events = new Set(events);
+  }
+  return filter;
+}
+
+function matches(event, namespace, filter) {
+  return event.namespace === namespace
+    && (!filter.jobId || event.jobId === filter.jobId)
+    && (!filter.jobType || event.jobType === filter.jobType)
+    && (!filter.events || filter.events.has(event.type));
+}
+
+function writeEvent(res, event) {
+  res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+}
+
+// Streams the caller's namespace's events; a Last-Event-ID header (or ?lastEventId=) replays what was missed
+async function streamEvents(req, res) {
+  const eventBus = res.locals.eventBus;
+  if (!eventBus) return res.status(503).json({ error: 'Event stream unavailable' });
+
+  let filter;
+  try {
+    filter = parseEventFilter(req.query);
+  } catch (validationError) {
+    return res.status(400).json({ error: validationError.message });
+  }
+  const namespace = res.locals.namespace;
+  const send = event => {
+    if (matches(event, namespace, filter)) writeEvent(res, event);
+  };
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // Stop nginx from buffering the stream
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+
+  const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+  if (lastEventId) {
+    const { events, complete } = eventBus.eventsAfter(lastEventId);
+    // Some events are gone; the client should refetch state instead of relying on the replay alone
+    if (!complete) {
+      res.write(`event: stream.reset\ndata: ${JSON.stringify({ reason: 'Events since the last event ID are no longer available' })}\n\n`);
+    }
+    events.forEach(send);
+  }
+
+  const unsubscribe = eventBus.subscribe(send);
+  const keepalive = setInterval(() => res.write(': keepalive\n\n'), KEEPALIVE_INTERVAL_MS);
+  req.on('close', () => {
+    clearInterval(keepalive);
+    unsubscribe();
+  });
+}
+
+const exported = { streamEvents };
+export default exported;
@@ -3,11 +3,24 @@
  */
 import * as loggerModule from '../../core/logger.js';
 import { JobValidator } from '../../database/job-validator.js';
+import Job, { isOneOffJob, isDependentJob, JOB_STATUSES, JOB_SORT_FIELDS } from '../../database/job-model.js';
+import { decodeJobCursor } from '../../database/job-repository.js';
+import { toDependencyGraph, inDependencyOrder } from '../../scheduler/workflow-graph.js';
+import { parseLabelSelector } from '../../core/label-selector.js';
+import { minCronIntervalMs } from '../../core/cron.js';
+import { resolveTimezone } from '../../core/timezone.js';
 
 // const jobService = JobService; // ❌ REMOVED: We will get this from res.locals
 const logger = loggerModule?.default ?? loggerModule?.logger ?? console;
 const jobValidator = new JobValidator();
 
+const MAX_PAGE_SIZE = 100;
+const DEFAULT_PAGE_SIZE = 10;
+// Most jobs one bulk request may act on; a broader selector is rejected rather than truncated
+const MAX_BULK_JOBS = 500;
+// Top-level job fields a listing can be narrowed to with ?fields=
+const JOB_FIELDS = new Set(Object.keys(Job.schema.paths).map(path => path.split('.')[0]).filter(path => path !== '__v'));
+
 function logError(message, err) {
   try {
     logger.error(message, { error: err && err.stack ? err.stack : err });
@@ -19,15 +32,178 @@ function handleError(res, err, message = 'Internal server error', code = 500) {
   if (!res.headersSent) res.status(code).json({ error: message });
 }
 
+// Repository throws 'Job not found'; mongoose throws CastError for malformed ids
+function isNotFound(err) {
+  return err?.message === 'Job not found' || err?.name === 'CastError';
+}
+
+// The unique (namespace, name) index rejects a duplicate that slipped past the check
+function isDuplicateName(err) {
+  return err?.code === 11000;
+}
+
+// Fields a client is allowed to change through PATCH
+const UPDATABLE_FIELDS = ['name', 'description', 'cronSchedule', 'runAt', 'type', 'data', 'status', 'timezone', 'retryPolicy', 'onFailure',
+  'misfirePolicy', 'maxMissedRuns', 'timeoutMs', 'concurrencyPolicy', 'priority', 'dependsOn', 'triggerCondition', 'alertRules', 'labels'];
+
+function pickUpdates(payload) {
+  const updates = {};
+  for (const field of UPDATABLE_FIELDS) {
+    if (payload[field] !== undefined) updates[field] = payload[field];
+  }
+  return updates;
+}
+
+// Turn a relative `delayMs` into an absolute `runAt`, and make sure a new runAt is not in the past
+function resolveRunAt(payload, target) {
+  if (payload.delayMs !== undefined) {
+    if (payload.runAt !== undefined && payload.runAt !== null) {
+      throw new Error('Provide either "runAt" or "delayMs", not both.');
+    }
+    target.runAt = jobValidator.resolveDelay(payload.delayMs);
+  } else if (payload.runAt !== undefined && payload.runAt !== null) {
+    jobValidator.validateRunAt(payload.runAt, { requireFuture: true });
+  }
+  delete target.delayMs;
+}
+
+// Upstream jobs must exist and must not lead back to the job itself
+async function checkDependencies(jobService, jobId, job) {
+  if (!isDependentJob(job)) return;
+  // Only jobs in the same namespace can be upstream
+  const graph = toDependencyGraph(await jobService.getDependencyGraph(job.namespace));
+  jobValidator.validateDependencyGraph(jobId, job.dependsOn, graph);
+}
+
+// The namespace's quotas; returns why the job does not fit, or null when it does
+async function checkQuota(res, job, { isNew }) {
+  const quotas = res.locals.namespaceQuotas;
+  if (!quotas) return null;
+  const { maxJobs, minIntervalMs } = quotas.get(job.namespace);
+
+  if (isNew && maxJobs > 0 && await res.locals.jobService.countInNamespace(job.namespace) >= maxJobs) {
+    return `Namespace "${job.namespace}" has reached its quota of ${maxJobs} jobs`;
+  }
+  if (minIntervalMs > 0 && job.cronSchedule) {
+    const shortest = minCronIntervalMs(job.cronSchedule, { timezone: resolveTimezone(job) });
+    if (shortest !== null && shortest < minIntervalMs) {
+      return `Schedule fires every ${shortest}ms, more often than namespace "${job.namespace}" allows (${minIntervalMs}ms)`;
+    }
+  }
+  return null;
+}
+
+// Comma-separated query values: "active,paused" -> ['active', 'paused']
+function listParam(value) {
+  return String(value).split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Turns GET /api/jobs query params into repository options, rejecting anything malformed.
+ * ?q=report&status=active,paused&type=http&selector=team=billing,env!=staging
+ * &nextRunFrom=...&nextRunTo=...&lastRunFrom=...&lastRunTo=...&sort=-nextRun
+ * &fields=name,nextRun&limit=20&page=2 (offset paging, the default), or &cursor=... for cursor
+ * paging; "after" is an alias of "cursor", and an empty cursor starts a cursor listing.
+ * @param {object} query
+ * @returns {object}
+ * @throws {Error} With a message suitable for a 400 response.
+ */
+function parseJobQuery(query = {}) {
+  const options = { limit: DEFAULT_PAGE_SIZE };
+
+  if (query.limit !== undefined) {
+    const limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      throw new Error(`limit must be an integer between 1 and ${MAX_PAGE_SIZE}.`);
+    }
+    options.limit = limit;
+  }
+  const cursor = query.cursor ?? query.after;
+  if (query.page !== undefined && cursor !== undefined) {
+    throw new Error('Use either page or cursor, not both.');
+  }
+  if (query.page !== undefined) {
+    const page = Number(query.page);
+    if (!Number.isInteger(page) || page < 1) throw new Error('page must be a positive integer.');
+    options.page = page;
+  }
+
+  if (query.q !== undefined) {
+    const search = String(query.q).trim();
+    if (search) options.search = search;
+  }
+  if (query.status !== undefined) {
+    const statuses = listParam(query.status);
+    const unknown = statuses.filter(status => !JOB_STATUSES.includes(status));
+    if (statuses.length === 0 || unknown.length > 0) {
+      throw new Error(`Invalid status. Must be one or more of: ${JOB_STATUSES.join(', ')}.`);
+    }
+    options.status = statuses;
+  }
+  if (query.type !== undefined) options.type = String(query.type);
+  if (query.selector !== undefined) options.selector = parseLabelSelector(String(query.selector));
+
+  for (const key of ['nextRunFrom', 'nextRunTo', 'lastRunFrom', 'lastRunTo']) {
+    if (query[key] !== undefined) {
+      if (Number.isNaN(new Date(query[key]).getTime())) throw new Error(`${key} must be a valid date.`);
+      options[key] = new Date(query[key]);
+    }
+  }
+
+  options.sort = { field: 'createdAt', direction: -1 };
+  if (query.sort !== undefined) {
+    const sort = String(query.sort);
+    const field = sort.replace(/^[-+]/, '');
+    if (!JOB_SORT_FIELDS.includes(field)) {
+      throw new Error(`sort must be one of: ${JOB_SORT_FIELDS.join(', ')}, optionally prefixed with "-" for descending.`);
+    }
+    options.sort = { field, direction: sort.startsWith('-') ? -1 : 1 };
+  }
+
+  if (cursor !== undefined) {
+    options.cursor = cursor === '' ? null : decodeJobCursor(cursor);
+    if (options.cursor && (options.cursor.field !== options.sort.field || options.cursor.direction !== options.sort.direction)) {
+      throw new Error('cursor belongs to a listing with a different sort; start again with an empty cursor.');
+    }
+  }
+
+  if (query.fields !== undefined) {
+    const fields = listParam(query.fields);
+    const unknown = fields.filter(field => !JOB_FIELDS.has(field));
+    if (fields.length === 0 || unknown.length > 0) {
+      throw new Error(`Unknown field(s): ${unknown.join(', ') || '(none given)'}.`);
+    }
+    options.fields = fields;
+  }
+
+  return options;
+}
+
+// Push the latest job state to the scheduler without waiting for discovery
+function syncScheduler(schedulerManager, job) {
+  if (!schedulerManager) return;
+  if (job.status === 'active' && typeof schedulerManager.scheduleJob === 'function') {
+    schedulerManager.scheduleJob(job);
+  } else if (typeof schedulerManager.unscheduleJob === 'function') {
+    schedulerManager.unscheduleJob(job._id.toString(), { reason: `Job is ${job.status}`, job });
+  }
+}
+
 async function listJobs(req, res) {
   try {
     const jobService = res.locals.jobService; // ✅ Get injected service
     const fn = jobService.getAll;
     if (typeof fn !== 'function') return res.json({ data: [] });
+
+    let options;
+    try {
+      options = parseJobQuery(req.query);
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
     
-    // Pass query params to service
     // ✅ Call the method on the correct 'this' context
-    const jobs = await fn.call(jobService, req.query); 
+    const jobs = await fn.call(jobService, { ...options, namespace: res.locals.namespace }); 
     return res.json({ data: jobs });
   } catch (err) {
     return handleError(res, err, 'Failed to list jobs');
@@ -43,10 +219,11 @@ async function getJob(req, res) {
     const fn = jobService.getById;
     if (typeof fn !== 'function') return res.status(404).json({ error: 'Not implemented' });
 
-    const job = await fn.call(jobService, id);
+    const job = await fn.call(jobService, id, res.locals.namespace);
     if (!job) return res.status(404).json({ error: 'Job not found' });
     return res.json({ data: job });
   } catch (err) {
+    if (isNotFound(err)) return res.status(404).json({ error: 'Job not found' });
     return handleError(res, err, 'Failed to get job');
   }
 }
@@ -56,20 +233,31 @@ async function createJob(req, res) {
     const payload = req.body || {};
     const jobService = res.locals.jobService; // ✅ Get injected service
     const schedulerManager = res.locals.schedulerService;
+    // Jobs always go into the caller's namespace
+    payload.namespace = res.locals.namespace;
 
     // Validation Block
     try {
+      resolveRunAt(payload, payload);
       jobValidator.validateJobData(payload);
+      await checkDependencies(jobService, null, payload);
       // Add nextRun to the payload before creation (using your schema name)
-      payload.nextRun = jobValidator.calculateNextRunTime(payload.cronSchedule);
+      payload.nextRun = jobValidator.calculateJobNextRun(payload);
     } catch (validationError) {
       return res.status(400).json({ error: validationError.message });
     }
 
+    const quotaError = await checkQuota(res, payload, { isNew: true });
+    if (quotaError) return res.status(403).json({ error: quotaError });
+    if (await jobService.isNameTaken(payload.namespace, payload.name)) {
+      return res.status(409).json({ error: `A job named "${payload.name.trim()}" already exists in this namespace` });
+    }
+
     const fn = jobService.create;
     if (typeof fn !== 'function') return res.status(500).json({ error: 'Create not implemented' });
 
     const created = await fn.call(jobService, payload);
+    res.locals.eventBus?.publish('job.created', created, { createdBy: res.locals.apiKey?.name ?? null });
 
     // Tell scheduler to schedule the new job instantly
     if (schedulerManager && typeof schedulerManager.scheduleJob === 'function') {
@@ -78,9 +266,369 @@ async function createJob(req, res) {
 
     return res.status(201).json({ data: created });
   } catch (err) {
+    if (isDuplicateName(err)) return res.status(409).json({ error: 'A job with this name already exists in this namespace' });
     return handleError(res, err, 'Failed to create job');
   }
 }
 
-const exported = { listJobs, getJob, createJob };
+async function updateJob(req, res) {
+  try {
+    const jobService = res.locals.jobService;
+    const schedulerManager = res.locals.schedulerService;
+    const namespace = res.locals.namespace;
+    const id = req.params.id;
+
+    let existing;
+    try {
+      existing = await jobService.getById(id, namespace);
+    } catch (err) {
+      if (isNotFound(err)) return res.status(404).json({ error: 'Job not found' });
+      throw err;
+    }
+
+    const body = req.body || {};
+    const updates = pickUpdates(body);
+    try {
+      resolveRunAt(body, updates);
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ error: `No updatable fields provided. Allowed: ${UPDATABLE_FIELDS.join(', ')}, delayMs` });
+    }
+
+    // Validate the job as it will look after the update
+    const merged = { ...existing.toObject(), ...updates };
+    try {
+      jobValidator.validateJobData(merged, { checkAlertRules: updates.alertRules !== undefined });
+      if (updates.dependsOn !== undefined) await checkDependencies(jobService, id, merged);
+      updates.nextRun = merged.status === 'active'
+        ? jobValidator.calculateJobNextRun(merged)
+        : null;
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+
+    const quotaError = await checkQuota(res, merged, { isNew: false });
+    if (quotaError) return res.status(403).json({ error: quotaError });
+    if (updates.name !== undefined && await jobService.isNameTaken(namespace, updates.name, id)) {
+      return res.status(409).json({ error: `A job named "${updates.name.trim()}" already exists in this namespace` });
+    }
+
+    const updated = await jobService.update(id, updates, namespace);
+    syncScheduler(schedulerManager, updated);
+
+    return res.json({ data: updated });
+  } catch (err) {
+    if (isDuplicateName(err)) return res.status(409).json({ error: 'A job with this name already exists in this namespace' });
+    return handleError(res, err, 'Failed to update job');
+  }
+}
+
+async function deleteJob(req, res) {
+  try {
+    const jobService = res.locals.jobService;
+    const schedulerManager = res.locals.schedulerService;
+    const namespace = res.locals.namespace;
+    const id = req.params.id;
+
+    let dependents;
+    try {
+      await jobService.getById(id, namespace);
+      dependents = await jobService.getDependents(id, namespace);
+    } catch (err) {
+      if (isNotFound(err)) return res.status(404).json({ error: 'Job not found' });
+      throw err;
+    }
+    if (dependents.length > 0) {
+      return res.status(409).json({
+        error: `Job is upstream of: ${dependents.map(job => job.name).join(', ')}. Remove it from their dependsOn first.`
+      });
+    }
+
+    let deleted;
+    try {
+      deleted = await jobService.delete(id, namespace);
+    } catch (err) {
+      if (isNotFound(err)) return res.status(404).json({ error: 'Job not found' });
+      throw err;
+    }
+
+    if (schedulerManager && typeof schedulerManager.unscheduleJob === 'function') {
+      schedulerManager.unscheduleJob(deleted._id.toString(), { reason: 'Job deleted', job: deleted });
+    }
+
+    return res.json({ data: deleted });
+  } catch (err) {
+    return handleError(res, err, 'Failed to delete job');
+  }
+}
+
+async function pauseJob(req, res) {
+  try {
+    const jobService = res.locals.jobService;
+    const schedulerManager = res.locals.schedulerService;
+    const id = req.params.id;
+
+    let existing;
+    try {
+      existing = await jobService.getById(id, res.locals.namespace);
+    } catch (err) {
+      if (isNotFound(err)) return res.status(404).json({ error: 'Job not found' });
+      throw err;
+    }
+
+    if (existing.status === 'paused') {
+      return res.status(409).json({ error: 'Job is already paused' });
+    }
+
+    const paused = await jobService.pause(id, res.locals.namespace);
+    syncScheduler(schedulerManager, paused);
+
+    return res.json({ data: paused });
+  } catch (err) {
+    return handleError(res, err, 'Failed to pause job');
+  }
+}
+
+async function resumeJob(req, res) {
+  try {
+    const jobService = res.locals.jobService;
+    const schedulerManager = res.locals.schedulerService;
+    const id = req.params.id;
+
+    let existing;
+    try {
+      existing = await jobService.getById(id, res.locals.namespace);
+    } catch (err) {
+      if (isNotFound(err)) return res.status(404).json({ error: 'Job not found' });
+      throw err;
+    }
+
+    if (existing.status === 'active') {
+      return res.status(409).json({ error: 'Job is already active' });
+    }
+    if (existing.status === 'completed' && isOneOffJob(existing)) {
+      return res.status(409).json({ error: 'One-off job has already run; PATCH a new runAt with status "active" to run it again' });
+    }
+
+    let nextRun;
+    try {
+      jobValidator.validateJobData({ ...existing.toObject(), status: 'active' }, { checkAlertRules: false });
+      nextRun = jobValidator.calculateJobNextRun(existing);
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+
+    const resumed = await jobService.resume(id, nextRun, res.locals.namespace);
+    syncScheduler(schedulerManager, resumed);
+
+    return res.json({ data: resumed });
+  } catch (err) {
+    return handleError(res, err, 'Failed to resume job');
+  }
+}
+
+async function cancelJob(req, res) {
+  try {
+    const jobService = res.locals.jobService;
+    const schedulerManager = res.locals.schedulerService;
+    const runService = res.locals.runService;
+    const id = req.params.id;
+
+    try {
+      await jobService.getById(id, res.locals.namespace);
+    } catch (err) {
+      if (isNotFound(err)) return res.status(404).json({ error: 'Job not found' });
+      throw err;
+    }
+
+    const reason = typeof req.body?.reason === 'string' ? req.body.reason : 'Cancelled by request';
+
+    // Runs on this instance stop now; runs on other live instances pick up the flag on their
+    // next poll. Runs left behind by a dead instance are not flagged; the sweep abandons them.
+    const cancelled = schedulerManager ? schedulerManager.cancelJobRuns(id, reason) : [];
+    const requested = runService ? await runService.requestCancel(id) : [];
+    const remote = requested.filter(runId => !cancelled.includes(runId));
+
+    if (cancelled.length === 0 && remote.length === 0) {
+      return res.status(409).json({ error: 'Job has no run in flight' });
+    }
+
+    return res.status(202).json({ data: { cancelled, cancelRequested: remote } });
+  } catch (err) {
+    return handleError(res, err, 'Failed to cancel job run');
+  }
+}
+
+// Manual runs need the scheduler to queue them and the run service to record them
+function canTriggerRuns(schedulerManager, runService) {
+  return typeof schedulerManager?.triggerJob === 'function'
+    && typeof schedulerManager.isJobRunning === 'function'
+    && typeof runService?.newRunId === 'function';
+}
+
+const SCHEDULER_UNAVAILABLE = 'Scheduler is unavailable; jobs cannot be run right now';
+
+async function runJob(req, res) {
+  try {
+    const jobService = res.locals.jobService;
+    const schedulerManager = res.locals.schedulerService;
+    const runService = res.locals.runService;
+    const id = req.params.id;
+    const wait = req.query.wait === 'true';
+    if (!canTriggerRuns(schedulerManager, runService)) {
+      return res.status(503).json({ error: SCHEDULER_UNAVAILABLE });
+    }
+
+    let job;
+    try {
+      job = await jobService.getById(id, res.locals.namespace);
+    } catch (err) {
+      if (isNotFound(err)) return res.status(404).json({ error: 'Job not found' });
+      throw err;
+    }
+
+    const overrides = req.body?.data;
+    if (overrides !== undefined && (typeof overrides !== 'object' || overrides === null || Array.isArray(overrides))) {
+      return res.status(400).json({ error: '"data" overrides must be an object.' });
+    }
+    if (overrides) {
+      try {
+        jobValidator.registry.validateData(job.type, { ...(job.data || {}), ...overrides });
+      } catch (validationError) {
+        return res.status(400).json({ error: validationError.message });
+      }
+    }
+
+    if (job.concurrencyPolicy === 'forbid' && schedulerManager.isJobRunning(id)) {
+      return res.status(409).json({ error: 'Job is already running and its concurrencyPolicy is "forbid"' });
+    }
+
+    const runId = runService.newRunId();
+    const finished = schedulerManager.triggerJob(job, { runId, dataOverrides: overrides || null });
+
+    if (!wait) {
+      finished.catch(err => logError('Manual job run failed', err));
+      return res.status(202).json({ data: { runId } });
+    }
+
+    const { started, outcome, reason } = await finished;
+    if (!started) {
+      return res.status(409).json({ error: `Run ${runId} was ${outcome} before it started: ${reason}` });
+    }
+    const run = await runService.getById(runId);
+    return res.json({ data: run });
+  } catch (err) {
+    return handleError(res, err, 'Failed to run job');
+  }
+}
+
+// Per-job steps of the bulk endpoints. Each resolves to { outcome: 'succeeded' | 'skipped', ... }
+// and applies the change to the scheduler right away; a thrown error marks the job as failed.
+const BULK_ACTIONS = {
+  async pause(res, job) {
+    if (job.status === 'paused') return { outcome: 'skipped', reason: 'Job is already paused' };
+    const paused = await res.locals.jobService.pause(job._id, res.locals.namespace);
+    syncScheduler(res.locals.schedulerService, paused);
+    return { outcome: 'succeeded', status: paused.status };
+  },
+
+  async resume(res, job) {
+    if (job.status === 'active') return { outcome: 'skipped', reason: 'Job is already active' };
+    if (job.status === 'completed' && isOneOffJob(job)) {
+      return { outcome: 'skipped', reason: 'One-off job has already run' };
+    }
+    jobValidator.validateJobData({ ...job.toObject(), status: 'active' }, { checkAlertRules: false });
+    const nextRun = jobValidator.calculateJobNextRun(job);
+    const resumed = await res.locals.jobService.resume(job._id, nextRun, res.locals.namespace);
+    syncScheduler(res.locals.schedulerService, resumed);
+    return { outcome: 'succeeded', status: resumed.status, nextRun: resumed.nextRun };
+  },
+
+  async delete(res, job) {
+    const { jobService, schedulerService: schedulerManager, namespace } = res.locals;
+    const dependents = await jobService.getDependents(job._id, namespace);
+    if (dependents.length > 0) {
+      throw new Error(`Job is upstream of: ${dependents.map(dependent => dependent.name).join(', ')}. Remove it from their dependsOn first.`);
+    }
+    const deleted = await jobService.delete(job._id, namespace);
+    if (schedulerManager && typeof schedulerManager.unscheduleJob === 'function') {
+      schedulerManager.unscheduleJob(deleted._id.toString(), { reason: 'Job deleted', job: deleted });
+    }
+    return { outcome: 'succeeded' };
+  },
+
+  async run(res, job) {
+    const { schedulerService: schedulerManager, runService } = res.locals;
+    if (job.concurrencyPolicy === 'forbid' && schedulerManager.isJobRunning(job._id.toString())) {
+      return { outcome: 'skipped', reason: 'Job is already running and its concurrencyPolicy is "forbid"' };
+    }
+    const runId = runService.newRunId();
+    schedulerManager.triggerJob(job, { runId }).catch(err => logError('Manual job run failed', err));
+    return { outcome: 'succeeded', runId };
+  }
+};
+
+/**
+ * Builds the handler for POST /api/jobs/bulk/<action>, which applies the action to every job
+ * in the caller's namespace matching { "selector": "team=billing,env!=staging" } and reports
+ * the outcome for each job. Deletes go downstream jobs first so their upstream jobs can follow.
+ * @param {string} action - A key of BULK_ACTIONS.
+ * @returns {Function} Express handler.
+ */
+function bulkHandler(action) {
+  return async function bulkJobs(req, res) {
+    try {
+      const jobService = res.locals.jobService;
+      const rawSelector = req.body?.selector ?? req.query.selector;
+      if (action === 'run' && !canTriggerRuns(res.locals.schedulerService, res.locals.runService)) {
+        return res.status(503).json({ error: SCHEDULER_UNAVAILABLE });
+      }
+
+      let selector;
+      try {
+        if (rawSelector === undefined) throw new Error('"selector" is required, e.g. "team=billing,env!=staging".');
+        selector = parseLabelSelector(rawSelector);
+      } catch (validationError) {
+        return res.status(400).json({ error: validationError.message });
+      }
+
+      const matched = await jobService.getBySelector(selector, res.locals.namespace, MAX_BULK_JOBS + 1);
+      if (matched.length > MAX_BULK_JOBS) {
+        return res.status(400).json({ error: `Selector matches more than ${MAX_BULK_JOBS} jobs; narrow it down.` });
+      }
+      const jobs = action === 'delete' ? inDependencyOrder(matched).reverse() : matched;
+
+      const results = [];
+      for (const job of jobs) {
+        const entry = { jobId: job._id.toString(), name: job.name };
+        try {
+          results.push({ ...entry, ...(await BULK_ACTIONS[action](res, job)) });
+        } catch (err) {
+          const error = isNotFound(err) ? 'Job not found' : err.message;
+          logger.warn?.(`Bulk ${action} failed for a job`, { jobId: entry.jobId, error });
+          results.push({ ...entry, outcome: 'failed', error });
+        }
+      }
+
+      const summary = { matched: jobs.length, succeeded: 0, skipped: 0, failed: 0 };
+      results.forEach(result => { summary[result.outcome] += 1; });
+
+      return res.json({ data: { action, selector: rawSelector, summary, results } });
+    } catch (err) {
+      return handleError(res, err, `Failed to ${action} jobs`);
+    }
+  };
+}
+
+const bulkPauseJobs = bulkHandler('pause');
+const bulkResumeJobs = bulkHandler('resume');
+const bulkDeleteJobs = bulkHandler('delete');
+const bulkRunJobs = bulkHandler('run');
+
+const exported = {
+  listJobs, getJob, createJob, updateJob, deleteJob, pauseJob, resumeJob, cancelJob, runJob,
+  bulkPauseJobs, bulkResumeJobs, bulkDeleteJobs, bulkRunJobs
+};
 export default exported;
\ No newline at end of file
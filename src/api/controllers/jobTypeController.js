@@ -0,0 +1,36 @@
+/**
+ * Job type controller for /api/job-types
+ */
+import * as loggerModule from '../../core/logger.js';
+
+const logger = loggerModule?.default ?? loggerModule?.logger ?? console;
+
+function handleError(res, err, message = 'Internal server error', code = 500) {
+  try {
+    logger.error(message, { error: err && err.stack ? err.stack : err });
+  } catch (_) { /* ignore logger failures */ }
+  if (!res.headersSent) res.status(code).json({ error: message });
+}
+
+async function listJobTypes(req, res) {
+  try {
+    const registry = res.locals.jobTypeRegistry;
+    return res.json({ data: registry.list() });
+  } catch (err) {
+    return handleError(res, err, 'Failed to list job types');
+  }
+}
+
+async function getJobType(req, res) {
+  try {
+    const registry = res.locals.jobTypeRegistry;
+    const jobType = registry.list().find(entry => entry.type === req.params.type);
+    if (!jobType) return res.status(404).json({ error: 'Job type not found' });
+    return res.json({ data: jobType });
+  } catch (err) {
+    return handleError(res, err, 'Failed to get job type');
+  }
+}
+
+const exported = { listJobTypes, getJobType };
+export default exported;
@@ -0,0 +1,169 @@
+/**
+ * Run controller for /api/runs and /api/jobs/:id/runs
+ */
+import * as loggerModule from '../../core/logger.js';
+import { RUN_OUTCOMES } from '../../database/job-run-model.js';
+import { toDependencyGraph, workflowNodeIds } from '../../scheduler/workflow-graph.js';
+
+const logger = loggerModule?.default ?? loggerModule?.logger ?? console;
+
+const MAX_PAGE_SIZE = 100;
+const UNSUCCESSFUL_OUTCOMES = ['failed', 'timed-out', 'cancelled', 'abandoned'];
+
+function logError(message, err) {
+  try {
+    logger.error(message, { error: err && err.stack ? err.stack : err });
+  } catch (_) { /* ignore logger failures */ }
+}
+
+function handleError(res, err, message = 'Internal server error', code = 500) {
+  logError(message, err);
+  if (!res.headersSent) res.status(code).json({ error: message });
+}
+
+function isNotFound(err) {
+  return ['Job not found', 'Job run not found'].includes(err?.message) || err?.name === 'CastError';
+}
+
+// Turn query params into repository options, rejecting anything malformed
+function parseRunQuery(query = {}) {
+  const options = {};
+
+  if (query.page !== undefined) {
+    const page = parseInt(query.page);
+    if (!Number.isInteger(page) || page < 1) throw new Error('page must be a positive integer.');
+    options.page = page;
+  }
+  if (query.limit !== undefined) {
+    const limit = parseInt(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      throw new Error(`limit must be an integer between 1 and ${MAX_PAGE_SIZE}.`);
+    }
+    options.limit = limit;
+  }
+  if (query.outcome !== undefined) {
+    if (!RUN_OUTCOMES.includes(query.outcome)) {
+      throw new Error(`Invalid outcome. Must be one of: ${RUN_OUTCOMES.join(', ')}.`);
+    }
+    options.outcome = query.outcome;
+  }
+  for (const key of ['from', 'to']) {
+    if (query[key] !== undefined) {
+      if (Number.isNaN(new Date(query[key]).getTime())) throw new Error(`${key} must be a valid date.`);
+      options[key] = query[key];
+    }
+  }
+
+  return options;
+}
+
+async function listJobRuns(req, res) {
+  try {
+    const jobService = res.locals.jobService;
+    const runService = res.locals.runService;
+    const id = req.params.id;
+
+    let options;
+    try {
+      options = parseRunQuery(req.query);
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+
+    try {
+      await jobService.getById(id, res.locals.namespace);
+    } catch (err) {
+      if (isNotFound(err)) return res.status(404).json({ error: 'Job not found' });
+      throw err;
+    }
+
+    const result = await runService.getByJobId(id, options);
+    return res.json({ data: result });
+  } catch (err) {
+    return handleError(res, err, 'Failed to list job runs');
+  }
+}
+
+async function getRun(req, res) {
+  try {
+    const runService = res.locals.runService;
+
+    let run;
+    try {
+      run = await runService.getById(req.params.runId, res.locals.namespace);
+    } catch (err) {
+      if (isNotFound(err)) return res.status(404).json({ error: 'Job run not found' });
+      throw err;
+    }
+
+    return res.json({ data: run });
+  } catch (err) {
+    return handleError(res, err, 'Failed to get job run');
+  }
+}
+
+// GET /api/runs/:runId/workflow - the workflow run the given run belongs to, node by node
+async function getWorkflowRun(req, res) {
+  try {
+    const jobService = res.locals.jobService;
+    const runService = res.locals.runService;
+    const namespace = res.locals.namespace;
+
+    let run;
+    try {
+      run = await runService.getById(req.params.runId, namespace);
+    } catch (err) {
+      if (isNotFound(err)) return res.status(404).json({ error: 'Job run not found' });
+      throw err;
+    }
+
+    const workflowRunId = run.workflowRunId ?? run._id;
+    const [runs, graphNodes] = await Promise.all([
+      runService.getByWorkflowRunId(workflowRunId, namespace),
+      jobService.getDependencyGraph(namespace)
+    ]);
+    const rootRun = runs.find(entry => entry._id.equals(workflowRunId)) ?? run;
+    const jobsById = new Map(graphNodes.map(node => [node._id.toString(), node]));
+    const upstreamOf = toDependencyGraph(graphNodes);
+    const runsByJob = new Map(runs.map(entry => [entry.jobId.toString(), entry]));
+
+    // Nodes without a run yet are still waiting on their upstream jobs
+    const nodes = workflowNodeIds(rootRun.jobId, graphNodes).map(jobId => {
+      const job = jobsById.get(jobId);
+      const nodeRun = runsByJob.get(jobId);
+      return {
+        jobId,
+        name: job?.name ?? nodeRun?.jobName ?? null,
+        dependsOn: upstreamOf.get(jobId) ?? [],
+        triggerCondition: job?.triggerCondition ?? null,
+        status: nodeRun ? nodeRun.outcome : 'pending',
+        runId: nodeRun?._id ?? null,
+        startedAt: nodeRun?.startedAt ?? null,
+        finishedAt: nodeRun?.finishedAt ?? null
+      };
+    });
+
+    let status = 'succeeded';
+    if (nodes.some(node => node.status === 'running' || node.status === 'pending')) {
+      status = 'running';
+    } else if (nodes.some(node => UNSUCCESSFUL_OUTCOMES.includes(node.status))) {
+      status = 'failed';
+    }
+
+    return res.json({
+      data: {
+        workflowRunId,
+        rootJobId: rootRun.jobId,
+        trigger: rootRun.trigger,
+        status,
+        startedAt: rootRun.startedAt,
+        nodes
+      }
+    });
+  } catch (err) {
+    return handleError(res, err, 'Failed to get workflow run');
+  }
+}
+
+const exported = { listJobRuns, getRun, getWorkflowRun };
+export default exported;
@@ -0,0 +1,27 @@
+/**
+ * Admin Routes - Views across all namespaces
+ */
+
+import express from 'express';
+import * as controllerModule from '../controllers/adminController.js';
+import { requireScope } from '../../core/middleware.js';
+
+const router = express.Router();
+
+// Support both default and named exports from controller
+const controller = controllerModule?.default ?? controllerModule;
+
+const listNamespaces = typeof controller.listNamespaces === 'function'
+  ? controller.listNamespaces
+  : (req, res) => res.status(501).json({ error: 'listNamespaces not implemented' });
+
+const getSchedulerStatus = typeof controller.getSchedulerStatus === 'function'
+  ? controller.getSchedulerStatus
+  : (req, res) => res.status(501).json({ error: 'getSchedulerStatus not implemented' });
+
+// --- Routes ---
+router.use(requireScope('admin'));
+router.get('/namespaces', listNamespaces);
+router.get('/scheduler/status', getSchedulerStatus);
+
+export default router;
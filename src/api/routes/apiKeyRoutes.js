@@ -0,0 +1,32 @@
+/**
+ * API Key Routes - Admin endpoints to create, list and revoke API keys
+ */
+
+import express from 'express';
+import * as controllerModule from '../controllers/apiKeyController.js';
+import { requireScope } from '../../core/middleware.js';
+
+const router = express.Router();
+
+// Support both default and named exports from controller
+const controller = controllerModule?.default ?? controllerModule;
+
+const listApiKeys = typeof controller.listApiKeys === 'function'
+  ? controller.listApiKeys
+  : (req, res) => res.status(501).json({ error: 'listApiKeys not implemented' });
+
+const createApiKey = typeof controller.createApiKey === 'function'
+  ? controller.createApiKey
+  : (req, res) => res.status(501).json({ error: 'createApiKey not implemented' });
+
+const revokeApiKey = typeof controller.revokeApiKey === 'function'
+  ? controller.revokeApiKey
+  : (req, res) => res.status(501).json({ error: 'revokeApiKey not implemented' });
+
+// --- Routes ---
+router.use(requireScope('admin'));
+router.get('/', listApiKeys);
+router.post('/', createApiKey);
+router.delete('/:id', revokeApiKey);
+
+export default router;
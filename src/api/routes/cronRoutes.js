@@ -0,0 +1,21 @@
+/**
+ * Cron Routes - Previews cron schedules before they are saved
+ */
+
+import express from 'express';
+import * as controllerModule from '../controllers/cronController.js';
+import { requireScope } from '../../core/middleware.js';
+
+const router = express.Router();
+
+// Support both default and named exports from controller
+const controller = controllerModule?.default ?? controllerModule;
+
+const previewSchedule = typeof controller.previewSchedule === 'function'
+  ? controller.previewSchedule
+  : (req, res) => res.status(501).json({ error: 'previewSchedule not implemented' });
+
+// --- Routes ---
+router.get('/preview', requireScope('jobs:read'), previewSchedule);
+
+export default router;
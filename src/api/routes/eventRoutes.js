@@ -0,0 +1,21 @@
+/**
+ * Event Routes - Live stream of job lifecycle events
+ */
+
+import express from 'express';
+import * as controllerModule from '../controllers/eventController.js';
+import { requireScope } from '../../core/middleware.js';
+
+const router = express.Router();
+
+// Support both default and named exports from controller
+const controller = controllerModule?.default ?? controllerModule;
+
+const streamEvents = typeof controller.streamEvents === 'function'
+  ? controller.streamEvents
+  : (req, res) => res.status(501).json({ error: 'streamEvents not implemented' });
+
+// --- Routes ---
+router.get('/', requireScope('jobs:read'), streamEvents);
+
+export default router;
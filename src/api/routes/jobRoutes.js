@@ -1,15 +1,19 @@
 /**
  * Job Routes - Defines API paths
- * Simplified to only support GET (list/get) and POST (create).
+ * Supports listing, creating, updating, deleting, pausing, resuming, running and cancelling jobs,
+ * plus each job's run history and bulk actions on every job matching a label selector.
  */
 
 import express from 'express';
 import * as controllerModule from '../controllers/jobController.js';
+import * as runControllerModule from '../controllers/runController.js';
+import { requireScope } from '../../core/middleware.js';
 
 const router = express.Router();
 
 // Support both default and named exports from controller
 const controller = controllerModule?.default ?? controllerModule;
+const runController = runControllerModule?.default ?? runControllerModule;
 
 // Ensure handler functions exist and provide safe fallbacks
 const listJobs = typeof controller.listJobs === 'function'
@@ -24,10 +28,65 @@ const createJob = typeof controller.createJob === 'function'
   ? controller.createJob
   : (req, res) => res.status(501).json({ error: 'createJob not implemented' });
 
+const updateJob = typeof controller.updateJob === 'function'
+  ? controller.updateJob
+  : (req, res) => res.status(501).json({ error: 'updateJob not implemented' });
+
+const deleteJob = typeof controller.deleteJob === 'function'
+  ? controller.deleteJob
+  : (req, res) => res.status(501).json({ error: 'deleteJob not implemented' });
+
+const pauseJob = typeof controller.pauseJob === 'function'
+  ? controller.pauseJob
+  : (req, res) => res.status(501).json({ error: 'pauseJob not implemented' });
+
+const resumeJob = typeof controller.resumeJob === 'function'
+  ? controller.resumeJob
+  : (req, res) => res.status(501).json({ error: 'resumeJob not implemented' });
+
+const cancelJob = typeof controller.cancelJob === 'function'
+  ? controller.cancelJob
+  : (req, res) => res.status(501).json({ error: 'cancelJob not implemented' });
+
+const runJob = typeof controller.runJob === 'function'
+  ? controller.runJob
+  : (req, res) => res.status(501).json({ error: 'runJob not implemented' });
+
+const bulkPauseJobs = typeof controller.bulkPauseJobs === 'function'
+  ? controller.bulkPauseJobs
+  : (req, res) => res.status(501).json({ error: 'bulkPauseJobs not implemented' });
+
+const bulkResumeJobs = typeof controller.bulkResumeJobs === 'function'
+  ? controller.bulkResumeJobs
+  : (req, res) => res.status(501).json({ error: 'bulkResumeJobs not implemented' });
+
+const bulkDeleteJobs = typeof controller.bulkDeleteJobs === 'function'
+  ? controller.bulkDeleteJobs
+  : (req, res) => res.status(501).json({ error: 'bulkDeleteJobs not implemented' });
+
+const bulkRunJobs = typeof controller.bulkRunJobs === 'function'
+  ? controller.bulkRunJobs
+  : (req, res) => res.status(501).json({ error: 'bulkRunJobs not implemented' });
+
+const listJobRuns = typeof runController.listJobRuns === 'function'
+  ? runController.listJobRuns
+  : (req, res) => res.status(501).json({ error: 'listJobRuns not implemented' });
+
 // --- Routes ---
-router.get('/', listJobs);
-router.post('/', createJob);
-router.get('/:id', getJob);
-// 'updateJob' and 'deleteJob' routes have been removed.
+router.get('/', requireScope('jobs:read'), listJobs);
+router.post('/', requireScope('jobs:write'), createJob);
+// Before the /:id routes, which would otherwise take "bulk" for a job ID
+router.post('/bulk/pause', requireScope('jobs:write'), bulkPauseJobs);
+router.post('/bulk/resume', requireScope('jobs:write'), bulkResumeJobs);
+router.post('/bulk/delete', requireScope('jobs:write'), bulkDeleteJobs);
+router.post('/bulk/run', requireScope('jobs:run'), bulkRunJobs);
+router.get('/:id', requireScope('jobs:read'), getJob);
+router.patch('/:id', requireScope('jobs:write'), updateJob);
+router.delete('/:id', requireScope('jobs:write'), deleteJob);
+router.post('/:id/pause', requireScope('jobs:write'), pauseJob);
+router.post('/:id/resume', requireScope('jobs:write'), resumeJob);
+router.post('/:id/cancel', requireScope('jobs:run'), cancelJob);
+router.post('/:id/run', requireScope('jobs:run'), runJob);
+router.get('/:id/runs', requireScope('jobs:read'), listJobRuns);
 
 export default router;
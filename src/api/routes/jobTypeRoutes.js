@@ -0,0 +1,26 @@
+/**
+ * Job Type Routes - Lists the registered job types and their data schemas
+ */
+
+import express from 'express';
+import * as controllerModule from '../controllers/jobTypeController.js';
+import { requireScope } from '../../core/middleware.js';
+
+const router = express.Router();
+
+// Support both default and named exports from controller
+const controller = controllerModule?.default ?? controllerModule;
+
+const listJobTypes = typeof controller.listJobTypes === 'function'
+  ? controller.listJobTypes
+  : (req, res) => res.status(501).json({ error: 'listJobTypes not implemented' });
+
+const getJobType = typeof controller.getJobType === 'function'
+  ? controller.getJobType
+  : (req, res) => res.status(501).json({ error: 'getJobType not implemented' });
+
+// --- Routes ---
+router.get('/', requireScope('jobs:read'), listJobTypes);
+router.get('/:type', requireScope('jobs:read'), getJobType);
+
+export default router;
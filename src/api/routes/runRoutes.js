@@ -0,0 +1,26 @@
+/**
+ * Run Routes - Defines API paths for execution history
+ */
+
+import express from 'express';
+import * as controllerModule from '../controllers/runController.js';
+import { requireScope } from '../../core/middleware.js';
+
+const router = express.Router();
+
+// Support both default and named exports from controller
+const controller = controllerModule?.default ?? controllerModule;
+
+const getRun = typeof controller.getRun === 'function'
+  ? controller.getRun
+  : (req, res) => res.status(501).json({ error: 'getRun not implemented' });
+
+const getWorkflowRun = typeof controller.getWorkflowRun === 'function'
+  ? controller.getWorkflowRun
+  : (req, res) => res.status(501).json({ error: 'getWorkflowRun not implemented' });
+
+// --- Routes ---
+router.get('/:runId', requireScope('jobs:read'), getRun);
+router.get('/:runId/workflow', requireScope('jobs:read'), getWorkflowRun);
+
+export default router;
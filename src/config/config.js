@@ -3,5 +3,64 @@ export default {
   MONGO_URI: process.env.MONGO_URI || 'mongodb://localhost:27017/digantra',
   REDIS_URL: process.env.REDIS_URL || null,
   NODE_ENV: process.env.NODE_ENV || 'development',
+  // How long a scheduler instance may hold a job slot without renewing it
+  LEASE_TTL_MS: parseInt(process.env.LEASE_TTL_MS) || 5 * 60 * 1000,
+  // A running run not heartbeated by its instance for this long is marked 'abandoned' (at least 4s);
+  // instances heartbeat every quarter of it, at most every 5 seconds, and sweep every RUN_SWEEP_INTERVAL_MS
+  RUN_STALE_AFTER_MS: parseInt(process.env.RUN_STALE_AFTER_MS) || 60 * 1000,
+  RUN_SWEEP_INTERVAL_MS: parseInt(process.env.RUN_SWEEP_INTERVAL_MS) || 60 * 1000,
+  // Worker limits: runs in flight at once per instance, and per job type ("http=5,email=2")
+  MAX_CONCURRENT_RUNS: parseInt(process.env.MAX_CONCURRENT_RUNS) || 10,
+  // Runs waiting for a worker at once; further runs are skipped until the queue drains (0 = unbounded)
+  MAX_QUEUED_RUNS: process.env.MAX_QUEUED_RUNS !== undefined ? parseInt(process.env.MAX_QUEUED_RUNS) : 1000,
+  TYPE_CONCURRENCY_LIMITS: process.env.TYPE_CONCURRENCY_LIMITS || '',
+  // A cron slot this far overdue counts as missed and goes through the job's misfirePolicy
+  MISFIRE_THRESHOLD_MS: parseInt(process.env.MISFIRE_THRESHOLD_MS) || 60 * 1000,
+  // SMTP transport for email jobs
+  SMTP_HOST: process.env.SMTP_HOST || 'localhost',
+  SMTP_PORT: parseInt(process.env.SMTP_PORT) || 587,
+  SMTP_SECURE: process.env.SMTP_SECURE === 'true',
+  SMTP_USER: process.env.SMTP_USER || null,
+  SMTP_PASS: process.env.SMTP_PASS || null,
+  SMTP_FROM: process.env.SMTP_FROM || 'scheduler@localhost',
+  // Email attachments must live under this directory; without it, attachments are refused
+  EMAIL_ATTACHMENT_ROOT: process.env.EMAIL_ATTACHMENT_ROOT || null,
+  // Addresses email jobs may send from via data.from, comma-separated; empty means SMTP_FROM only
+  EMAIL_FROM_ALLOWLIST: process.env.EMAIL_FROM_ALLOWLIST || '',
+  // Directory scanned at startup for job type plugins
+  PLUGINS_DIR: process.env.PLUGINS_DIR || './plugins',
+  // Bootstrap key with the 'admin' scope, stored on startup so the first keys can be created;
+  // at least 32 characters, or the server refuses to start
+  ADMIN_API_KEY: process.env.ADMIN_API_KEY || null,
+  // Browser origins allowed to call the API, comma-separated; "*" allows any
+  CORS_ORIGINS: process.env.CORS_ORIGINS || '',
+  // Per-namespace quotas; 0 means unlimited. Overrides: "team-a:maxJobs=50,minIntervalMs=60000;team-b:maxJobs=10"
+  NAMESPACE_MAX_JOBS: parseInt(process.env.NAMESPACE_MAX_JOBS) || 0,
+  NAMESPACE_MIN_INTERVAL_MS: parseInt(process.env.NAMESPACE_MIN_INTERVAL_MS) || 0,
+  NAMESPACE_QUOTAS: process.env.NAMESPACE_QUOTAS || '',
+  // Rate limiting: counter store ('memory', 'mongo' or 'redis') and requests per window
+  // for each budget; a budget of 0 is unlimited
+  RATE_LIMIT_STORE: process.env.RATE_LIMIT_STORE || 'memory',
+  RATE_LIMIT_WINDOW_MS: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 60 * 1000,
+  RATE_LIMIT_READ: process.env.RATE_LIMIT_READ !== undefined ? parseInt(process.env.RATE_LIMIT_READ) : 300,
+  RATE_LIMIT_WRITE: process.env.RATE_LIMIT_WRITE !== undefined ? parseInt(process.env.RATE_LIMIT_WRITE) : 60,
+  RATE_LIMIT_TRIGGER: process.env.RATE_LIMIT_TRIGGER !== undefined ? parseInt(process.env.RATE_LIMIT_TRIGGER) : 20,
+  // Requests per window from one IP address, counted before the API key is checked
+  RATE_LIMIT_IP: process.env.RATE_LIMIT_IP !== undefined ? parseInt(process.env.RATE_LIMIT_IP) : 600,
+  // Readiness fails when job discovery has not completed a cycle for this long; defaults to three discovery intervals
+  HEALTH_DISCOVERY_MAX_AGE_MS: parseInt(process.env.HEALTH_DISCOVERY_MAX_AGE_MS) || null,
+  // Recent job events kept in memory so /api/events clients can resume after reconnecting
+  EVENTS_BUFFER_SIZE: parseInt(process.env.EVENTS_BUFFER_SIZE) || 1000,
+  // Alert channels by name, as JSON: {"ops": {"type": "webhook", "url": "..."}, "audit": {"type": "log", "path": "./logs/alerts.log"}}
+  ALERT_CHANNELS: process.env.ALERT_CHANNELS || '',
+  // Alert rules for jobs of a type that have none of their own, as JSON: {"http": [{"consecutiveFailures": 3, "channels": ["ops"]}]}
+  ALERT_TYPE_RULES: process.env.ALERT_TYPE_RULES || '',
+  // How often jobs are checked against noSuccessWithinMs rules
+  ALERT_CHECK_INTERVAL_MS: parseInt(process.env.ALERT_CHECK_INTERVAL_MS) || 60 * 1000,
+  // Job discovery: 'auto' watches the jobs collection with a change stream (falling back to
+  // polling every SCHEDULER_INTERVAL ms without one); 'poll' always polls
+  JOB_DISCOVERY_MODE: process.env.JOB_DISCOVERY_MODE || 'auto',
+  // Full reconcile alongside the change stream, in case a change was missed
+  JOB_RECONCILE_INTERVAL_MS: parseInt(process.env.JOB_RECONCILE_INTERVAL_MS) || 5 * 60 * 1000,
   // add other app-specific config values here
 };
\ No newline at end of file
@@ -0,0 +1,245 @@
+/**
+ * Cron helpers - parsing, plain-English descriptions and schedule previews
+ */
+
+import cronParser from 'cron-parser';
+import cronstrue from 'cronstrue';
+import cron from 'node-cron';
+import { DEFAULT_TIMEZONE, formatInTimezone } from './timezone.js';
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const MONTH_LABELS = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+  'August', 'September', 'October', 'November', 'December'];
+// Longest each month can be; February counts its leap day
+const DAYS_IN_MONTH = [31, 29, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+/**
+ * Splits a cron expression into its fields, tolerating repeated or surrounding whitespace.
+ * @param {string} expression
+ * @returns {string[]}
+ */
+export function cronFields(expression) {
+  return String(expression).trim().split(/\s+/);
+}
+
+/**
+ * The expression with single spaces between fields, as node-cron expects.
+ * @param {string} expression
+ * @returns {string}
+ */
+export function normalizeCron(expression) {
+  return cronFields(expression).join(' ');
+}
+
+// Fields in node-cron's layout: second, minute, hour, day of month, month, day of week.
+// A 5-field expression has no seconds field and fires at second 0, as node-cron runs it.
+function toNodeCronLayout(expression) {
+  const fields = cronFields(expression);
+  return fields.length === 5 ? ['0', ...fields] : fields;
+}
+
+/**
+ * Checks that node-cron, which runs the schedules, can run the expression as written.
+ * cron-parser (used for previews and next run times) also accepts L, W, # and ?, which
+ * node-cron either rejects or silently misreads, e.g. "1#2" runs every Monday.
+ * @param {string} expression
+ * @throws {Error} If the expression uses syntax node-cron does not support.
+ */
+export function checkNodeCronSupport(expression) {
+  const fields = cronFields(expression);
+  if (fields.length !== 5 && fields.length !== 6) {
+    throw new Error(`Expected 5 fields, or 6 with a leading seconds field, but got ${fields.length}`);
+  }
+
+  const layout = toNodeCronLayout(expression);
+  layout.forEach((field, index) => {
+    const names = index === 4 ? MONTH_NAMES : index === 5 ? DAY_NAMES : [];
+    const tokens = field.match(/[A-Za-z]+/g) || [];
+    if (!/^[A-Za-z0-9*,/-]+$/.test(field) || tokens.some(token => !names.includes(token.toLowerCase()))) {
+      throw new Error(`"${field}" is not supported by the scheduler; use numbers, *, ranges, steps, lists `
+        + 'and jan-dec or sun-sat names (L, W, # and ? are not supported)');
+    }
+  });
+
+  if (!cron.validate(layout.join(' '))) {
+    throw new Error('A field value is out of range or malformed');
+  }
+}
+
+/**
+ * Parses a cron expression. It is handed to cron-parser in node-cron's 6-field layout, so
+ * both read the fields the same way.
+ * @param {string} expression
+ * @param {object} [options] - { timezone, currentDate, endDate }
+ * @returns {object} A cron-parser interval.
+ * @throws {Error} If the expression is invalid.
+ */
+export function parseCron(expression, { timezone = DEFAULT_TIMEZONE, currentDate = new Date(), endDate } = {}) {
+  const options = { currentDate, tz: timezone };
+  if (endDate) options.endDate = endDate;
+  return cronParser.parseExpression(toNodeCronLayout(expression).join(' '), options);
+}
+
+/**
+ * The latest fire time at or before `at`. A cron tick takes this as its slot rather than the
+ * clock reading, so late ticks and instances with skewed clocks agree on which fire it is.
+ * @param {string} expression
+ * @param {object} [options] - { timezone, at }
+ * @returns {Date}
+ * @throws {Error} If the expression is invalid.
+ */
+export function previousFireTime(expression, { timezone = DEFAULT_TIMEZONE, at = new Date() } = {}) {
+  // prev() excludes its start time, and a tick may land exactly on its fire time
+  return parseCron(expression, { timezone, currentDate: new Date(at.getTime() + 1) }).prev().toDate();
+}
+
+/**
+ * The shortest gap between consecutive fire times over the next `samples` runs.
+ * @param {string} expression
+ * @param {object} [options] - { timezone, samples }
+ * @returns {number|null} Milliseconds, or null when the schedule fires fewer than twice.
+ * @throws {Error} If the expression is invalid.
+ */
+export function minCronIntervalMs(expression, { timezone = DEFAULT_TIMEZONE, samples = 50 } = {}) {
+  const interval = parseCron(expression, { timezone });
+  let previous = null;
+  let shortest = null;
+  for (let i = 0; i < samples && interval.hasNext(); i++) {
+    const current = interval.next().getTime();
+    if (previous !== null && (shortest === null || current - previous < shortest)) {
+      shortest = current - previous;
+    }
+    previous = current;
+  }
+  return shortest;
+}
+
+/**
+ * Describes a cron expression in plain English, e.g. "At 09:00, Monday through Friday".
+ * @param {string} expression
+ * @returns {string|null} Null when the expression cannot be described.
+ */
+export function describeCron(expression) {
+  try {
+    return cronstrue.toString(normalizeCron(expression), { use24HourTimeFormat: true });
+  } catch (_) {
+    return null;
+  }
+}
+
+// Expands one field ("1-5", "*/15", "jan,mar") into its values; null when it uses
+// syntax we do not expand (L, W, #) so callers skip checks they cannot make
+function expandField(field, min, max, names = []) {
+  if (field === '*' || field === '?') return null;
+
+  const toNumber = token => {
+    const index = names.indexOf(token.toLowerCase());
+    return index !== -1 ? index + min : Number(token);
+  };
+
+  const values = new Set();
+  for (const part of field.split(',')) {
+    const [range, stepToken] = part.split('/');
+    const step = stepToken === undefined ? 1 : Number(stepToken);
+    let start;
+    let end;
+    if (range === '*') {
+      start = min;
+      end = max;
+    } else if (range.includes('-')) {
+      [start, end] = range.split('-').map(toNumber);
+    } else {
+      start = toNumber(range);
+      end = stepToken === undefined ? start : max;
+    }
+    if (![start, end, step].every(Number.isInteger) || step < 1) return null;
+    for (let value = start; value <= end; value += step) values.add(value);
+  }
+  return [...values];
+}
+
+/**
+ * Lists suspicious patterns in a cron expression, such as every-second schedules or dates that never occur.
+ * @param {string} expression
+ * @param {Date[]} [nextRuns] - Upcoming fire times, used to spot sub-minute schedules.
+ * @returns {string[]}
+ */
+export function cronWarnings(expression, nextRuns = []) {
+  const warnings = [];
+  const fields = cronFields(expression);
+  if (fields.length !== 5 && fields.length !== 6) return warnings;
+  const [second, , , dayOfMonth, month, dayOfWeek] = fields.length === 6 ? fields : ['0', ...fields];
+
+  if (second === '*' || second === '*/1') {
+    warnings.push('Runs every second.');
+  } else {
+    const gaps = nextRuns.slice(1).map((date, i) => date.getTime() - nextRuns[i].getTime());
+    if (gaps.some(gap => gap < 60 * 1000)) {
+      warnings.push('Runs more than once a minute.');
+    }
+  }
+
+  const days = expandField(dayOfMonth, 1, 31);
+  const months = expandField(month, 1, 12, MONTH_NAMES) || [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12];
+  if (days && dayOfWeek === '*') {
+    const occurs = (day, m) => day <= DAYS_IN_MONTH[m - 1];
+    if (!days.some(day => months.some(m => occurs(day, m)))) {
+      const monthList = months.map(m => MONTH_LABELS[m - 1]).join(', ');
+      warnings.push(`Never runs: day ${days.join(', ')} does not occur in ${monthList}.`);
+    } else {
+      if (days.every(day => months.every(m => !occurs(day, m) || (m === 2 && day === 29)))) {
+        warnings.push('Only runs in leap years (February 29).');
+      }
+      const skipped = months.filter(m => days.some(day => !occurs(day, m)));
+      if (skipped.length > 0 && days.some(day => day > 29)) {
+        warnings.push(`Skips months that are too short for day ${days.filter(day => day > 28).join(', ')}.`);
+      }
+    }
+  }
+
+  if (dayOfMonth !== '*' && dayOfMonth !== '?' && dayOfWeek !== '*' && dayOfWeek !== '?') {
+    warnings.push('Both day-of-month and day-of-week are set; the job runs when either matches, not both.');
+  }
+
+  return warnings;
+}
+
+/**
+ * Previews a cron schedule: the next fire times, a description and warnings.
+ * An invalid expression is reported through `valid`/`error` rather than thrown.
+ * @param {string} expression
+ * @param {object} [options] - { timezone, count }
+ * @returns {{expression: string, timezone: string, valid: boolean, error: string|null,
+ *   description: string|null, nextRuns: string[], warnings: string[]}}
+ */
+export function previewCron(expression, { timezone = DEFAULT_TIMEZONE, count = 5 } = {}) {
+  const preview = {
+    expression,
+    timezone,
+    valid: true,
+    error: null,
+    description: describeCron(expression),
+    nextRuns: [],
+    warnings: []
+  };
+
+  const dates = [];
+  try {
+    checkNodeCronSupport(expression);
+    const interval = parseCron(expression, { timezone });
+    while (dates.length < count && interval.hasNext()) {
+      dates.push(interval.next().toDate());
+    }
+    if (dates.length === 0) {
+      throw new Error('Schedule never fires');
+    }
+  } catch (error) {
+    preview.valid = false;
+    preview.error = error.message;
+  }
+
+  preview.nextRuns = dates.map(date => formatInTimezone(date, timezone));
+  preview.warnings = cronWarnings(expression, dates);
+  return preview;
+}
@@ -0,0 +1,101 @@
+/**
+ * Event Bus - Job lifecycle events for live consumers such as GET /api/events
+ * Events are kept in a bounded buffer so a reconnecting client can resume from the last
+ * event it saw. The bus is per process: each instance streams the events it produced.
+ */
+
+import { EventEmitter } from 'events';
+import { randomBytes } from 'crypto';
+import { logger } from './logger.js';
+import config from '../config/config.js';
+
+export const JOB_EVENT_TYPES = [
+  'job.created',
+  'job.discovered',
+  'job.scheduled',
+  'job.unscheduled',
+  'run.started',
+  'run.retried',
+  'run.succeeded',
+  'run.failed',
+  'run.cancelled',
+  'run.timed-out',
+  'run.abandoned'
+];
+
+export class EventBus {
+  constructor({ bufferSize = 1000 } = {}) {
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0); // One listener per open stream
+    this.bufferSize = bufferSize;
+    this.buffer = [];
+    this.sequence = 0;
+    // Event IDs are "<streamId>-<sequence>"; the stream ID changes with every process
+    this.streamId = randomBytes(4).toString('hex');
+  }
+
+  /**
+   * Publishes an event about a job.
+   * @param {string} type - One of JOB_EVENT_TYPES.
+   * @param {object} job - The job document, or at least its _id.
+   * @param {object} [data] - Event-specific details.
+   * @returns {object} The event.
+   */
+  publish(type, job, data = {}) {
+    const event = {
+      id: `${this.streamId}-${++this.sequence}`,
+      type,
+      timestamp: new Date().toISOString(),
+      jobId: job?._id ? job._id.toString() : null,
+      jobName: job?.name ?? null,
+      jobType: job?.type ?? null,
+      namespace: job?.namespace ?? null,
+      data
+    };
+
+    this.buffer.push(event);
+    if (this.buffer.length > this.bufferSize) this.buffer.shift();
+    this.emitter.emit('event', event);
+    return event;
+  }
+
+  /**
+   * Calls the listener with every event published from now on.
+   * @param {function(object): void} listener
+   * @returns {function(): void} Removes the listener.
+   */
+  subscribe(listener) {
+    // A failing consumer must not break the publisher or the other consumers
+    const safeListener = event => {
+      try {
+        listener(event);
+      } catch (error) {
+        logger.error('Event listener failed', { eventType: event.type, error: error.message });
+      }
+    };
+    this.emitter.on('event', safeListener);
+    return () => this.emitter.off('event', safeListener);
+  }
+
+  /**
+   * Buffered events published after the given event.
+   * @param {string} lastEventId
+   * @returns {{events: object[], complete: boolean}} complete is false when the event is
+   *   unknown (from another process or already dropped from the buffer); every buffered event
+   *   is returned then, and some may have been missed.
+   */
+  eventsAfter(lastEventId) {
+    const [streamId, sequenceToken] = String(lastEventId).split('-');
+    const lastSequence = Number(sequenceToken);
+    const oldestSequence = this.sequence - this.buffer.length + 1;
+
+    if (streamId !== this.streamId || !Number.isInteger(lastSequence)
+      || lastSequence < oldestSequence - 1 || lastSequence > this.sequence) {
+      return { events: [...this.buffer], complete: false };
+    }
+    return { events: this.buffer.slice(lastSequence - oldestSequence + 1), complete: true };
+  }
+}
+
+// Shared bus the scheduler publishes to
+export const eventBus = new EventBus({ bufferSize: config.EVENTS_BUFFER_SIZE });
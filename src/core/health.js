@@ -0,0 +1,56 @@
+/**
+ * Health - Liveness and readiness reports for /health/live and /health/ready
+ * Live means the process is serving requests; ready means it can also do its work.
+ */
+
+import { isDatabaseConnected, getConnectionState } from '../database/database-connection.js';
+
+// Discovery counts as stale after this many missed intervals
+const DISCOVERY_STALE_INTERVALS = 3;
+
+/**
+ * @returns {{status: string, uptime: number}}
+ */
+export function getLiveness() {
+  return { status: 'ok', uptime: process.uptime() };
+}
+
+/**
+ * Checks the database connection, the scheduler and how recently job discovery completed.
+ * @param {object|null} scheduler - The SchedulerManager, or null while the server is starting.
+ * @param {object} [options] - { discoveryMaxAgeMs }
+ * @returns {{status: string, checks: object}} status is 'ready' or 'not-ready'.
+ */
+export function getReadiness(scheduler, { discoveryMaxAgeMs = null } = {}) {
+  const database = { ok: isDatabaseConnected(), state: getConnectionState() };
+
+  let schedulerCheck;
+  if (!scheduler) {
+    schedulerCheck = { ok: false, state: 'starting' };
+  } else if (scheduler.isShuttingDown) {
+    schedulerCheck = { ok: false, state: 'shutting-down' };
+  } else {
+    schedulerCheck = { ok: true, state: 'running' };
+  }
+
+  let discovery = { ok: false, lastCycleAt: null };
+  if (scheduler) {
+    const { mode, isStreamOpen, cycleInterval, discoveryInterval, lastCycleAt, lastError, isPaused } = scheduler.jobDiscovery.getStatus();
+    const maxAgeMs = discoveryMaxAgeMs || (cycleInterval || discoveryInterval) * DISCOVERY_STALE_INTERVALS;
+    const ageMs = lastCycleAt ? Date.now() - lastCycleAt.getTime() : null;
+    discovery = {
+      // With a change stream, full cycles are rare and the stream itself has to be up
+      ok: ageMs !== null && ageMs <= maxAgeMs && (mode !== 'change-stream' || isStreamOpen),
+      mode,
+      lastCycleAt,
+      ageMs,
+      maxAgeMs,
+      isPaused,
+      lastError
+    };
+  }
+
+  const checks = { database, scheduler: schedulerCheck, discovery };
+  const ready = Object.values(checks).every(check => check.ok);
+  return { status: ready ? 'ready' : 'not-ready', checks };
+}
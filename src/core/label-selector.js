@@ -0,0 +1,95 @@
+/**
+ * Labels - Key/value labels on jobs and the selectors that match them
+ * Selectors follow the Kubernetes syntax: comma-separated requirements that must all hold,
+ * e.g. "team=billing,env!=staging", "tier in (web,api)", "canary", "!deprecated".
+ */
+
+// Keys may not contain "." or "$" because labels are stored as document fields
+const LABEL_KEY_PATTERN = /^[A-Za-z0-9]([A-Za-z0-9_/-]{0,61}[A-Za-z0-9])?$/;
+const LABEL_VALUE_PATTERN = /^([A-Za-z0-9]([A-Za-z0-9._-]{0,61}[A-Za-z0-9])?)?$/;
+export const MAX_LABELS = 32;
+
+export function isValidLabelKey(key) {
+  return typeof key === 'string' && LABEL_KEY_PATTERN.test(key);
+}
+
+export function isValidLabelValue(value) {
+  return typeof value === 'string' && LABEL_VALUE_PATTERN.test(value);
+}
+
+// Split on commas outside parentheses, so "tier in (web,api),team=x" has two requirements
+function splitRequirements(selector) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (const char of selector) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    if (char === ',' && depth === 0) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+  return parts.map(part => part.trim());
+}
+
+function checkKey(key, requirement) {
+  if (!isValidLabelKey(key)) {
+    throw new Error(`Invalid label key "${key}" in selector requirement "${requirement}".`);
+  }
+}
+
+function checkValues(values, requirement) {
+  const invalid = values.find(value => !isValidLabelValue(value));
+  if (invalid !== undefined) {
+    throw new Error(`Invalid label value "${invalid}" in selector requirement "${requirement}".`);
+  }
+}
+
+/**
+ * Parses a label selector.
+ * @param {string} selector
+ * @returns {Array<{key: string, operator: string, values: string[]}>} Requirements; operator is
+ *   one of '=', '!=', 'in', 'notin', 'exists', '!exists'.
+ * @throws {Error} If the selector is empty or malformed.
+ */
+export function parseLabelSelector(selector) {
+  if (typeof selector !== 'string' || selector.trim() === '') {
+    throw new Error('Label selector must be a non-empty string.');
+  }
+
+  return splitRequirements(selector).map(requirement => {
+    if (requirement === '') {
+      throw new Error(`Empty requirement in label selector "${selector}".`);
+    }
+
+    const setMatch = requirement.match(/^(\S+)\s+(in|notin)\s*\(([^()]*)\)$/);
+    if (setMatch) {
+      const [, key, operator, list] = setMatch;
+      const values = list.split(',').map(value => value.trim());
+      checkKey(key, requirement);
+      checkValues(values, requirement);
+      return { key, operator, values };
+    }
+
+    const equalityMatch = requirement.match(/^([^=!\s]+)\s*(==|=|!=)\s*(\S*)$/);
+    if (equalityMatch) {
+      const [, key, operator, value] = equalityMatch;
+      checkKey(key, requirement);
+      checkValues([value], requirement);
+      return { key, operator: operator === '!=' ? '!=' : '=', values: [value] };
+    }
+
+    const existsMatch = requirement.match(/^(!?)\s*([^=!\s()]+)$/);
+    if (existsMatch) {
+      const [, negated, key] = existsMatch;
+      checkKey(key, requirement);
+      return { key, operator: negated ? '!exists' : 'exists', values: [] };
+    }
+
+    throw new Error(`Cannot parse label selector requirement "${requirement}".`);
+  });
+}
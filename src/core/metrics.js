@@ -0,0 +1,136 @@
+/**
+ * Metrics - Prometheus instrumentation for the scheduler and the API
+ * Modules record through the helpers below; GET /metrics serves the registry.
+ */
+
+import client from 'prom-client';
+
+export const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry });
+
+// Gauges read the scheduler's state when scraped rather than tracking every change
+let scheduler = null;
+
+const jobRuns = new client.Counter({
+  name: 'scheduler_job_runs_total',
+  help: 'Finished job runs by job type, outcome and trigger',
+  labelNames: ['job_type', 'outcome', 'trigger'],
+  registers: [registry]
+});
+
+const runDuration = new client.Histogram({
+  name: 'scheduler_job_run_duration_seconds',
+  help: 'Time from the start of a run to its end, retries included',
+  labelNames: ['job_type', 'outcome'],
+  buckets: [0.05, 0.1, 0.5, 1, 5, 15, 30, 60, 300, 900, 3600],
+  registers: [registry]
+});
+
+const scheduleLag = new client.Histogram({
+  name: 'scheduler_schedule_lag_seconds',
+  help: 'Actual start minus scheduled time of a run',
+  labelNames: ['job_type', 'trigger'],
+  buckets: [0.01, 0.05, 0.1, 0.5, 1, 5, 15, 60, 300, 3600],
+  registers: [registry]
+});
+
+new client.Gauge({
+  name: 'scheduler_scheduled_tasks',
+  help: 'Jobs scheduled on this instance',
+  registers: [registry],
+  collect() {
+    this.set(scheduler ? scheduler.getScheduledJobCount() : 0);
+  }
+});
+
+new client.Gauge({
+  name: 'scheduler_in_flight_runs',
+  help: 'Runs executing on this instance by job type',
+  labelNames: ['job_type'],
+  registers: [registry],
+  collect() {
+    this.reset();
+    const counts = new Map();
+    for (const run of scheduler ? scheduler.jobExecutor.getInFlightRuns() : []) {
+      counts.set(run.jobType, (counts.get(run.jobType) || 0) + 1);
+    }
+    counts.forEach((count, jobType) => this.set({ job_type: jobType }, count));
+  }
+});
+
+new client.Gauge({
+  name: 'scheduler_queued_runs',
+  help: 'Runs waiting in the run queue on this instance',
+  registers: [registry],
+  collect() {
+    this.set(scheduler ? scheduler.runQueue.getStatus().depth : 0);
+  }
+});
+
+const discoveryDuration = new client.Histogram({
+  name: 'scheduler_discovery_duration_seconds',
+  help: 'Duration of job discovery cycles',
+  buckets: [0.005, 0.01, 0.05, 0.1, 0.5, 1, 5, 10],
+  registers: [registry]
+});
+
+const discoveryErrors = new client.Counter({
+  name: 'scheduler_discovery_errors_total',
+  help: 'Job discovery cycles that failed',
+  registers: [registry]
+});
+
+const httpDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request latency by method, route and status code',
+  labelNames: ['method', 'route', 'status'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5],
+  registers: [registry]
+});
+
+/**
+ * Reports the gauges from this scheduler instance.
+ * @param {object} manager - The SchedulerManager.
+ */
+export function observeScheduler(manager) {
+  scheduler = manager;
+}
+
+/**
+ * Records a finished run.
+ * @param {object} job - The job that ran.
+ * @param {object} run - { outcome, trigger, durationMs }
+ */
+export function recordRun(job, { outcome, trigger, durationMs }) {
+  const jobType = job.type || 'unknown';
+  jobRuns.inc({ job_type: jobType, outcome, trigger });
+  runDuration.observe({ job_type: jobType, outcome }, durationMs / 1000);
+}
+
+/**
+ * Records how late a run started compared to its slot.
+ * @param {object} job
+ * @param {object} run - { trigger, scheduledAt, startedAt }
+ */
+export function recordScheduleLag(job, { trigger, scheduledAt, startedAt }) {
+  const lagMs = Math.max(startedAt.getTime() - new Date(scheduledAt).getTime(), 0);
+  scheduleLag.observe({ job_type: job.type || 'unknown', trigger }, lagMs / 1000);
+}
+
+/**
+ * Records a job discovery cycle.
+ * @param {number} durationMs
+ * @param {boolean} [failed]
+ */
+export function recordDiscovery(durationMs, failed = false) {
+  discoveryDuration.observe(durationMs / 1000);
+  if (failed) discoveryErrors.inc();
+}
+
+/**
+ * Records a finished HTTP request.
+ * @param {object} request - { method, route, status, durationMs }
+ */
+export function recordHttpRequest({ method, route, status, durationMs }) {
+  httpDuration.observe({ method, route, status: String(status) }, durationMs / 1000);
+}
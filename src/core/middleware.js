@@ -4,12 +4,27 @@
  */
 
 import { logger } from './logger.js';
+import config from '../config/config.js';
+import { isValidNamespace } from './namespaces.js';
+import { recordHttpRequest } from './metrics.js';
 
-// CORS middleware
-export function cors(req, res, next) {
-  res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
+// Origins from a comma-separated list such as "https://app.example.com,https://admin.example.com"
+function parseOrigins(origins) {
+  return String(origins || '').split(',').map(origin => origin.trim()).filter(Boolean);
+}
+
+// Only the allowed origins (or any, with "*") may call the API from a browser
+function applyCors(req, res, next, allowedOrigins) {
+  const origin = req.get('Origin');
+  if (allowedOrigins.includes('*')) {
+    res.header('Access-Control-Allow-Origin', '*');
+  } else if (origin && allowedOrigins.includes(origin)) {
+    res.header('Access-Control-Allow-Origin', origin);
+    res.header('Vary', 'Origin');
+  }
+  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, X-API-Key, X-Namespace');
+  res.header('Access-Control-Expose-Headers', 'RateLimit-Policy, RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset, Retry-After');
   
   if (req.method === 'OPTIONS') {
     res.sendStatus(200);
@@ -18,9 +33,66 @@ export function cors(req, res, next) {
   }
 }
 
+// CORS middleware for the configured origins
+export function cors(req, res, next) {
+  applyCors(req, res, next, parseOrigins(config.CORS_ORIGINS));
+}
+
 // CORS middleware function (for use with app.use())
-export function corsMiddleware() {
-  return cors;
+export function corsMiddleware(origins = config.CORS_ORIGINS) {
+  const allowedOrigins = parseOrigins(origins);
+  return (req, res, next) => applyCors(req, res, next, allowedOrigins);
+}
+
+// The key from "Authorization: Bearer <key>" or "X-API-Key: <key>"
+function readApiKey(req) {
+  const authorization = req.get('Authorization') || '';
+  const match = authorization.match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : req.get('X-API-Key') || null;
+}
+
+// API key authentication; needs res.locals.apiKeyService and sets res.locals.apiKey.
+// Also sets res.locals.namespace: the key's own, or for admin keys the one named in X-Namespace.
+export async function authenticate(req, res, next) {
+  const key = readApiKey(req);
+  if (!key) {
+    res.header('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({ error: 'API key required' });
+  }
+
+  try {
+    const apiKey = await res.locals.apiKeyService.authenticate(key);
+    if (!apiKey) {
+      res.header('WWW-Authenticate', 'Bearer error="invalid_token"');
+      return res.status(401).json({ error: 'Invalid or revoked API key' });
+    }
+    res.locals.apiKey = apiKey;
+
+    const requested = req.get('X-Namespace');
+    if (requested && requested !== apiKey.namespace) {
+      if (!apiKey.scopes.includes('admin')) {
+        return res.status(403).json({ error: 'Only admin API keys can act in another namespace' });
+      }
+      if (!isValidNamespace(requested)) {
+        return res.status(400).json({ error: `Invalid namespace: "${requested}"` });
+      }
+    }
+    res.locals.namespace = requested || apiKey.namespace;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Per-route scope check, used after authenticate; 'admin' keys pass every check
+export function requireScope(scope) {
+  return (req, res, next) => {
+    const scopes = res.locals.apiKey?.scopes ?? [];
+    if (scopes.includes(scope) || scopes.includes('admin')) {
+      return next();
+    }
+    return res.status(403).json({ error: `API key lacks the "${scope}" scope` });
+  };
 }
 
 // Request size limiter middleware
@@ -38,12 +110,103 @@ export function requestSizeLimiter(req, res, next) {
   next();
 }
 
+// Which budget a request draws on: manual triggers, other writes, or reads
+function rateLimitBudget(req) {
+  if (req.method === 'GET' || req.method === 'HEAD') return 'read';
+  if (req.method === 'POST' && /\/run\/?$/.test(req.path)) return 'trigger';
+  return 'write';
+}
+
+// Counts a request against `limit` for `key` in the current window. Sends RateLimit-* headers;
+// over the limit it answers 429 with Retry-After. If the store fails, the request is let
+// through rather than taking the API down.
+async function enforceLimit(req, res, next, { store, windowMs, limit, key, message }) {
+  const now = Date.now();
+  const windowStart = Math.floor(now / windowMs) * windowMs;
+  const resetAt = new Date(windowStart + windowMs);
+
+  let count;
+  try {
+    count = await store.increment(`${key}:${windowStart}`, resetAt);
+  } catch (error) {
+    logger.warn('Rate limit store unavailable, allowing request', { error: error.message });
+    return next();
+  }
+
+  const resetSeconds = Math.ceil((resetAt.getTime() - now) / 1000);
+  res.header('RateLimit-Policy', `${limit};w=${Math.round(windowMs / 1000)}`);
+  res.header('RateLimit-Limit', String(limit));
+  res.header('RateLimit-Remaining', String(Math.max(limit - count, 0)));
+  res.header('RateLimit-Reset', String(resetSeconds));
+
+  if (count > limit) {
+    res.header('Retry-After', String(resetSeconds));
+    return res.status(429).json({ error: `${message}; retry in ${resetSeconds}s` });
+  }
+  next();
+}
+
+/**
+ * Rate limiting per client with separate read, write and trigger budgets per window.
+ * Clients are identified by their API key (so mount after authenticate), or by IP without one.
+ * @param {object} options
+ * @param {object} options.store - Counter store from createRateLimitStore.
+ * @param {number} [options.windowMs] - Window length.
+ * @param {object} [options.limits] - { read, write, trigger } requests per window; 0 disables a budget.
+ * @returns {Function} Express middleware.
+ */
+export function rateLimit({ store, windowMs = 60 * 1000, limits = {} }) {
+  return (req, res, next) => {
+    const budget = rateLimitBudget(req);
+    const limit = limits[budget];
+    if (!limit) return next();
+
+    const client = res.locals.apiKey ? `key:${res.locals.apiKey._id}` : `ip:${req.ip}`;
+    return enforceLimit(req, res, next, {
+      store,
+      windowMs,
+      limit,
+      key: `${budget}:${client}`,
+      message: `Too many ${budget} requests`
+    });
+  };
+}
+
+/**
+ * Rate limiting per IP address across every request. Mounted before authenticate, so
+ * requests with a wrong API key count too and keys cannot be guessed at full speed.
+ * @param {object} options
+ * @param {object} options.store - Counter store from createRateLimitStore.
+ * @param {number} [options.windowMs] - Window length.
+ * @param {number} [options.limit] - Requests per window; 0 disables the limit.
+ * @returns {Function} Express middleware.
+ */
+export function ipRateLimit({ store, windowMs = 60 * 1000, limit = 0 }) {
+  return (req, res, next) => {
+    if (!limit) return next();
+    return enforceLimit(req, res, next, {
+      store,
+      windowMs,
+      limit,
+      key: `address:ip:${req.ip}`,
+      message: 'Too many requests from this address'
+    });
+  };
+}
+
 // Request logging middleware
 export function requestLogger(req, res, next) {
   const startTime = Date.now();
   
   res.on('finish', () => {
     const duration = Date.now() - startTime;
+    // Label by the matched route pattern (e.g. /api/jobs/:id) so IDs do not become label values
+    recordHttpRequest({
+      method: req.method,
+      route: req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched',
+      status: res.statusCode,
+      durationMs: duration
+    });
     logger.info('HTTP Request', {
       method: req.method,
       url: req.url,
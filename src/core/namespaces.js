@@ -0,0 +1,60 @@
+/**
+ * Namespaces - Tenant names and per-namespace quotas
+ * Every job belongs to one namespace; API keys are bound to one and only see its jobs.
+ */
+
+export const DEFAULT_NAMESPACE = 'default';
+
+const NAMESPACE_PATTERN = /^[a-z0-9][a-z0-9_-]{0,62}$/;
+const QUOTA_KEYS = ['maxJobs', 'minIntervalMs'];
+
+/**
+ * Checks a namespace name: lower-case letters, digits, "-" and "_", up to 63 characters.
+ * @param {string} namespace
+ * @returns {boolean}
+ */
+export function isValidNamespace(namespace) {
+  return typeof namespace === 'string' && NAMESPACE_PATTERN.test(namespace);
+}
+
+/**
+ * Parses per-namespace quota overrides such as "team-a:maxJobs=50,minIntervalMs=60000;team-b:maxJobs=10".
+ * Unknown keys and malformed values are ignored.
+ * @param {string|object} quotas
+ * @returns {object} Namespace -> { maxJobs?, minIntervalMs? }
+ */
+export function parseNamespaceQuotas(quotas) {
+  if (!quotas) return {};
+  if (typeof quotas === 'object') return { ...quotas };
+  return Object.fromEntries(String(quotas)
+    .split(';')
+    .map(entry => entry.split(':').map(part => part.trim()))
+    .filter(([namespace, settings]) => isValidNamespace(namespace) && settings)
+    .map(([namespace, settings]) => [namespace, Object.fromEntries(settings
+      .split(',')
+      .map(pair => pair.split('=').map(part => part.trim()))
+      .filter(([key, value]) => QUOTA_KEYS.includes(key) && Number.isInteger(Number(value)) && Number(value) >= 0)
+      .map(([key, value]) => [key, Number(value)]))]));
+}
+
+export class NamespaceQuotas {
+  // `maxJobs` / `minIntervalMs` apply to every namespace without an override; 0 means unlimited
+  constructor({ maxJobs = 0, minIntervalMs = 0, overrides = {} } = {}) {
+    this.defaults = { maxJobs, minIntervalMs };
+    this.overrides = parseNamespaceQuotas(overrides);
+  }
+
+  /**
+   * The quota that applies to a namespace.
+   * @param {string} namespace
+   * @returns {{maxJobs: number, minIntervalMs: number}}
+   */
+  get(namespace) {
+    return { ...this.defaults, ...(this.overrides[namespace] || {}) };
+  }
+
+  // Namespaces with their own quota
+  getOverriddenNamespaces() {
+    return Object.keys(this.overrides);
+  }
+}
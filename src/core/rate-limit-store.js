@@ -0,0 +1,111 @@
+/**
+ * Rate Limit Stores - Counters behind the rate limiting middleware
+ * Each store counts hits per key until the key's window ends. The in-memory store
+ * is per instance; the Mongo and Redis stores share budgets between instances.
+ */
+
+import { createClient } from 'redis';
+import { logger } from './logger.js';
+import RateLimitCounter from '../database/rate-limit-model.js';
+
+export const RATE_LIMIT_STORES = ['memory', 'mongo', 'redis'];
+
+export class MemoryRateLimitStore {
+  constructor({ sweepIntervalMs = 60 * 1000 } = {}) {
+    this.counters = new Map(); // key -> { count, expiresAt }
+    // Drop counters whose window has ended
+    this.sweeper = setInterval(() => {
+      const now = Date.now();
+      for (const [key, counter] of this.counters) {
+        if (counter.expiresAt <= now) this.counters.delete(key);
+      }
+    }, sweepIntervalMs);
+    this.sweeper.unref?.();
+  }
+
+  /**
+   * Counts a hit.
+   * @param {string} key - Identifies the client, budget and window.
+   * @param {Date} expiresAt - When the window ends.
+   * @returns {Promise<number>} Hits in the window so far, including this one.
+   */
+  async increment(key, expiresAt) {
+    const counter = this.counters.get(key);
+    if (counter) {
+      counter.count++;
+      return counter.count;
+    }
+    this.counters.set(key, { count: 1, expiresAt: expiresAt.getTime() });
+    return 1;
+  }
+
+  async close() {
+    clearInterval(this.sweeper);
+    this.counters.clear();
+  }
+}
+
+export class MongoRateLimitStore {
+  async increment(key, expiresAt) {
+    const counter = await RateLimitCounter.findOneAndUpdate(
+      { _id: key },
+      { $inc: { count: 1 }, $setOnInsert: { expiresAt } },
+      { upsert: true, new: true }
+    ).lean();
+    return counter.count;
+  }
+
+  async close() {}
+}
+
+export class RedisRateLimitStore {
+  constructor(url) {
+    // Fail commands straight away while disconnected instead of queueing them,
+    // so requests are not held up by a Redis outage
+    this.client = createClient({ url, disableOfflineQueue: true });
+    this.client.on('error', error => logger.error('Redis rate limit store error', { error: error.message }));
+    this.client.connect().catch(() => { /* reported through the 'error' event; the client keeps retrying */ });
+  }
+
+  async increment(key, expiresAt) {
+    const redisKey = `ratelimit:${key}`;
+    const [count] = await this.client.multi()
+      .incr(redisKey)
+      .pExpireAt(redisKey, expiresAt.getTime())
+      .exec();
+    return Number(count);
+  }
+
+  async close() {
+    try {
+      if (this.client.isReady) {
+        await this.client.quit();
+      } else {
+        await this.client.disconnect();
+      }
+    } catch (_) { /* already closed */ }
+  }
+}
+
+/**
+ * Builds the configured store.
+ * @param {string} kind - 'memory', 'mongo' or 'redis'.
+ * @param {object} [options] - { redisUrl }
+ * @returns {MemoryRateLimitStore|MongoRateLimitStore|RedisRateLimitStore}
+ * @throws {Error} If the kind is unknown, or 'redis' is chosen without a URL.
+ */
+export function createRateLimitStore(kind = 'memory', { redisUrl = null } = {}) {
+  switch (kind) {
+    case 'memory':
+      return new MemoryRateLimitStore();
+    case 'mongo':
+      return new MongoRateLimitStore();
+    case 'redis':
+      if (!redisUrl) {
+        throw new Error('RATE_LIMIT_STORE is "redis" but REDIS_URL is not set');
+      }
+      return new RedisRateLimitStore(redisUrl);
+    default:
+      throw new Error(`Unknown RATE_LIMIT_STORE "${kind}". Must be one of: ${RATE_LIMIT_STORES.join(', ')}`);
+  }
+}
@@ -0,0 +1,43 @@
+/**
+ * Timezone helpers - IANA zone validation and formatting
+ */
+
+import { DateTime } from 'luxon';
+
+// Zone used for jobs that do not set their own
+export const DEFAULT_TIMEZONE = process.env.TZ || 'UTC';
+
+/**
+ * Checks whether a string is a timezone name the runtime understands (IANA, e.g. "Europe/Berlin").
+ * @param {string} timezone
+ * @returns {boolean}
+ */
+export function isValidTimezone(timezone) {
+  if (!timezone || typeof timezone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return DateTime.local().setZone(timezone).isValid;
+  } catch (_) {
+    return false;
+  }
+}
+
+/**
+ * The timezone a job's cron schedule is evaluated in.
+ * @param {object} job
+ * @returns {string}
+ */
+export function resolveTimezone(job) {
+  return job?.timezone || DEFAULT_TIMEZONE;
+}
+
+/**
+ * Formats a date as ISO-8601 with the offset of the given zone, e.g. "2024-03-11T09:00:00.000-04:00".
+ * @param {Date|null} date
+ * @param {string} timezone
+ * @returns {string|null}
+ */
+export function formatInTimezone(date, timezone) {
+  if (!date) return null;
+  return DateTime.fromJSDate(new Date(date), { zone: timezone }).toISO();
+}
@@ -0,0 +1,71 @@
+/**
+ * Alert Model - MongoDB Schema
+ * One document per alert raised by a rule; it stays 'open' until the job succeeds again.
+ */
+
+import mongoose from 'mongoose';
+
+export const ALERT_CONDITIONS = ['consecutive-failures', 'no-success'];
+export const ALERT_STATUSES = ['open', 'resolved'];
+
+const alertSchema = new mongoose.Schema({
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: true
+  },
+
+  // Copied from the job so alerts stay readable after it is renamed or deleted
+  jobName: { type: String, required: true },
+  jobType: { type: String, required: true },
+  namespace: { type: String, required: true },
+
+  // Identifies the rule, e.g. "consecutive-failures:3"; at most one open alert per job and rule
+  ruleKey: {
+    type: String,
+    required: true
+  },
+
+  condition: {
+    type: String,
+    enum: ALERT_CONDITIONS,
+    required: true
+  },
+
+  // Channel names the notifications went to
+  channels: {
+    type: [String],
+    default: []
+  },
+
+  message: {
+    type: String,
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: ALERT_STATUSES,
+    default: 'open'
+  },
+
+  openedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  resolvedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Deduplication across instances: a second open alert for the same job and rule is rejected
+alertSchema.index({ jobId: 1, ruleKey: 1 }, { unique: true, partialFilterExpression: { status: 'open' } });
+alertSchema.index({ namespace: 1, status: 1, openedAt: -1 });
+
+const Alert = mongoose.model('Alert', alertSchema);
+
+export default Alert;
@@ -0,0 +1,43 @@
+/**
+ * Alert Repository - Database Operations for alerts
+ */
+
+import Alert from './alert-model.js';
+import { logger } from '../core/logger.js';
+
+export class AlertRepository {
+  // Open an alert; null when one is already open for the job and rule
+  async open(alertData) {
+    try {
+      return await new Alert({ ...alertData, status: 'open', openedAt: new Date() }).save();
+    } catch (error) {
+      if (error.code === 11000) return null;
+      logger.error('Failed to open alert', { jobId: alertData.jobId, ruleKey: alertData.ruleKey, error: error.message });
+      throw error;
+    }
+  }
+
+  // Open alerts of a job
+  async findOpenByJobId(jobId) {
+    try {
+      return await Alert.find({ jobId, status: 'open' });
+    } catch (error) {
+      logger.error('Failed to find open alerts', { jobId, error: error.message });
+      throw error;
+    }
+  }
+
+  // Resolve an open alert; null when it was already resolved (e.g. by another instance)
+  async resolve(id) {
+    try {
+      return await Alert.findOneAndUpdate(
+        { _id: id, status: 'open' },
+        { $set: { status: 'resolved', resolvedAt: new Date() } },
+        { new: true }
+      );
+    } catch (error) {
+      logger.error('Failed to resolve alert', { id, error: error.message });
+      throw error;
+    }
+  }
+}
@@ -0,0 +1,58 @@
+/**
+ * Alert Service - Alert state behind the alert manager
+ * Depends on an abstract alert repository, like JobService.
+ */
+import * as loggerModule from '../core/logger.js';
+
+const logger = loggerModule?.default ?? loggerModule?.logger ?? console;
+
+export class AlertService {
+  constructor(repository) {
+    if (!repository) {
+      throw new Error('AlertService requires a repository.');
+    }
+    this.repository = repository;
+  }
+
+  /**
+   * Opens an alert for a job and rule unless one is already open.
+   * @param {object} job - The job document.
+   * @param {object} alert - { ruleKey, condition, channels, message }
+   * @returns {Promise<object|null>} The new alert, or null when it is a duplicate.
+   */
+  async open(job, { ruleKey, condition, channels, message }) {
+    try {
+      return await this.repository.open({
+        jobId: job._id,
+        jobName: job.name,
+        jobType: job.type,
+        namespace: job.namespace,
+        ruleKey,
+        condition,
+        channels,
+        message
+      });
+    } catch (err) {
+      logger?.error?.('alertService.open error', { jobId: job?._id, ruleKey, err: err?.stack ?? err });
+      throw err;
+    }
+  }
+
+  async getOpenByJobId(jobId) {
+    try {
+      return await this.repository.findOpenByJobId(jobId);
+    } catch (err) {
+      logger?.error?.('alertService.getOpenByJobId error', { jobId, err: err?.stack ?? err });
+      throw err;
+    }
+  }
+
+  async resolve(id) {
+    try {
+      return await this.repository.resolve(id);
+    } catch (err) {
+      logger?.error?.('alertService.resolve error', { id, err: err?.stack ?? err });
+      throw err;
+    }
+  }
+}
@@ -0,0 +1,71 @@
+/**
+ * API Key Model - MongoDB Schema
+ * Only a hash of each key is stored; the key itself is shown once, when it is created.
+ */
+
+import mongoose from 'mongoose';
+import { DEFAULT_NAMESPACE } from '../core/namespaces.js';
+
+export const API_KEY_SCOPES = ['jobs:read', 'jobs:write', 'jobs:run', 'admin'];
+
+const apiKeySchema = new mongoose.Schema({
+  // Who or what the key is for, e.g. "ci-pipeline"
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 255
+  },
+
+  // First characters of the key, so it can be recognised in listings
+  prefix: {
+    type: String,
+    required: true
+  },
+
+  // SHA-256 of the full key
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // Namespace whose jobs the key can see; admin keys may act in others
+  namespace: {
+    type: String,
+    default: DEFAULT_NAMESPACE
+  },
+
+  scopes: {
+    type: [{ type: String, enum: API_KEY_SCOPES }],
+    default: []
+  },
+
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Set when the key is revoked; revoked keys are kept for the audit trail
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    // Never send the hash back to clients
+    transform(doc, ret) {
+      delete ret.keyHash;
+      return ret;
+    }
+  }
+});
+
+apiKeySchema.methods.isRevoked = function() {
+  return !!this.revokedAt;
+};
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+export default ApiKey;
@@ -0,0 +1,97 @@
+/**
+ * API Key Repository - Database Operations for API keys
+ */
+
+import ApiKey from './api-key-model.js';
+import { logger } from '../core/logger.js';
+
+export class ApiKeyRepository {
+  // Store a new key (already hashed)
+  async create(keyData) {
+    try {
+      const apiKey = await new ApiKey(keyData).save();
+      logger.info('API key created', { apiKeyId: apiKey._id, name: apiKey.name, scopes: apiKey.scopes });
+      return apiKey;
+    } catch (error) {
+      logger.error('Failed to create API key', { error: error.message });
+      throw error;
+    }
+  }
+
+  // Look a key up by the hash of the presented key
+  async findByHash(keyHash) {
+    try {
+      return await ApiKey.findOne({ keyHash });
+    } catch (error) {
+      logger.error('Failed to find API key', { error: error.message });
+      throw error;
+    }
+  }
+
+  // All keys, newest first
+  async findAll({ includeRevoked = false } = {}) {
+    try {
+      const query = includeRevoked ? {} : { revokedAt: null };
+      return await ApiKey.find(query).sort({ createdAt: -1 });
+    } catch (error) {
+      logger.error('Failed to list API keys', { error: error.message });
+      throw error;
+    }
+  }
+
+  // Whether any key can still be used
+  async hasActiveKeys() {
+    try {
+      return (await ApiKey.countDocuments({ revokedAt: null })) > 0;
+    } catch (error) {
+      logger.error('Failed to count API keys', { error: error.message });
+      throw error;
+    }
+  }
+
+  // Revoke a key; revoking twice keeps the original time
+  async revoke(id) {
+    try {
+      const apiKey = await ApiKey.findById(id);
+      if (!apiKey) {
+        throw new Error('API key not found');
+      }
+      if (!apiKey.revokedAt) {
+        apiKey.revokedAt = new Date();
+        await apiKey.save();
+        logger.info('API key revoked', { apiKeyId: apiKey._id, name: apiKey.name });
+      }
+      return apiKey;
+    } catch (error) {
+      logger.error('Failed to revoke API key', { id, error: error.message });
+      throw error;
+    }
+  }
+
+  // Revoke every active key with this name except the one with `keepHash`; returns how many were revoked
+  async revokeOthersNamed(name, keepHash) {
+    try {
+      const result = await ApiKey.updateMany(
+        { name, revokedAt: null, keyHash: { $ne: keepHash } },
+        { $set: { revokedAt: new Date() } }
+      );
+      if (result.modifiedCount > 0) {
+        logger.info('API keys revoked', { name, count: result.modifiedCount });
+      }
+      return result.modifiedCount;
+    } catch (error) {
+      logger.error('Failed to revoke API keys by name', { name, error: error.message });
+      throw error;
+    }
+  }
+
+  // Record when a key was last used
+  async touch(id, lastUsedAt = new Date()) {
+    try {
+      await ApiKey.updateOne({ _id: id }, { $set: { lastUsedAt } });
+    } catch (error) {
+      logger.error('Failed to record API key use', { id, error: error.message });
+      throw error;
+    }
+  }
+}
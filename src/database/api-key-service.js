@@ -0,0 +1,158 @@
+/**
+ * API Key Service - Issues and checks API keys
+ * Depends on an abstract key repository, like JobService.
+ */
+import crypto from 'crypto';
+import * as loggerModule from '../core/logger.js';
+import { API_KEY_SCOPES } from './api-key-model.js';
+
+const logger = loggerModule?.default ?? loggerModule?.logger ?? console;
+
+const KEY_PREFIX = 'dsk_';
+// Characters of the key kept in clear text for identification
+const VISIBLE_PREFIX_LENGTH = 12;
+// lastUsedAt is written at most this often per key, not on every request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+// Keys supplied from outside are hashed like generated ones, so they must be as hard to guess
+export const MIN_SUPPLIED_KEY_LENGTH = 32;
+
+/**
+ * Hashes a key for storage and lookup. Keys are long random strings, so a plain SHA-256 is enough.
+ * @param {string} key
+ * @returns {string} Hex digest.
+ */
+export function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+export class ApiKeyService {
+  constructor(repository) {
+    if (!repository) {
+      throw new Error('ApiKeyService requires a repository.');
+    }
+    this.repository = repository;
+  }
+
+  /**
+   * Validates the scopes requested for a new key.
+   * @param {string[]} scopes
+   * @throws {Error} If the list is empty or has unknown scopes.
+   */
+  validateScopes(scopes) {
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      throw new Error(`scopes must be a non-empty array of: ${API_KEY_SCOPES.join(', ')}.`);
+    }
+    const unknown = scopes.find(scope => !API_KEY_SCOPES.includes(scope));
+    if (unknown !== undefined) {
+      throw new Error(`Unknown scope "${unknown}". Must be one of: ${API_KEY_SCOPES.join(', ')}.`);
+    }
+  }
+
+  /**
+   * Creates a key. The returned `key` is the only time the full key is available.
+   * @param {object} data - { name, scopes, namespace }
+   * @returns {Promise<{key: string, apiKey: object}>}
+   */
+  async create({ name, scopes, namespace }) {
+    try {
+      const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+      const apiKey = await this.repository.create({
+        name,
+        namespace,
+        scopes: [...new Set(scopes)],
+        prefix: key.slice(0, VISIBLE_PREFIX_LENGTH),
+        keyHash: hashApiKey(key)
+      });
+      return { key, apiKey };
+    } catch (err) {
+      logger?.error?.('apiKeyService.create error', { name, scopes, err: err?.stack ?? err });
+      throw err;
+    }
+  }
+
+  /**
+   * Stores a key supplied from outside (e.g. the ADMIN_API_KEY bootstrap key) if it is not stored yet.
+   * The supplied key replaces earlier keys of the same name: they are revoked, so rotating the
+   * configured key locks out the old one.
+   * @param {string} key
+   * @param {object} data - { name, scopes }
+   * @returns {Promise<object>} The stored key.
+   * @throws {Error} If the key is shorter than MIN_SUPPLIED_KEY_LENGTH or was revoked.
+   */
+  async ensureKey(key, { name, scopes }) {
+    if (typeof key !== 'string' || key.length < MIN_SUPPLIED_KEY_LENGTH) {
+      throw new Error(`API key "${name}" must be at least ${MIN_SUPPLIED_KEY_LENGTH} characters long.`);
+    }
+    const keyHash = hashApiKey(key);
+    try {
+      let apiKey = await this.repository.findByHash(keyHash);
+      if (apiKey?.isRevoked()) {
+        throw new Error(`API key "${name}" was revoked; supply a new key.`);
+      }
+      apiKey = apiKey ?? await this.repository.create({
+        name,
+        scopes,
+        prefix: key.slice(0, VISIBLE_PREFIX_LENGTH),
+        keyHash
+      });
+      const revoked = await this.repository.revokeOthersNamed(name, keyHash);
+      if (revoked > 0) {
+        logger?.warn?.(`Revoked ${revoked} earlier "${name}" API key(s) replaced by the configured key`, { name });
+      }
+      return apiKey;
+    } catch (err) {
+      logger?.error?.('apiKeyService.ensureKey error', { name, err: err?.stack ?? err });
+      throw err;
+    }
+  }
+
+  /**
+   * Resolves a presented key to its record and records the use.
+   * @param {string} key
+   * @returns {Promise<object|null>} The key, or null when it is unknown or revoked.
+   */
+  async authenticate(key) {
+    try {
+      const apiKey = await this.repository.findByHash(hashApiKey(key));
+      if (!apiKey || apiKey.isRevoked()) return null;
+
+      const now = new Date();
+      if (!apiKey.lastUsedAt || now.getTime() - apiKey.lastUsedAt.getTime() >= LAST_USED_RESOLUTION_MS) {
+        apiKey.lastUsedAt = now;
+        // Best effort: a failed write must not fail the request
+        this.repository.touch(apiKey._id, now).catch(() => {});
+      }
+      return apiKey;
+    } catch (err) {
+      logger?.error?.('apiKeyService.authenticate error', { err: err?.stack ?? err });
+      throw err;
+    }
+  }
+
+  async list(options = {}) {
+    try {
+      return await this.repository.findAll(options);
+    } catch (err) {
+      logger?.error?.('apiKeyService.list error', { err: err?.stack ?? err });
+      throw err;
+    }
+  }
+
+  async hasActiveKeys() {
+    try {
+      return await this.repository.hasActiveKeys();
+    } catch (err) {
+      logger?.error?.('apiKeyService.hasActiveKeys error', { err: err?.stack ?? err });
+      throw err;
+    }
+  }
+
+  async revoke(id) {
+    try {
+      return await this.repository.revoke(id);
+    } catch (err) {
+      logger?.error?.('apiKeyService.revoke error', { id, err: err?.stack ?? err });
+      throw err;
+    }
+  }
+}
@@ -3,6 +3,64 @@ import { logger } from '../core/logger.js'; // Ensure logger is imported
 import config from '../config/config.js';
 
 let isConnected = false;
+let watchingConnection = false;
+let lostAt = null;
+const connectionListeners = new Set();
+
+// Keep isConnected in step with the driver, which drops and re-establishes the connection on its own
+function watchConnection() {
+  if (watchingConnection) return;
+  watchingConnection = true;
+
+  const setConnected = connected => {
+    if (connected === isConnected) return;
+    isConnected = connected;
+    if (!connected) {
+      lostAt = Date.now();
+      logger.warn('MongoDB connection lost');
+    } else if (lostAt) {
+      logger.info('MongoDB connection restored', { downtimeMs: Date.now() - lostAt });
+      lostAt = null;
+    }
+    connectionListeners.forEach(listener => {
+      try {
+        listener(connected);
+      } catch (error) {
+        logger.error('Database connection listener failed', { error: error.message });
+      }
+    });
+  };
+
+  mongoose.connection.on('disconnected', () => setConnected(false));
+  mongoose.connection.on('reconnected', () => setConnected(true));
+  mongoose.connection.on('connected', () => setConnected(true));
+}
+
+/**
+ * Whether mongoose currently has a live connection.
+ * @returns {boolean}
+ */
+export function isDatabaseConnected() {
+  return mongoose.connection.readyState === mongoose.ConnectionStates.connected;
+}
+
+/**
+ * The mongoose connection state, e.g. 'connected', 'connecting' or 'disconnected'.
+ * @returns {string}
+ */
+export function getConnectionState() {
+  return mongoose.STATES[mongoose.connection.readyState] || 'unknown';
+}
+
+/**
+ * Calls the listener with true or false whenever the connection is restored or lost.
+ * @param {function(boolean): void} listener
+ * @returns {function(): void} Removes the listener.
+ */
+export function onConnectionChange(listener) {
+  connectionListeners.add(listener);
+  return () => connectionListeners.delete(listener);
+}
 
 export async function connectToDatabase() {
   if (isConnected) {
@@ -16,6 +74,7 @@ export async function connectToDatabase() {
         throw new Error('MONGO_URI is not defined in .env file or config.js');
     }
 
+    watchConnection();
     await mongoose.connect(mongoUri);
     isConnected = true;
     
@@ -36,8 +95,9 @@ export async function connectToDatabase() {
 
 export async function disconnectFromDatabase() {
   if (isConnected) {
-    await mongoose.disconnect();
+    // Cleared first so the resulting 'disconnected' event is not reported as an outage
     isConnected = false;
+    await mongoose.disconnect();
     logger.info('Database disconnected');
   }
 }
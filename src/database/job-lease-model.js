@@ -0,0 +1,68 @@
+/**
+ * Job Lease Model - MongoDB Schema
+ * A lease claims one scheduled slot of a job for a single scheduler instance,
+ * so replicas sharing a database fire each slot once.
+ */
+
+import mongoose from 'mongoose';
+
+// Released leases are kept this long so late ticks still see the slot as taken
+const LEASE_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+const jobLeaseSchema = new mongoose.Schema({
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: true
+  },
+
+  // The scheduled fire time this lease covers
+  slot: {
+    type: Date,
+    required: true
+  },
+
+  // SchedulerManager instance holding the lease
+  instanceId: {
+    type: String,
+    required: true
+  },
+
+  state: {
+    type: String,
+    enum: ['held', 'released'],
+    default: 'held'
+  },
+
+  acquiredAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // A held lease past this time belongs to a dead instance and may be reclaimed
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  releasedAt: {
+    type: Date,
+    default: null
+  },
+
+  // MongoDB TTL cleanup
+  purgeAt: {
+    type: Date,
+    default: () => new Date(Date.now() + LEASE_RETENTION_MS)
+  }
+});
+
+// One lease per job slot; the unique index is what makes claiming atomic
+jobLeaseSchema.index({ jobId: 1, slot: 1 }, { unique: true });
+jobLeaseSchema.index({ state: 1, expiresAt: 1 });
+jobLeaseSchema.index({ purgeAt: 1 }, { expireAfterSeconds: 0 });
+
+const JobLease = mongoose.model('JobLease', jobLeaseSchema);
+
+export { LEASE_RETENTION_MS };
+export default JobLease;
@@ -0,0 +1,87 @@
+/**
+ * Job Lease Repository - Atomic lease operations
+ */
+
+import JobLease, { LEASE_RETENTION_MS } from './job-lease-model.js';
+import { logger } from '../core/logger.js';
+
+const DUPLICATE_KEY = 11000;
+
+export class JobLeaseRepository {
+  /**
+   * Claims a job slot. Succeeds when the slot is unclaimed, or when its holder
+   * let the lease expire without releasing it (i.e. crashed).
+   * @returns {Promise<{lease: object, reclaimedFrom: string|null}|null>} null if another instance holds the slot.
+   */
+  async acquire(jobId, slot, instanceId, ttlMs) {
+    const now = new Date();
+    try {
+      // Only an expired, still-held lease matches; anything else makes the
+      // upsert collide with the unique (jobId, slot) index.
+      const previous = await JobLease.findOneAndUpdate(
+        { jobId, slot, state: 'held', expiresAt: { $lte: now } },
+        {
+          $set: {
+            instanceId,
+            acquiredAt: now,
+            expiresAt: new Date(now.getTime() + ttlMs),
+            purgeAt: new Date(now.getTime() + ttlMs + LEASE_RETENTION_MS)
+          }
+        },
+        { upsert: true, new: false }
+      );
+
+      return {
+        lease: { jobId, slot, instanceId, expiresAt: new Date(now.getTime() + ttlMs) },
+        reclaimedFrom: previous ? previous.instanceId : null
+      };
+    } catch (error) {
+      if (error.code === DUPLICATE_KEY) {
+        return null;
+      }
+      logger.error('Failed to acquire job lease', { jobId, slot, error: error.message });
+      throw error;
+    }
+  }
+
+  // Extend a lease we still hold; false means it was lost
+  async renew(jobId, slot, instanceId, ttlMs) {
+    try {
+      const expiresAt = new Date(Date.now() + ttlMs);
+      const result = await JobLease.updateOne(
+        { jobId, slot, instanceId, state: 'held' },
+        { $set: { expiresAt, purgeAt: new Date(expiresAt.getTime() + LEASE_RETENTION_MS) } }
+      );
+      return result.matchedCount === 1;
+    } catch (error) {
+      logger.error('Failed to renew job lease', { jobId, slot, error: error.message });
+      throw error;
+    }
+  }
+
+  // Mark the slot as done so no other instance runs it
+  async release(jobId, slot, instanceId) {
+    try {
+      const result = await JobLease.updateOne(
+        { jobId, slot, instanceId, state: 'held' },
+        { $set: { state: 'released', releasedAt: new Date() } }
+      );
+      return result.matchedCount === 1;
+    } catch (error) {
+      logger.error('Failed to release job lease', { jobId, slot, error: error.message });
+      throw error;
+    }
+  }
+
+  // Leases currently held by live instances
+  async findActive() {
+    try {
+      return await JobLease.find({ state: 'held', expiresAt: { $gt: new Date() } })
+        .sort({ acquiredAt: 1 })
+        .lean();
+    } catch (error) {
+      logger.error('Failed to find active job leases', { error: error.message });
+      throw error;
+    }
+  }
+}
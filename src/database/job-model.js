@@ -4,8 +4,80 @@
  */
 
 import mongoose from 'mongoose';
+import { DEFAULT_TIMEZONE, formatInTimezone, isValidTimezone } from '../core/timezone.js';
+import { previewCron } from '../core/cron.js';
+import { DEFAULT_NAMESPACE, isValidNamespace } from '../core/namespaces.js';
+import { MAX_LABELS, isValidLabelKey, isValidLabelValue } from '../core/label-selector.js';
+
+export const BACKOFF_STRATEGIES = ['fixed', 'exponential', 'exponential-jitter'];
+export const FAILURE_POLICIES = ['keep-schedule', 'pause'];
+export const MISFIRE_POLICIES = ['skip', 'run-once-now', 'run-all-missed'];
+export const CONCURRENCY_POLICIES = ['allow', 'forbid', 'replace'];
+export const TRIGGER_CONDITIONS = ['on-success', 'on-failure', 'always'];
+export const JOB_STATUSES = ['active', 'paused', 'completed', 'failed'];
+// Fields GET /api/jobs can sort on
+export const JOB_SORT_FIELDS = ['createdAt', 'updatedAt', 'name', 'nextRun', 'lastRun', 'priority'];
+
+// A one-off job fires once at `runAt` instead of following a cron schedule
+export function isOneOffJob(job) {
+  return !job?.cronSchedule && !!job?.runAt;
+}
+
+// A dependent job has no schedule of its own; it runs when its upstream jobs finish
+export function isDependentJob(job) {
+  return Array.isArray(job?.dependsOn) && job.dependsOn.length > 0;
+}
+
+// Upcoming fire times and a readable description of the job's schedule
+function schedulePreview(job) {
+  const timezone = job.timezone || DEFAULT_TIMEZONE;
+  if (isDependentJob(job)) {
+    const description = `After ${job.dependsOn.length} upstream job(s) finish (${job.triggerCondition})`;
+    return { valid: true, error: null, description, nextRuns: [], warnings: [] };
+  }
+  if (isOneOffJob(job)) {
+    const runAtLocal = formatInTimezone(job.runAt, timezone);
+    return { valid: true, error: null, description: `Once at ${runAtLocal}`, nextRuns: [runAtLocal], warnings: [] };
+  }
+  if (!job.cronSchedule) return null;
+  const { valid, error, description, nextRuns, warnings } = previewCron(job.cronSchedule, { timezone });
+  return { valid, error, description, nextRuns, warnings };
+}
+
+// Values toJSON adds to a job, and the stored fields each is shown with
+const DERIVED_FIELDS = { nextRunLocal: ['nextRun'], lastRunLocal: ['lastRun'], schedulePreview: ['cronSchedule', 'runAt', 'dependsOn'] };
+// Stored fields the derived values are computed from
+export const DERIVED_FIELD_INPUTS = ['timezone', 'nextRun', 'lastRun', 'cronSchedule', 'runAt', 'dependsOn', 'triggerCondition'];
+
+/**
+ * Adds the job's run times in its own zone and its schedule preview, as toJSON does. Lean
+ * queries skip toJSON and call this themselves.
+ * @param {object} job - A plain job object; it is modified.
+ * @param {string[]} [fields] - Fields a listing was narrowed to; only the values shown with
+ *   those are added. The job must still hold every DERIVED_FIELD_INPUTS field it has stored.
+ * @returns {object} The job.
+ */
+export function addDerivedFields(job, fields = null) {
+  const wanted = name => !fields || DERIVED_FIELDS[name].some(field => fields.includes(field));
+  const timezone = job.timezone || DEFAULT_TIMEZONE;
+  if (wanted('nextRunLocal')) job.nextRunLocal = formatInTimezone(job.nextRun, timezone);
+  if (wanted('lastRunLocal')) job.lastRunLocal = formatInTimezone(job.lastRun, timezone);
+  if (wanted('schedulePreview')) job.schedulePreview = schedulePreview(job);
+  return job;
+}
 
 const jobSchema = new mongoose.Schema({
+  // Tenant the job belongs to; names are unique within it
+  namespace: {
+    type: String,
+    required: true,
+    default: DEFAULT_NAMESPACE,
+    validate: {
+      validator: isValidNamespace,
+      message: props => `"${props.value}" is not a valid namespace`
+    }
+  },
+
   // Basic job information
   name: {
     type: String,
@@ -21,17 +93,57 @@ const jobSchema = new mongoose.Schema({
     maxlength: 500
   },
 
-  // Scheduling information
+  // Scheduling information: either a recurring cron schedule or a one-off runAt
   cronSchedule: {
     type: String,
-    required: true,
+    default: null
+  },
+
+  runAt: {
+    type: Date,
+    default: null
+  },
+
+  // Upstream jobs; when set, the job runs after their runs finish instead of on a schedule
+  dependsOn: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job'
+  }],
+
+  // Which upstream outcomes start the job
+  triggerCondition: {
+    type: String,
+    enum: TRIGGER_CONDITIONS,
+    default: 'on-success'
+  },
+
+  // IANA zone the cron schedule is evaluated in, e.g. "America/New_York"
+  timezone: {
+    type: String,
+    trim: true,
+    default: DEFAULT_TIMEZONE,
+    validate: {
+      validator: isValidTimezone,
+      message: props => `"${props.value}" is not a valid IANA timezone`
+    }
   },
 
-  // Job type and data
+  // Free-form key/value labels, e.g. { team: 'billing', env: 'prod' }, matched by label selectors
+  labels: {
+    type: Map,
+    of: String,
+    default: {},
+    validate: {
+      validator: labels => labels.size <= MAX_LABELS
+        && Array.from(labels).every(([key, value]) => isValidLabelKey(key) && isValidLabelValue(value)),
+      message: `labels must be at most ${MAX_LABELS} pairs of valid keys and values`
+    }
+  },
+
+  // Job type and data; valid types come from the job type registry
   type: {
     type: String,
     required: true,
-    enum: ['email', 'data-processing', 'report', 'notification', 'reminder'],
     default: 'email'
   },
 
@@ -40,10 +152,70 @@ const jobSchema = new mongoose.Schema({
     default: {}
   },
 
+  // Failure handling
+  retryPolicy: {
+    maxRetries: { type: Number, min: 0, default: 0 },
+    backoff: { type: String, enum: BACKOFF_STRATEGIES, default: 'fixed' },
+    retryDelay: { type: Number, min: 0, default: 1000 }, // ms before the first retry
+    maxRetryDelay: { type: Number, min: 0, default: 60 * 60 * 1000 }
+  },
+
+  // Whether a new run may start while the previous one is still going
+  concurrencyPolicy: {
+    type: String,
+    enum: CONCURRENCY_POLICIES,
+    default: 'allow'
+  },
+
+  // Queued runs with higher priority start first
+  priority: {
+    type: Number,
+    default: 0
+  },
+
+  // A run (including its retries) taking longer than this is aborted as 'timed-out'
+  timeoutMs: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+
+  // What happens once retries are exhausted
+  onFailure: {
+    type: String,
+    enum: FAILURE_POLICIES,
+    default: 'keep-schedule'
+  },
+
+  // What to do about cron slots missed while no scheduler was running
+  misfirePolicy: {
+    type: String,
+    enum: MISFIRE_POLICIES,
+    default: 'skip'
+  },
+
+  // Upper bound on catch-up runs for 'run-all-missed'
+  maxMissedRuns: {
+    type: Number,
+    min: 1,
+    default: 10
+  },
+
+  // Alerting; when empty, the rules configured for the job's type apply
+  alertRules: {
+    type: [{
+      _id: false,
+      consecutiveFailures: { type: Number, min: 1, default: undefined },
+      noSuccessWithinMs: { type: Number, min: 1, default: undefined },
+      channels: { type: [String], default: [] }
+    }],
+    default: []
+  },
+
   // Status and timing
   status: {
     type: String,
-    enum: ['active', 'paused', 'completed', 'failed'],
+    enum: JOB_STATUSES,
     default: 'active'
   },
 
@@ -68,12 +240,38 @@ const jobSchema = new mongoose.Schema({
     default: Date.now
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: {
+    // Show run times in the job's own zone alongside the UTC values
+    transform(doc, ret) {
+      return addDerivedFields(ret);
+    }
+  }
 });
 
 // Indexes for better performance
 jobSchema.index({ status: 1, nextRun: 1 });
-jobSchema.index({ name: 1 });
+jobSchema.index({ namespace: 1, name: 1 }, { unique: true });
+jobSchema.index({ dependsOn: 1 });
+// Job listings: the default newest-first order, "due soon", "not run since" and text search
+jobSchema.index({ namespace: 1, createdAt: -1, _id: -1 });
+jobSchema.index({ namespace: 1, nextRun: 1, _id: 1 });
+jobSchema.index({ namespace: 1, lastRun: 1, _id: 1 });
+jobSchema.index({ name: 'text', description: 'text' }, { weights: { name: 5, description: 1 } });
+// Label selectors; label keys are arbitrary, so a wildcard index covers them all
+jobSchema.index({ 'labels.$**': 1 });
+
+// Exactly one of cronSchedule / runAt must be set, or neither for a dependent job
+jobSchema.pre('validate', function(next) {
+  if (isDependentJob(this)) {
+    if (this.cronSchedule || this.runAt) {
+      this.invalidate('dependsOn', 'A job with dependsOn cannot also have a cronSchedule or runAt time');
+    }
+  } else if (!this.cronSchedule === !this.runAt) {
+    this.invalidate('cronSchedule', 'A job needs either a cronSchedule or a runAt time, but not both');
+  }
+  next();
+});
 
 // Pre-save middleware to update timestamps
 jobSchema.pre('save', function(next) {
@@ -86,20 +284,38 @@ jobSchema.statics.findActiveJobs = function() {
   return this.find({ status: 'active' });
 };
 
-// Instance method to mark job as completed
-jobSchema.methods.markCompleted = function() {
-  // ✅ BUG FIX: A recurring job should stay 'active' after running.
-  // We just update its lastRun time.
-  this.status = 'active'; 
-  this.lastRun = new Date();
-  return this.save();
+// Records a finished run. A recurring job keeps whatever status it has now, so a pause made
+// while it ran survives; a one-off job still active is done for good.
+// Resolves to the updated job, or null when it was deleted meanwhile.
+jobSchema.statics.markCompleted = async function(id) {
+  const lastRun = new Date();
+  const completed = await this.findOneAndUpdate(
+    { _id: id, status: 'active', cronSchedule: null, runAt: { $ne: null } },
+    { $set: { status: 'completed', lastRun } },
+    { new: true }
+  );
+  return completed || await this.findByIdAndUpdate(id, { $set: { lastRun } }, { new: true });
 };
 
-// Instance method to mark job as failed
-jobSchema.methods.markFailed = function() {
-  this.status = 'failed'; // Mark as failed so it can be reviewed
-  this.lastRun = new Date();
-  return this.save();
+// Records a failed run. 'keep-schedule' jobs stay active and fire again on their next slot;
+// 'pause' jobs are paused with no next run, so resuming them works as for a manual pause;
+// one-off jobs have nothing left to run and end as failed. Either change only applies to a job
+// still active, so a pause or stop made while the run went on survives.
+// Resolves to the updated job, or null when it was deleted.
+jobSchema.statics.markFailed = async function(id) {
+  const lastRun = new Date();
+  const failed = await this.findOneAndUpdate(
+    { _id: id, status: 'active', cronSchedule: null, runAt: { $ne: null } },
+    { $set: { status: 'failed', lastRun } },
+    { new: true }
+  );
+  if (failed) return failed;
+  const paused = await this.findOneAndUpdate(
+    { _id: id, status: 'active', onFailure: 'pause' },
+    { $set: { status: 'paused', nextRun: null, lastRun } },
+    { new: true }
+  );
+  return paused || await this.findByIdAndUpdate(id, { $set: { lastRun } }, { new: true });
 };
 
 const Job = mongoose.model('Job', jobSchema);
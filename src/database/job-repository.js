@@ -2,8 +2,81 @@
  * Job Repository - Database Operations
  */
 
-import Job from './job-model.js';
+import mongoose from 'mongoose';
+import Job, { DERIVED_FIELD_INPUTS, addDerivedFields } from './job-model.js';
 import { logger } from '../core/logger.js';
+import { DEFAULT_NAMESPACE } from '../core/namespaces.js';
+
+// API callers pass their namespace; the scheduler itself works across all of them
+function scoped(query, namespace) {
+  return namespace ? { ...query, namespace } : query;
+}
+
+/**
+ * Encodes the position after a job in a sorted listing as an opaque cursor.
+ * @param {object} job - The last job on the page.
+ * @param {{field: string, direction: number}} sort - The listing's sort.
+ * @returns {string}
+ */
+export function encodeJobCursor(job, { field, direction }) {
+  const value = job[field] ?? null;
+  const position = { f: field, d: direction, id: job._id.toString(), v: value instanceof Date ? { date: value.toISOString() } : value };
+  return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+/**
+ * Decodes a cursor from encodeJobCursor.
+ * @param {string} cursor
+ * @returns {{field: string, direction: number, id: string, value: *}}
+ * @throws {Error} If the cursor is malformed.
+ */
+export function decodeJobCursor(cursor) {
+  try {
+    const { f, d, id, v } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    if (typeof f !== 'string' || ![1, -1].includes(d) || !/^[0-9a-f]{24}$/i.test(id)) throw new Error('bad position');
+    return { field: f, direction: d, id, value: v && typeof v === 'object' && v.date ? new Date(v.date) : v };
+  } catch (_) {
+    throw new Error('cursor is invalid.');
+  }
+}
+
+// Jobs after the cursor position in the given order. Missing values (e.g. a completed job's
+// nextRun) sort before every other value, so they come first ascending and last descending.
+function afterCursor(field, direction, { id, value }) {
+  const _id = new mongoose.Types.ObjectId(id);
+  const beyond = direction === 1 ? '$gt' : '$lt';
+  if (value === null) {
+    return direction === 1
+      ? { $or: [{ [field]: { $ne: null } }, { [field]: null, _id: { $gt: _id } }] }
+      : { [field]: null, _id: { $lt: _id } };
+  }
+  const conditions = [{ [field]: { [beyond]: value } }, { [field]: value, _id: { [beyond]: _id } }];
+  if (direction === -1) conditions.push({ [field]: null });
+  return { $or: conditions };
+}
+
+function dateRange(from, to) {
+  const range = {};
+  if (from) range.$gte = new Date(from);
+  if (to) range.$lte = new Date(to);
+  return range;
+}
+
+// Mongo conditions for parsed label selector requirements; "!=" and "notin" also match jobs
+// without the label, as in Kubernetes
+function labelConditions(requirements) {
+  return requirements.map(({ key, operator, values }) => {
+    const field = `labels.${key}`;
+    switch (operator) {
+      case '=': return { [field]: values[0] };
+      case '!=': return { [field]: { $ne: values[0] } };
+      case 'in': return { [field]: { $in: values } };
+      case 'notin': return { [field]: { $nin: values } };
+      case 'exists': return { [field]: { $exists: true } };
+      default: return { [field]: { $exists: false } };
+    }
+  });
+}
 
 export class JobRepository {
   // Create a new job
@@ -16,6 +89,7 @@ export class JobRepository {
         jobId: savedJob._id,
         name: savedJob.name,
         schedule: savedJob.cronSchedule,
+        runAt: savedJob.runAt,
         type: savedJob.type,
         nextRun: savedJob.nextRun
       });
@@ -27,9 +101,9 @@ export class JobRepository {
   }
 
   // Find job by ID
-  async findById(id) {
+  async findById(id, namespace = null) {
     try {
-      const job = await Job.findById(id);
+      const job = await Job.findOne(scoped({ _id: id }, namespace));
       if (!job) {
         throw new Error('Job not found');
       }
@@ -40,29 +114,84 @@ export class JobRepository {
     }
   }
 
-  // Get all jobs with pagination
+  /**
+   * Lists jobs. It pages by offset and counts the total, as before, unless given a `cursor`;
+   * cursor paging stays fast however deep the listing goes.
+   * @param {object} [options] - { namespace, status (string or list), type, search,
+   *   selector: from parseLabelSelector, nextRunFrom, nextRunTo, lastRunFrom, lastRunTo,
+   *   sort: { field, direction }, fields, limit, page, cursor: from decodeJobCursor, or
+   *   null for the first page of a cursor listing }
+   */
   async findAll(options = {}) {
     try {
-      const { page = 1, limit = 10, status, type } = options;
-      const query = {};
+      const {
+        page = 1,
+        limit = 10,
+        status,
+        type,
+        namespace,
+        search,
+        selector,
+        nextRunFrom,
+        nextRunTo,
+        lastRunFrom,
+        lastRunTo,
+        sort = { field: 'createdAt', direction: -1 },
+        fields,
+        cursor
+      } = options;
+      const query = scoped({}, namespace);
       
-      if (status) query.status = status;
+      if (status) query.status = Array.isArray(status) ? { $in: status } : status;
       if (type) query.type = type;
-      
-      const jobs = await Job.find(query)
-        .limit(limit * 1)
-        .skip((page - 1) * limit)
-        .sort({ createdAt: -1 });
+      if (search) query.$text = { $search: search };
+      if (selector) query.$and = labelConditions(selector);
+      if (nextRunFrom || nextRunTo) query.nextRun = dateRange(nextRunFrom, nextRunTo);
+      if (lastRunFrom || lastRunTo) query.lastRun = dateRange(lastRunFrom, lastRunTo);
 
-      const total = await Job.countDocuments(query);
+      const order = { [sort.field]: sort.direction, _id: sort.direction };
+      // A projection returns plain documents with just those fields, _id and the sort field (for
+      // the cursor). Lean documents skip toJSON, so its derived values are added here, from inputs
+      // that are then dropped unless asked for.
+      const kept = fields ? [...fields, sort.field] : null;
+      const projection = kept ? Object.fromEntries([...kept, ...DERIVED_FIELD_INPUTS].map(field => [field, 1])) : null;
+      const find = async (filter, { skip = 0, count }) => {
+        const found = Job.find(filter, projection).sort(order).skip(skip).limit(count);
+        if (!projection) return found;
+        return (await found.lean()).map(job => {
+          addDerivedFields(job, fields);
+          DERIVED_FIELD_INPUTS.filter(input => !kept.includes(input)).forEach(input => delete job[input]);
+          return job;
+        });
+      };
+
+      if (cursor === undefined) {
+        const jobs = await find(query, { skip: (page - 1) * limit, count: limit });
+        const total = await Job.countDocuments(query);
+
+        return {
+          jobs,
+          pagination: {
+            page: parseInt(page),
+            limit: parseInt(limit),
+            total,
+            pages: Math.ceil(total / limit)
+          }
+        };
+      }
+
+      const filter = cursor ? { ...query, $and: [...(query.$and || []), afterCursor(sort.field, sort.direction, cursor)] } : query;
+      // One extra job tells whether another page follows
+      const found = await find(filter, { count: limit + 1 });
+      const jobs = found.slice(0, limit);
+      const hasMore = found.length > limit;
 
       return {
         jobs,
         pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total,
-          pages: Math.ceil(total / limit)
+          limit,
+          hasMore,
+          nextCursor: hasMore ? encodeJobCursor(jobs[jobs.length - 1], sort) : null
         }
       };
     } catch (error) {
@@ -71,6 +200,16 @@ export class JobRepository {
     }
   }
 
+  // Jobs matching a parsed label selector, oldest first; at most `limit` of them
+  async findBySelector(selector, namespace = null, limit = 0) {
+    try {
+      return await Job.find(scoped({ $and: labelConditions(selector) }, namespace)).sort({ createdAt: 1, _id: 1 }).limit(limit);
+    } catch (error) {
+      logger.error('Failed to find jobs by label selector', { error: error.message });
+      throw error;
+    }
+  }
+
   // Find active jobs for scheduling
   async findActiveJobs() {
     try {
@@ -83,16 +222,119 @@ export class JobRepository {
     }
   }
 
-  // Mark job as completed
-  async markCompleted(id) {
+  // Change stream over the jobs collection with each changed job looked up in full.
+  // Deployments without change streams report that through the stream's 'error' event.
+  watch({ resumeAfter = null } = {}) {
     try {
-      const job = await Job.findById(id);
-      if (!job) {
-        throw new Error('Job not found');
+      return Job.watch([], { fullDocument: 'updateLookup', ...(resumeAfter ? { resumeAfter } : {}) });
+    } catch (error) {
+      logger.error('Failed to watch jobs', { error: error.message });
+      throw error;
+    }
+  }
+
+  // Jobs that list the given job in their dependsOn
+  async findDependents(jobId, namespace = null) {
+    try {
+      return await Job.find(scoped({ dependsOn: jobId }, namespace));
+    } catch (error) {
+      logger.error('Failed to find dependent jobs', { jobId, error: error.message });
+      throw error;
+    }
+  }
+
+  // Every job's dependency edges, without the rest of the document
+  async findDependencyGraph(namespace = null) {
+    try {
+      return await Job.find(scoped({}, namespace), { name: 1, status: 1, dependsOn: 1, triggerCondition: 1 }).lean();
+    } catch (error) {
+      logger.error('Failed to load job dependency graph', { error: error.message });
+      throw error;
+    }
+  }
+
+  // Jobs created before namespaces existed belong to the default one
+  async backfillNamespace() {
+    try {
+      const result = await Job.updateMany({ namespace: { $exists: false } }, { $set: { namespace: DEFAULT_NAMESPACE } });
+      if (result.modifiedCount > 0) {
+        logger.info('Moved jobs without a namespace into the default namespace', { count: result.modifiedCount });
       }
-      
-      await job.markCompleted(); // Uses instance method from model
-      logger.info('Job marked as completed', { jobId: id, name: job.name });
+      return result.modifiedCount;
+    } catch (error) {
+      logger.error('Failed to backfill job namespaces', { error: error.message });
+      throw error;
+    }
+  }
+
+  // Builds the job indexes, first making sure no two jobs share a name in a namespace: jobs
+  // from before names were unique would otherwise keep the unique index from being built
+  async ensureIndexes() {
+    try {
+      const duplicates = await Job.aggregate([
+        { $group: { _id: { namespace: '$namespace', name: '$name' }, count: { $sum: 1 } } },
+        { $match: { count: { $gt: 1 } } },
+        { $sort: { '_id.namespace': 1, '_id.name': 1 } },
+        { $limit: 20 }
+      ]);
+      if (duplicates.length > 0) {
+        const names = duplicates.map(({ _id, count }) => `"${_id.name}" in namespace "${_id.namespace}" (${count} jobs)`);
+        throw new Error(`Job names must be unique within a namespace, but these are shared: ${names.join(', ')}. Rename or delete the extra jobs and restart.`);
+      }
+      await Job.createIndexes();
+    } catch (error) {
+      logger.error('Failed to build job indexes', { error: error.message });
+      throw error;
+    }
+  }
+
+  // Number of jobs in a namespace, whatever their status
+  async countInNamespace(namespace) {
+    try {
+      return await Job.countDocuments({ namespace });
+    } catch (error) {
+      logger.error('Failed to count jobs in namespace', { namespace, error: error.message });
+      throw error;
+    }
+  }
+
+  // Whether another job in the namespace already has this name
+  async nameTaken(namespace, name, excludeId = null) {
+    try {
+      const query = { namespace, name: name.trim() };
+      if (excludeId) query._id = { $ne: excludeId };
+      return !!(await Job.exists(query));
+    } catch (error) {
+      logger.error('Failed to check job name', { namespace, name, error: error.message });
+      throw error;
+    }
+  }
+
+  // Job counts per namespace and status, for the admin view
+  async summarizeNamespaces() {
+    try {
+      const rows = await Job.aggregate([
+        { $group: { _id: { namespace: '$namespace', status: '$status' }, count: { $sum: 1 } } }
+      ]);
+      const summary = new Map();
+      for (const { _id, count } of rows) {
+        const entry = summary.get(_id.namespace) ?? { namespace: _id.namespace, total: 0, byStatus: {} };
+        entry.total += count;
+        entry.byStatus[_id.status] = count;
+        summary.set(_id.namespace, entry);
+      }
+      return Array.from(summary.values()).sort((a, b) => a.namespace.localeCompare(b.namespace));
+    } catch (error) {
+      logger.error('Failed to summarize namespaces', { error: error.message });
+      throw error;
+    }
+  }
+
+  // Record a successful run; null when the job was deleted while it ran
+  async markCompleted(id) {
+    try {
+      const job = await Job.markCompleted(id); // Uses static method from model
+      if (job) logger.info('Job marked as completed', { jobId: id, name: job.name, status: job.status });
       return job;
     } catch (error) {
       logger.error('Failed to mark job as completed', { id, error: error.message });
@@ -100,16 +342,11 @@ export class JobRepository {
     }
   }
 
-  // Mark job as failed
+  // Record a failed run; null when the job was deleted while it ran
   async markFailed(id) {
     try {
-      const job = await Job.findById(id);
-      if (!job) {
-        throw new Error('Job not found');
-      }
-      
-      await job.markFailed(); // Uses instance method from model
-      logger.info('Job marked as failed', { jobId: id, name: job.name });
+      const job = await Job.markFailed(id); // Uses static method from model
+      if (job) logger.info('Job marked as failed', { jobId: id, name: job.name, status: job.status });
       return job;
     } catch (error) {
       logger.error('Failed to mark job as failed', { id, error: error.message });
@@ -117,23 +354,59 @@ export class JobRepository {
     }
   }
 
-  // Update next run time
+  // Update next run time. Only an active job gets a new one, so the scheduler cannot bring
+  // back a job paused while it ran; null when the job is no longer active or was deleted.
   async updateNextRun(id, nextRun) {
     try {
-      const job = await Job.findByIdAndUpdate(
-        id,
+      return await Job.findOneAndUpdate(
+        nextRun ? { _id: id, status: 'active' } : { _id: id },
         { nextRun: nextRun, updatedAt: new Date() }, // Use your schema field 'nextRun'
         { new: true }
       );
-      
+    } catch (error) {
+      logger.error('Failed to update next run time', { id, error: error.message });
+      throw error;
+    }
+  }
+
+  // Update job fields
+  async update(id, updates, namespace = null) {
+    try {
+      const job = await Job.findOneAndUpdate(
+        scoped({ _id: id }, namespace),
+        { ...updates, updatedAt: new Date() },
+        { new: true, runValidators: true }
+      );
+
       if (!job) {
         throw new Error('Job not found');
       }
-      
+
+      logger.info('Job updated successfully', {
+        jobId: job._id,
+        name: job.name,
+        fields: Object.keys(updates)
+      });
       return job;
     } catch (error) {
-      logger.error('Failed to update next run time', { id, error: error.message });
+      logger.error('Failed to update job', { id, error: error.message });
+      throw error;
+    }
+  }
+
+  // Delete job
+  async delete(id, namespace = null) {
+    try {
+      const job = await Job.findOneAndDelete(scoped({ _id: id }, namespace));
+      if (!job) {
+        throw new Error('Job not found');
+      }
+
+      logger.info('Job deleted successfully', { jobId: id, name: job.name });
+      return job;
+    } catch (error) {
+      logger.error('Failed to delete job', { id, error: error.message });
       throw error;
     }
   }
-}
\ No newline at end of file
+}
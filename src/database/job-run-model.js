@@ -0,0 +1,148 @@
+/**
+ * Job Run Model - MongoDB Schema
+ * One document per execution of a job.
+ */
+
+import mongoose from 'mongoose';
+
+export const RUN_OUTCOMES = ['running', 'succeeded', 'failed', 'timed-out', 'cancelled', 'skipped', 'abandoned'];
+export const RUN_TRIGGERS = ['schedule', 'misfire', 'manual', 'dependency'];
+
+const jobRunSchema = new mongoose.Schema({
+  // Which job ran
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: true
+  },
+
+  jobName: {
+    type: String,
+    trim: true
+  },
+
+  jobType: {
+    type: String
+  },
+
+  // Copied from the job so run lookups can be scoped without loading it
+  namespace: {
+    type: String,
+    default: null
+  },
+
+  // What started the run
+  trigger: {
+    type: String,
+    enum: RUN_TRIGGERS,
+    default: 'schedule'
+  },
+
+  // Run of the workflow's root job that led to this run; a root run points at itself
+  workflowRunId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+
+  // Data overrides applied to this run only (manual triggers)
+  dataOverrides: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+
+  // Timing information
+  scheduledAt: {
+    type: Date,
+    default: null
+  },
+
+  startedAt: {
+    type: Date,
+    required: true
+  },
+
+  finishedAt: {
+    type: Date,
+    default: null
+  },
+
+  durationMs: {
+    type: Number,
+    default: null
+  },
+
+  // Number of attempts made, including retries
+  attempts: {
+    type: Number,
+    default: 0
+  },
+
+  // Result
+  outcome: {
+    type: String,
+    enum: RUN_OUTCOMES,
+    default: 'running'
+  },
+
+  error: {
+    message: { type: String, default: null },
+    stack: { type: String, default: null }
+  },
+
+  // Type-specific details returned by the handler, e.g. an HTTP response status
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+
+  // Set through the API; the executing instance picks it up and aborts the run
+  cancelRequested: {
+    type: Boolean,
+    default: false
+  },
+
+  // SchedulerManager instance that executed the run
+  instanceId: {
+    type: String,
+    default: null
+  },
+
+  // Refreshed by the executing instance while the run is going; a stale one means the
+  // instance is gone and the run gets marked 'abandoned'
+  heartbeatAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for history queries
+jobRunSchema.index({ jobId: 1, startedAt: -1 });
+jobRunSchema.index({ jobId: 1, outcome: 1, startedAt: -1 });
+jobRunSchema.index({ workflowRunId: 1 });
+jobRunSchema.index({ outcome: 1, heartbeatAt: 1 });
+
+// Closes out a run that is still running. A run the sweeper already marked 'abandoned' keeps
+// that outcome, so a late result from a cut-off instance cannot overwrite it.
+// Resolves to the finished run, or null when the run was not running any more.
+jobRunSchema.statics.finishRunning = async function(id, startedAt, outcome, error = null, details = {}) {
+  const finishedAt = new Date();
+  return this.findOneAndUpdate(
+    { _id: id, outcome: 'running' },
+    {
+      $set: {
+        ...details,
+        finishedAt,
+        durationMs: finishedAt.getTime() - startedAt.getTime(),
+        outcome,
+        ...(error ? { error: { message: error.message, stack: error.stack } } : {})
+      }
+    },
+    { new: true }
+  );
+};
+
+const JobRun = mongoose.model('JobRun', jobRunSchema);
+
+export default JobRun;
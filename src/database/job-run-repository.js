@@ -0,0 +1,242 @@
+/**
+ * Job Run Repository - Database Operations for execution history
+ */
+
+import mongoose from 'mongoose';
+import JobRun from './job-run-model.js';
+import { logger } from '../core/logger.js';
+import { DEFAULT_NAMESPACE } from '../core/namespaces.js';
+
+// API callers pass their namespace; the scheduler itself works across all of them
+function scoped(query, namespace) {
+  return namespace ? { ...query, namespace } : query;
+}
+
+export class JobRunRepository {
+  // Allocate a run ID ahead of the run so callers can hand it out before it starts
+  newId() {
+    return new mongoose.Types.ObjectId();
+  }
+
+  // Record the start of a run
+  async create(runData) {
+    try {
+      const now = new Date();
+      const run = new JobRun({ startedAt: now, heartbeatAt: now, ...runData });
+      if (!run.workflowRunId) run.workflowRunId = run._id;
+      const savedRun = await run.save();
+
+      logger.debug('Job run recorded', {
+        runId: savedRun._id,
+        jobId: savedRun.jobId,
+        scheduledAt: savedRun.scheduledAt
+      });
+      return savedRun;
+    } catch (error) {
+      logger.error('Failed to create job run', { error: error.message, stack: error.stack });
+      throw error;
+    }
+  }
+
+  // Runs recorded before namespaces existed belong to jobs in the default one
+  async backfillNamespace() {
+    try {
+      const result = await JobRun.updateMany({ namespace: null }, { $set: { namespace: DEFAULT_NAMESPACE } });
+      return result.modifiedCount;
+    } catch (error) {
+      logger.error('Failed to backfill job run namespaces', { error: error.message });
+      throw error;
+    }
+  }
+
+  // Record the end of a run
+  async finish(id, outcome, error = null, details = {}) {
+    try {
+      const run = await JobRun.findById(id, { startedAt: 1 }).lean();
+      if (!run) {
+        throw new Error('Job run not found');
+      }
+
+      const finished = await JobRun.finishRunning(id, run.startedAt, outcome, error, details); // Uses static method from model
+      if (!finished) {
+        const current = await JobRun.findById(id);
+        logger.warn('Job run was already closed out; keeping its recorded outcome', { id, outcome, recorded: current?.outcome });
+        return current;
+      }
+      return finished;
+    } catch (err) {
+      logger.error('Failed to finish job run', { id, error: err.message });
+      throw err;
+    }
+  }
+
+  // Find run by ID
+  async findById(id, namespace = null) {
+    try {
+      const run = await JobRun.findOne(scoped({ _id: id }, namespace));
+      if (!run) {
+        throw new Error('Job run not found');
+      }
+      return run;
+    } catch (error) {
+      logger.error('Failed to find job run by ID', { id, error: error.message });
+      throw error;
+    }
+  }
+
+  // Get runs of a job with pagination and filters
+  async findByJobId(jobId, options = {}) {
+    try {
+      const { page = 1, limit = 20, outcome, from, to } = options;
+      const query = { jobId };
+
+      if (outcome) query.outcome = outcome;
+      if (from || to) {
+        query.startedAt = {};
+        if (from) query.startedAt.$gte = new Date(from);
+        if (to) query.startedAt.$lte = new Date(to);
+      }
+
+      const runs = await JobRun.find(query)
+        .limit(limit * 1)
+        .skip((page - 1) * limit)
+        .sort({ startedAt: -1 });
+
+      const total = await JobRun.countDocuments(query);
+
+      return {
+        runs,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      };
+    } catch (error) {
+      logger.error('Failed to find job runs', { jobId, error: error.message });
+      throw error;
+    }
+  }
+
+  // Outcomes of a job's latest finished runs, newest first; cancelled and skipped runs are left out
+  async findRecentOutcomes(jobId, limit) {
+    try {
+      const runs = await JobRun.find(
+        { jobId, outcome: { $in: ['succeeded', 'failed', 'timed-out', 'abandoned'] } },
+        { outcome: 1 }
+      ).sort({ startedAt: -1 }).limit(limit).lean();
+      return runs.map(run => run.outcome);
+    } catch (error) {
+      logger.error('Failed to find recent job run outcomes', { jobId, error: error.message });
+      throw error;
+    }
+  }
+
+  // When the job's latest successful run finished, or null if it never succeeded
+  async findLastSuccessAt(jobId) {
+    try {
+      const run = await JobRun.findOne({ jobId, outcome: 'succeeded' }, { finishedAt: 1 })
+        .sort({ startedAt: -1 })
+        .lean();
+      return run ? run.finishedAt : null;
+    } catch (error) {
+      logger.error('Failed to find last successful job run', { jobId, error: error.message });
+      throw error;
+    }
+  }
+
+  // Every run that belongs to one workflow run, oldest first
+  async findByWorkflowRunId(workflowRunId, namespace = null) {
+    try {
+      return await JobRun.find(scoped({ workflowRunId }, namespace)).sort({ startedAt: 1 });
+    } catch (error) {
+      logger.error('Failed to find workflow runs', { workflowRunId, error: error.message });
+      throw error;
+    }
+  }
+
+  // Flag every running run of a job whose instance heartbeated it since `liveSince`
+  async requestCancel(jobId, liveSince) {
+    try {
+      const runs = await JobRun.find(
+        { jobId, outcome: 'running', heartbeatAt: { $gte: liveSince } },
+        { _id: 1 }
+      ).lean();
+      if (runs.length > 0) {
+        await JobRun.updateMany({ _id: { $in: runs.map(run => run._id) } }, { $set: { cancelRequested: true } });
+      }
+      return runs.map(run => run._id.toString());
+    } catch (error) {
+      logger.error('Failed to request job run cancellation', { jobId, error: error.message });
+      throw error;
+    }
+  }
+
+  // Mark the given runs as still going
+  async heartbeat(runIds) {
+    try {
+      await JobRun.updateMany(
+        { _id: { $in: runIds }, outcome: 'running' },
+        { $set: { heartbeatAt: new Date() } }
+      );
+    } catch (error) {
+      logger.error('Failed to heartbeat job runs', { error: error.message });
+      throw error;
+    }
+  }
+
+  // Close out running runs not heartbeated since `staleBefore`. Each run is claimed with a
+  // conditional update, so when several instances sweep at once only one reports it.
+  async abandonStale(staleBefore) {
+    try {
+      // Runs recorded before heartbeats existed only have their start time to go by
+      const stale = {
+        outcome: 'running',
+        $or: [
+          { heartbeatAt: { $lt: staleBefore } },
+          { heartbeatAt: null, startedAt: { $lt: staleBefore } }
+        ]
+      };
+      const candidates = await JobRun.find(stale, { _id: 1, startedAt: 1, heartbeatAt: 1 }).lean();
+      const abandoned = [];
+      for (const candidate of candidates) {
+        const finishedAt = new Date();
+        const run = await JobRun.findOneAndUpdate(
+          { ...stale, _id: candidate._id },
+          {
+            $set: {
+              outcome: 'abandoned',
+              finishedAt,
+              durationMs: finishedAt.getTime() - candidate.startedAt.getTime(),
+              error: {
+                message: `Run abandoned: its scheduler instance stopped reporting at ${(candidate.heartbeatAt ?? candidate.startedAt).toISOString()}`,
+                stack: null
+              }
+            }
+          },
+          { new: true }
+        );
+        if (run) abandoned.push(run);
+      }
+      return abandoned;
+    } catch (error) {
+      logger.error('Failed to abandon stale job runs', { error: error.message });
+      throw error;
+    }
+  }
+
+  // Which of the given runs have been flagged for cancellation
+  async findCancelRequested(runIds) {
+    try {
+      const runs = await JobRun.find(
+        { _id: { $in: runIds }, outcome: 'running', cancelRequested: true },
+        { _id: 1 }
+      ).lean();
+      return runs.map(run => run._id.toString());
+    } catch (error) {
+      logger.error('Failed to find cancelled job runs', { error: error.message });
+      throw error;
+    }
+  }
+}
@@ -0,0 +1,212 @@
+/**
+ * Job Run Service - Execution history logic
+ * Depends on an abstract run repository, like JobService.
+ */
+import * as loggerModule from '../core/logger.js';
+
+const logger = loggerModule?.default ?? loggerModule?.logger ?? console;
+
+// A live run must be able to miss this many heartbeats in a row before it counts as abandoned
+const HEARTBEATS_PER_STALE_WINDOW = 4;
+const MIN_HEARTBEAT_INTERVAL_MS = 1000;
+const MAX_HEARTBEAT_INTERVAL_MS = 5000;
+
+export class JobRunService {
+  // `staleAfterMs`: how long a running run may go without a heartbeat before it counts as abandoned;
+  // executing instances heartbeat at `heartbeatIntervalMs`, derived from it
+  constructor(repository, { staleAfterMs = 60 * 1000 } = {}) {
+    if (!repository) {
+      throw new Error('JobRunService requires a repository.');
+    }
+    const minStaleAfterMs = HEARTBEATS_PER_STALE_WINDOW * MIN_HEARTBEAT_INTERVAL_MS;
+    if (!Number.isFinite(staleAfterMs) || staleAfterMs < minStaleAfterMs) {
+      throw new Error(`Runs cannot be considered stale after ${staleAfterMs}ms; the threshold must be at least ${minStaleAfterMs}ms so live runs can heartbeat ${HEARTBEATS_PER_STALE_WINDOW} times within it.`);
+    }
+    this.repository = repository;
+    this.staleAfterMs = staleAfterMs;
+    this.heartbeatIntervalMs = Math.min(MAX_HEARTBEAT_INTERVAL_MS, Math.floor(staleAfterMs / HEARTBEATS_PER_STALE_WINDOW));
+  }
+
+  newRunId() {
+    return this.repository.newId();
+  }
+
+  async startRun(job, {
+    scheduledAt = null,
+    instanceId = null,
+    trigger = 'schedule',
+    runId = null,
+    dataOverrides = null,
+    workflowRunId = null
+  } = {}) {
+    try {
+      return await this.repository.create({
+        ...(runId ? { _id: runId } : {}),
+        jobId: job._id,
+        jobName: job.name,
+        jobType: job.type,
+        namespace: job.namespace,
+        scheduledAt,
+        instanceId,
+        trigger,
+        dataOverrides,
+        workflowRunId
+      });
+    } catch (err) {
+      logger?.error?.('jobRunService.startRun error', { jobId: job?._id, err: err?.stack ?? err });
+      throw err;
+    }
+  }
+
+  async backfillNamespace() {
+    try {
+      return await this.repository.backfillNamespace();
+    } catch (err) {
+      logger?.error?.('jobRunService.backfillNamespace error', { err: err?.stack ?? err });
+      throw err;
+    }
+  }
+
+  async finishRun(id, outcome, error = null, details = {}) {
+    try {
+      return await this.repository.finish(id, outcome, error, details);
+    } catch (err) {
+      logger?.error?.('jobRunService.finishRun error', { id, outcome, err: err?.stack ?? err });
+      throw err;
+    }
+  }
+
+  // A workflow node that will not run this time, recorded so the workflow view can show it
+  async recordSkipped(job, { workflowRunId, scheduledAt = null, instanceId = null, reason }) {
+    try {
+      const now = new Date();
+      return await this.repository.create({
+        jobId: job._id,
+        jobName: job.name,
+        jobType: job.type,
+        namespace: job.namespace,
+        trigger: 'dependency',
+        workflowRunId,
+        scheduledAt,
+        instanceId,
+        startedAt: now,
+        finishedAt: now,
+        durationMs: 0,
+        outcome: 'skipped',
+        result: { reason }
+      });
+    } catch (err) {
+      logger?.error?.('jobRunService.recordSkipped error', { jobId: job?._id, workflowRunId, err: err?.stack ?? err });
+      throw err;
+    }
+  }
+
+  // A run that was skipped or dropped from the run queue before it started
+  async recordNotStarted(job, { runId = null, trigger = 'schedule', scheduledAt = null, dataOverrides = null, instanceId = null, outcome, reason }) {
+    try {
+      const now = new Date();
+      return await this.repository.create({
+        ...(runId ? { _id: runId } : {}),
+        jobId: job._id,
+        jobName: job.name,
+        jobType: job.type,
+        namespace: job.namespace,
+        trigger,
+        scheduledAt,
+        dataOverrides,
+        instanceId,
+        startedAt: now,
+        finishedAt: now,
+        durationMs: 0,
+        outcome,
+        result: { reason }
+      });
+    } catch (err) {
+      logger?.error?.('jobRunService.recordNotStarted error', { jobId: job?._id, runId, err: err?.stack ?? err });
+      throw err;
+    }
+  }
+
+  async getById(id, namespace = null) {
+    try {
+      return await this.repository.findById(id, namespace);
+    } catch (err) {
+      logger?.error?.('jobRunService.getById error', { id, err: err?.stack ?? err });
+      throw err;
+    }
+  }
+
+  async getByJobId(jobId, options = {}) {
+    try {
+      return await this.repository.findByJobId(jobId, options);
+    } catch (err) {
+      logger?.error?.('jobRunService.getByJobId error', { jobId, options, err: err?.stack ?? err });
+      throw err;
+    }
+  }
+
+  async getRecentOutcomes(jobId, limit) {
+    try {
+      return await this.repository.findRecentOutcomes(jobId, limit);
+    } catch (err) {
+      logger?.error?.('jobRunService.getRecentOutcomes error', { jobId, limit, err: err?.stack ?? err });
+      throw err;
+    }
+  }
+
+  async getLastSuccessAt(jobId) {
+    try {
+      return await this.repository.findLastSuccessAt(jobId);
+    } catch (err) {
+      logger?.error?.('jobRunService.getLastSuccessAt error', { jobId, err: err?.stack ?? err });
+      throw err;
+    }
+  }
+
+  async getByWorkflowRunId(workflowRunId, namespace = null) {
+    try {
+      return await this.repository.findByWorkflowRunId(workflowRunId, namespace);
+    } catch (err) {
+      logger?.error?.('jobRunService.getByWorkflowRunId error', { workflowRunId, err: err?.stack ?? err });
+      throw err;
+    }
+  }
+
+  // Only runs a live instance is still heartbeating can act on the flag
+  async requestCancel(jobId) {
+    try {
+      return await this.repository.requestCancel(jobId, new Date(Date.now() - this.staleAfterMs));
+    } catch (err) {
+      logger?.error?.('jobRunService.requestCancel error', { jobId, err: err?.stack ?? err });
+      throw err;
+    }
+  }
+
+  async heartbeatRuns(runIds) {
+    try {
+      return await this.repository.heartbeat(runIds);
+    } catch (err) {
+      logger?.error?.('jobRunService.heartbeatRuns error', { err: err?.stack ?? err });
+      throw err;
+    }
+  }
+
+  // Marks running runs whose instance stopped heartbeating as 'abandoned' and returns them
+  async abandonStaleRuns() {
+    try {
+      return await this.repository.abandonStale(new Date(Date.now() - this.staleAfterMs));
+    } catch (err) {
+      logger?.error?.('jobRunService.abandonStaleRuns error', { err: err?.stack ?? err });
+      throw err;
+    }
+  }
+
+  async getCancelRequested(runIds) {
+    try {
+      return await this.repository.findCancelRequested(runIds);
+    } catch (err) {
+      logger?.error?.('jobRunService.getCancelRequested error', { err: err?.stack ?? err });
+      throw err;
+    }
+  }
+}
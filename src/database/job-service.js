@@ -24,11 +24,11 @@ export class JobService {
     }
   }
 
-  async getById(id) {
+  async getById(id, namespace = null) {
     try {
-      return await this.repository.findById(id);
+      return await this.repository.findById(id, namespace);
     } catch (err) {
-      logger?.error?.('jobService.getById error', { id, err: err?.stack ?? err });
+      logger?.error?.('jobService.getById error', { id, namespace, err: err?.stack ?? err });
       throw err;
     }
   }
@@ -42,6 +42,15 @@ export class JobService {
     }
   }
 
+  async getBySelector(selector, namespace = null, limit = 0) {
+    try {
+      return await this.repository.findBySelector(selector, namespace, limit);
+    } catch (err) {
+      logger?.error?.('jobService.getBySelector error', { namespace, err: err?.stack ?? err });
+      throw err;
+    }
+  }
+
   async getActiveJobs(filter = {}) {
     try {
       return await this.repository.findActiveJobs();
@@ -51,6 +60,79 @@ export class JobService {
     }
   }
 
+  // Not async: returns the change stream itself
+  watchJobs(options = {}) {
+    try {
+      return this.repository.watch(options);
+    } catch (err) {
+      logger?.error?.('jobService.watchJobs error', { err: err?.stack ?? err });
+      throw err;
+    }
+  }
+
+  async getDependents(id, namespace = null) {
+    try {
+      return await this.repository.findDependents(id, namespace);
+    } catch (err) {
+      logger?.error?.('jobService.getDependents error', { id, err: err?.stack ?? err });
+      throw err;
+    }
+  }
+
+  async getDependencyGraph(namespace = null) {
+    try {
+      return await this.repository.findDependencyGraph(namespace);
+    } catch (err) {
+      logger?.error?.('jobService.getDependencyGraph error', { err: err?.stack ?? err });
+      throw err;
+    }
+  }
+
+  async backfillNamespace() {
+    try {
+      return await this.repository.backfillNamespace();
+    } catch (err) {
+      logger?.error?.('jobService.backfillNamespace error', { err: err?.stack ?? err });
+      throw err;
+    }
+  }
+
+  async ensureIndexes() {
+    try {
+      return await this.repository.ensureIndexes();
+    } catch (err) {
+      logger?.error?.('jobService.ensureIndexes error', { err: err?.stack ?? err });
+      throw err;
+    }
+  }
+
+  async countInNamespace(namespace) {
+    try {
+      return await this.repository.countInNamespace(namespace);
+    } catch (err) {
+      logger?.error?.('jobService.countInNamespace error', { namespace, err: err?.stack ?? err });
+      throw err;
+    }
+  }
+
+  async isNameTaken(namespace, name, excludeId = null) {
+    try {
+      return await this.repository.nameTaken(namespace, name, excludeId);
+    } catch (err) {
+      logger?.error?.('jobService.isNameTaken error', { namespace, name, err: err?.stack ?? err });
+      throw err;
+    }
+  }
+
+  async summarizeNamespaces() {
+    try {
+      return await this.repository.summarizeNamespaces();
+    } catch (err) {
+      logger?.error?.('jobService.summarizeNamespaces error', { err: err?.stack ?? err });
+      throw err;
+    }
+  }
+
   async markJobCompleted(id) {
     try {
       return await this.repository.markCompleted(id);
@@ -77,4 +159,40 @@ export class JobService {
       throw err;
     }
   }
-}
\ No newline at end of file
+
+  async update(id, updates = {}, namespace = null) {
+    try {
+      return await this.repository.update(id, updates, namespace);
+    } catch (err) {
+      logger?.error?.('jobService.update error', { id, updates, err: err?.stack ?? err });
+      throw err;
+    }
+  }
+
+  async delete(id, namespace = null) {
+    try {
+      return await this.repository.delete(id, namespace);
+    } catch (err) {
+      logger?.error?.('jobService.delete error', { id, err: err?.stack ?? err });
+      throw err;
+    }
+  }
+
+  async pause(id, namespace = null) {
+    try {
+      return await this.repository.update(id, { status: 'paused', nextRun: null }, namespace);
+    } catch (err) {
+      logger?.error?.('jobService.pause error', { id, err: err?.stack ?? err });
+      throw err;
+    }
+  }
+
+  async resume(id, nextRun, namespace = null) {
+    try {
+      return await this.repository.update(id, { status: 'active', nextRun }, namespace);
+    } catch (err) {
+      logger?.error?.('jobService.resume error', { id, err: err?.stack ?? err });
+      throw err;
+    }
+  }
+}
@@ -2,16 +2,50 @@
  * Job Validator - Ensures job data is valid
  */
 
-import cronParser from 'cron-parser';
 import { logger } from '../core/logger.js';
+import {
+  BACKOFF_STRATEGIES,
+  FAILURE_POLICIES,
+  MISFIRE_POLICIES,
+  CONCURRENCY_POLICIES,
+  TRIGGER_CONDITIONS,
+  isOneOffJob,
+  isDependentJob
+} from './job-model.js';
+import { DEFAULT_TIMEZONE, isValidTimezone, resolveTimezone } from '../core/timezone.js';
+import { checkNodeCronSupport, parseCron } from '../core/cron.js';
+import { jobTypeRegistry } from '../scheduler/job-type-registry.js';
+import { parseAlertChannels } from '../scheduler/alert-channels.js';
+import { MAX_LABELS, isValidLabelKey, isValidLabelValue } from '../core/label-selector.js';
+import config from '../config/config.js';
+
+const MAX_RETRIES = 10;
+const MAX_RETRY_DELAY_MS = 24 * 60 * 60 * 1000;
+const MAX_MISSED_RUNS = 100;
+const MAX_TIMEOUT_MS = 24 * 60 * 60 * 1000;
+const MAX_PRIORITY = 100;
+const MAX_UPSTREAM_JOBS = 20;
+const MAX_ALERT_RULES = 10;
+const MAX_ALERT_FAILURES = 100;
+const OBJECT_ID_PATTERN = /^[0-9a-f]{24}$/i;
+// How far in the past a new runAt may be, to absorb client clock drift
+const RUN_AT_GRACE_MS = 60 * 1000;
 
 export class JobValidator {
+  constructor(registry = jobTypeRegistry) {
+    this.registry = registry; // Knows each job type's data schema
+  }
+
   /**
    * Validates the structure and content of job data.
    * @param {object} jobData - The job payload to validate.
+   * @param {object} [options]
+   * @param {boolean} [options.checkAlertRules] - Check alertRules against the configured
+   *   channels; off when they are not being changed, so removing a channel from
+   *   ALERT_CHANNELS does not block unrelated edits.
    * @throws {Error} If validation fails.
    */
-  validateJobData(jobData) {
+  validateJobData(jobData, { checkAlertRules = true } = {}) {
     if (!jobData) {
       throw new Error('Job data cannot be empty.');
     }
@@ -20,67 +54,312 @@ export class JobValidator {
     if (!jobData.name || typeof jobData.name !== 'string' || jobData.name.trim() === '') {
       throw new Error('Job name is required and must be a non-empty string.');
     }
-    if (!jobData.cronSchedule || typeof jobData.cronSchedule !== 'string' || jobData.cronSchedule.trim() === '') {
-      throw new Error('Cron schedule is required and must be a non-empty string.');
+    const hasCron = jobData.cronSchedule !== undefined && jobData.cronSchedule !== null;
+    const hasRunAt = jobData.runAt !== undefined && jobData.runAt !== null;
+    if (jobData.dependsOn !== undefined && jobData.dependsOn !== null) {
+      this.validateDependsOn(jobData.dependsOn);
+    }
+    if (isDependentJob(jobData)) {
+      if (hasCron || hasRunAt) {
+        throw new Error('A job with "dependsOn" runs after its upstream jobs and cannot also have "cronSchedule" or "runAt".');
+      }
+    } else if (hasCron === hasRunAt) {
+      throw new Error('A job needs either "cronSchedule" (recurring), "runAt"/"delayMs" (one-off) or "dependsOn" (workflow), but only one.');
+    }
+    if (hasCron && (typeof jobData.cronSchedule !== 'string' || jobData.cronSchedule.trim() === '')) {
+      throw new Error('Cron schedule must be a non-empty string.');
     }
     if (!jobData.type || typeof jobData.type !== 'string' || jobData.type.trim() === '') {
       throw new Error('Job type is required and must be a non-empty string.');
     }
 
-    // Validate cron schedule format
-    this.validateCronSchedule(jobData.cronSchedule);
+    if (jobData.timezone !== undefined && jobData.timezone !== null) {
+      this.validateTimezone(jobData.timezone);
+    }
 
-    // Optional: Add more specific validation for 'type' and 'data'
-    if (jobData.type === 'email' && (!jobData.data || !jobData.data.to || !jobData.data.subject)) {
-      logger.warn('Email job type without "data.to" or "data.subject" might be incomplete.', { jobName: jobData.name });
+    // Validate cron schedule format or one-off time
+    if (hasCron) {
+      this.validateCronSchedule(jobData.cronSchedule, jobData.timezone || DEFAULT_TIMEZONE);
+    } else if (hasRunAt) {
+      this.validateRunAt(jobData.runAt);
+    }
+    if (jobData.triggerCondition !== undefined && !TRIGGER_CONDITIONS.includes(jobData.triggerCondition)) {
+      throw new Error(`Invalid triggerCondition. Must be one of: ${TRIGGER_CONDITIONS.join(', ')}.`);
     }
+
+    // Type-specific 'data' validation against the registered schema
+    this.registry.validateData(jobData.type, jobData.data ?? {});
+
     // Ensure status is valid if provided
     if (jobData.status && !['active', 'paused', 'completed', 'failed'].includes(jobData.status)) {
         throw new Error('Invalid job status. Must be "active", "paused", "completed", or "failed".');
     }
+
+    if (jobData.retryPolicy !== undefined && jobData.retryPolicy !== null) {
+      this.validateRetryPolicy(jobData.retryPolicy);
+    }
+    if (jobData.onFailure !== undefined && !FAILURE_POLICIES.includes(jobData.onFailure)) {
+      throw new Error(`Invalid onFailure policy. Must be one of: ${FAILURE_POLICIES.join(', ')}.`);
+    }
+    if (jobData.timeoutMs !== undefined && jobData.timeoutMs !== null
+      && (!Number.isInteger(jobData.timeoutMs) || jobData.timeoutMs < 1 || jobData.timeoutMs > MAX_TIMEOUT_MS)) {
+      throw new Error(`timeoutMs must be an integer between 1 and ${MAX_TIMEOUT_MS}.`);
+    }
+    if (jobData.concurrencyPolicy !== undefined && !CONCURRENCY_POLICIES.includes(jobData.concurrencyPolicy)) {
+      throw new Error(`Invalid concurrencyPolicy. Must be one of: ${CONCURRENCY_POLICIES.join(', ')}.`);
+    }
+    if (jobData.priority !== undefined
+      && (!Number.isInteger(jobData.priority) || Math.abs(jobData.priority) > MAX_PRIORITY)) {
+      throw new Error(`priority must be an integer between -${MAX_PRIORITY} and ${MAX_PRIORITY}.`);
+    }
+    if (jobData.misfirePolicy !== undefined && !MISFIRE_POLICIES.includes(jobData.misfirePolicy)) {
+      throw new Error(`Invalid misfirePolicy. Must be one of: ${MISFIRE_POLICIES.join(', ')}.`);
+    }
+    if (jobData.maxMissedRuns !== undefined
+      && (!Number.isInteger(jobData.maxMissedRuns) || jobData.maxMissedRuns < 1 || jobData.maxMissedRuns > MAX_MISSED_RUNS)) {
+      throw new Error(`maxMissedRuns must be an integer between 1 and ${MAX_MISSED_RUNS}.`);
+    }
+    if (checkAlertRules && jobData.alertRules !== undefined && jobData.alertRules !== null) {
+      this.validateAlertRules(jobData.alertRules);
+    }
+    if (jobData.labels !== undefined && jobData.labels !== null) {
+      this.validateLabels(jobData.labels);
+    }
+  }
+
+  /**
+   * Validates job labels: string keys of letters, digits, "_", "-" and "/" (no dots), and
+   * string values of up to 63 letters, digits, ".", "_" and "-" (may be empty).
+   * @param {object|Map} labels
+   * @throws {Error} If a key or value is malformed or there are too many labels.
+   */
+  validateLabels(labels) {
+    const entries = labels instanceof Map ? Array.from(labels) : null;
+    if (!entries && (typeof labels !== 'object' || Array.isArray(labels))) {
+      throw new Error('labels must be an object of string keys and values.');
+    }
+    const pairs = entries || Object.entries(labels);
+    if (pairs.length > MAX_LABELS) {
+      throw new Error(`A job can have at most ${MAX_LABELS} labels.`);
+    }
+    for (const [key, value] of pairs) {
+      if (!isValidLabelKey(key)) {
+        throw new Error(`Invalid label key "${key}". Keys are 1-63 letters, digits, "_", "-" or "/", starting and ending with a letter or digit.`);
+      }
+      if (!isValidLabelValue(value)) {
+        throw new Error(`Invalid value for label "${key}". Values are strings of up to 63 letters, digits, ".", "_" or "-", starting and ending with a letter or digit.`);
+      }
+    }
+  }
+
+  /**
+   * Validates alert rules. Each rule has one condition, consecutiveFailures or
+   * noSuccessWithinMs, and the names of the channels to notify.
+   * @param {Array} alertRules
+   * @param {string[]} [channelNames] - Configured channels; defaults to ALERT_CHANNELS.
+   * @throws {Error} If a rule is malformed or names an unknown channel.
+   */
+  validateAlertRules(alertRules, channelNames = Object.keys(parseAlertChannels(config.ALERT_CHANNELS))) {
+    if (!Array.isArray(alertRules)) {
+      throw new Error('alertRules must be an array.');
+    }
+    if (alertRules.length > MAX_ALERT_RULES) {
+      throw new Error(`A job can have at most ${MAX_ALERT_RULES} alert rules.`);
+    }
+    alertRules.forEach((rule, index) => {
+      const label = `alertRules[${index}]`;
+      if (typeof rule !== 'object' || rule === null || Array.isArray(rule)) {
+        throw new Error(`${label} must be an object.`);
+      }
+      const hasFailures = rule.consecutiveFailures !== undefined;
+      const hasWindow = rule.noSuccessWithinMs !== undefined;
+      if (hasFailures === hasWindow) {
+        throw new Error(`${label} needs either "consecutiveFailures" or "noSuccessWithinMs", but not both.`);
+      }
+      if (hasFailures && (!Number.isInteger(rule.consecutiveFailures) || rule.consecutiveFailures < 1 || rule.consecutiveFailures > MAX_ALERT_FAILURES)) {
+        throw new Error(`${label}.consecutiveFailures must be an integer between 1 and ${MAX_ALERT_FAILURES}.`);
+      }
+      if (hasWindow && (!Number.isInteger(rule.noSuccessWithinMs) || rule.noSuccessWithinMs < 1)) {
+        throw new Error(`${label}.noSuccessWithinMs must be a positive integer number of milliseconds.`);
+      }
+      if (!Array.isArray(rule.channels) || rule.channels.length === 0) {
+        throw new Error(`${label}.channels must list at least one alert channel.`);
+      }
+      const unknown = rule.channels.filter(channel => !channelNames.includes(channel));
+      if (unknown.length > 0) {
+        throw new Error(`${label} uses unknown alert channel(s): ${unknown.join(', ')}. Configured: ${channelNames.join(', ') || 'none'}.`);
+      }
+    });
+  }
+
+  /**
+   * Validates the shape of a job's upstream list.
+   * @param {Array} dependsOn - Upstream job IDs.
+   * @throws {Error} If it is not a list of distinct job IDs.
+   */
+  validateDependsOn(dependsOn) {
+    if (!Array.isArray(dependsOn)) {
+      throw new Error('dependsOn must be an array of job IDs.');
+    }
+    if (dependsOn.length > MAX_UPSTREAM_JOBS) {
+      throw new Error(`dependsOn may list at most ${MAX_UPSTREAM_JOBS} jobs.`);
+    }
+    const ids = dependsOn.map(id => String(id));
+    const invalid = ids.find(id => !OBJECT_ID_PATTERN.test(id));
+    if (invalid !== undefined) {
+      throw new Error(`Invalid job ID in dependsOn: "${invalid}".`);
+    }
+    if (new Set(ids).size !== ids.length) {
+      throw new Error('dependsOn lists the same job more than once.');
+    }
+  }
+
+  /**
+   * Checks that a job's upstream jobs exist and that depending on them does not create a cycle.
+   * @param {string|null} jobId - The job being saved; null for a job not yet created.
+   * @param {Array} dependsOn - Its upstream job IDs.
+   * @param {Map<string, string[]>} graph - Every existing job ID mapped to its upstream job IDs.
+   * @throws {Error} If an upstream job is missing or a cycle would form.
+   */
+  validateDependencyGraph(jobId, dependsOn, graph) {
+    const upstream = (dependsOn || []).map(id => String(id));
+    const missing = upstream.find(id => !graph.has(id));
+    if (missing !== undefined) {
+      throw new Error(`dependsOn references a job that does not exist: "${missing}".`);
+    }
+    if (!jobId) return; // Nothing can depend on a job that does not exist yet
+
+    const self = String(jobId);
+    const edges = new Map(graph);
+    edges.set(self, upstream);
+
+    // Walk upstream from the job; reaching it again means a cycle
+    const visited = new Set();
+    const walk = (id, path) => {
+      for (const parent of edges.get(id) || []) {
+        if (parent === self) {
+          throw new Error(`dependsOn would create a cycle: ${[...path, self].join(' -> ')} (each job depends on the next).`);
+        }
+        if (!visited.has(parent)) {
+          visited.add(parent);
+          walk(parent, [...path, parent]);
+        }
+      }
+    };
+    walk(self, [self]);
+  }
+
+  /**
+   * Validates a one-off run time.
+   * @param {Date|string} runAt - When the job should fire.
+   * @param {object} [options]
+   * @param {boolean} [options.requireFuture=false] - Reject times already in the past.
+   * @throws {Error} If runAt is not a valid date.
+   */
+  validateRunAt(runAt, { requireFuture = false } = {}) {
+    const date = new Date(runAt);
+    if (runAt === '' || typeof runAt === 'boolean' || Number.isNaN(date.getTime())) {
+      throw new Error(`Invalid runAt: "${runAt}". Must be an ISO-8601 date.`);
+    }
+    if (requireFuture && date.getTime() < Date.now() - RUN_AT_GRACE_MS) {
+      throw new Error(`runAt "${date.toISOString()}" is in the past.`);
+    }
+  }
+
+  /**
+   * Converts a delay relative to now into a runAt time.
+   * @param {number} delayMs - Milliseconds from now.
+   * @returns {Date} The resulting run time.
+   * @throws {Error} If the delay is not a non-negative integer.
+   */
+  resolveDelay(delayMs) {
+    if (!Number.isInteger(delayMs) || delayMs < 0) {
+      throw new Error('delayMs must be a non-negative integer number of milliseconds.');
+    }
+    return new Date(Date.now() + delayMs);
+  }
+
+  /**
+   * Validates a job's retry policy.
+   * @param {object} retryPolicy - The retryPolicy object to validate.
+   * @throws {Error} If any setting is out of range.
+   */
+  validateRetryPolicy(retryPolicy) {
+    if (typeof retryPolicy !== 'object' || Array.isArray(retryPolicy)) {
+      throw new Error('retryPolicy must be an object.');
+    }
+    const { maxRetries, backoff, retryDelay, maxRetryDelay } = retryPolicy;
+
+    if (maxRetries !== undefined && (!Number.isInteger(maxRetries) || maxRetries < 0 || maxRetries > MAX_RETRIES)) {
+      throw new Error(`retryPolicy.maxRetries must be an integer between 0 and ${MAX_RETRIES}.`);
+    }
+    if (backoff !== undefined && !BACKOFF_STRATEGIES.includes(backoff)) {
+      throw new Error(`retryPolicy.backoff must be one of: ${BACKOFF_STRATEGIES.join(', ')}.`);
+    }
+    for (const [key, value] of Object.entries({ retryDelay, maxRetryDelay })) {
+      if (value !== undefined && (!Number.isInteger(value) || value < 0 || value > MAX_RETRY_DELAY_MS)) {
+        throw new Error(`retryPolicy.${key} must be an integer number of milliseconds between 0 and ${MAX_RETRY_DELAY_MS}.`);
+      }
+    }
+  }
+
+  /**
+   * Validates an IANA timezone name.
+   * @param {string} timezone - The zone name, e.g. "Europe/London".
+   * @throws {Error} If the zone is unknown.
+   */
+  validateTimezone(timezone) {
+    if (!isValidTimezone(timezone)) {
+      throw new Error(`Invalid timezone: "${timezone}". Must be an IANA zone name such as "America/New_York".`);
+    }
   }
 
   /**
    * Validates a cron schedule string.
    * @param {string} cronSchedule - The cron string to validate.
+   * @param {string} [timezone] - The zone the schedule is evaluated in.
    * @throws {Error} If the cron schedule is invalid.
    */
-  validateCronSchedule(cronSchedule) {
+  validateCronSchedule(cronSchedule, timezone = DEFAULT_TIMEZONE) {
     if (!cronSchedule || typeof cronSchedule !== 'string') {
       throw new Error('Cron schedule must be a non-empty string.');
     }
     try {
-      // ✅ FIXED: 'seconds' is now a top-level option
-      const options = {
-        currentDate: new Date(),
-        // Set seconds: true if the cron string has 6 fields
-        seconds: cronSchedule.split(' ').length === 6
-      };
-      
-      cronParser.parseExpression(cronSchedule, options);
+      checkNodeCronSupport(cronSchedule);
+      parseCron(cronSchedule, { timezone });
     } catch (error) {
       throw new Error(`Invalid cron schedule format: "${cronSchedule}". Error: ${error.message}`);
     }
   }
 
+  /**
+   * Calculates when a job fires next, whether it is recurring or one-off.
+   * @param {object} job - The job (document or payload).
+   * @returns {Date|null} The next run time; null for a job started by its upstream jobs.
+   */
+  calculateJobNextRun(job) {
+    if (isDependentJob(job)) {
+      return null; // Started by its upstream jobs, not by the clock
+    }
+    if (isOneOffJob(job)) {
+      return new Date(job.runAt);
+    }
+    return this.calculateNextRunTime(job.cronSchedule, resolveTimezone(job));
+  }
+
   /**
    * Calculates the next run time for a given cron schedule.
    * @param {string} cronSchedule - The cron string.
+   * @param {string} [timezone] - The zone the schedule is evaluated in.
    * @returns {Date} The next calculated run time.
    * @throws {Error} If the cron schedule is invalid.
    */
-  calculateNextRunTime(cronSchedule) {
+  calculateNextRunTime(cronSchedule, timezone = DEFAULT_TIMEZONE) {
     try {
-      // ✅ FIXED: 'seconds' is now a top-level option
-      const options = {
-        currentDate: new Date(),
-        seconds: cronSchedule.split(' ').length === 6
-      };
-      
-      const interval = cronParser.parseExpression(cronSchedule, options);
+      const interval = parseCron(cronSchedule, { timezone });
       return interval.next().toDate();
     } catch (error) {
-      logger.error('Failed to calculate next run time', { cronSchedule, error: error.message });
+      logger.error('Failed to calculate next run time', { cronSchedule, timezone, error: error.message });
       throw new Error(`Failed to calculate next run time for cron schedule "${cronSchedule}". Error: ${error.message}`);
     }
   }
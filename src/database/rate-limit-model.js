@@ -0,0 +1,32 @@
+/**
+ * Rate Limit Counter Model - MongoDB Schema
+ * One document per client, budget and window; used when instances share rate limits through Mongo.
+ */
+
+import mongoose from 'mongoose';
+
+const rateLimitCounterSchema = new mongoose.Schema({
+  // "<budget>:<client>:<window start>"
+  _id: {
+    type: String
+  },
+
+  count: {
+    type: Number,
+    default: 0
+  },
+
+  // End of the window; MongoDB TTL cleanup removes the counter after it
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  versionKey: false
+});
+
+rateLimitCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RateLimitCounter = mongoose.model('RateLimitCounter', rateLimitCounterSchema);
+
+export default RateLimitCounter;
@@ -0,0 +1,87 @@
+/**
+ * Alert Channels - Where alert notifications are delivered
+ * Channels are named in config (ALERT_CHANNELS) and referenced by name from alert rules:
+ * {"ops": {"type": "webhook", "url": "https://..."}, "oncall": {"type": "email", "to": "oncall@example.com"},
+ *  "audit": {"type": "log", "path": "./logs/alerts.log"}}
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { sendEmailMessage } from './email-sender.js';
+
+export const ALERT_CHANNEL_TYPES = ['webhook', 'email', 'log'];
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+
+/**
+ * Parses channel definitions from a JSON string or object.
+ * @param {string|object} channels
+ * @returns {object} Channel name -> definition.
+ * @throws {Error} If the JSON is malformed or a channel is incomplete.
+ */
+export function parseAlertChannels(channels) {
+  if (!channels) return {};
+  let definitions = channels;
+  if (typeof channels === 'string') {
+    try {
+      definitions = JSON.parse(channels);
+    } catch (error) {
+      throw new Error(`ALERT_CHANNELS is not valid JSON: ${error.message}`);
+    }
+  }
+
+  for (const [name, definition] of Object.entries(definitions)) {
+    if (!ALERT_CHANNEL_TYPES.includes(definition?.type)) {
+      throw new Error(`Alert channel "${name}" needs a type: ${ALERT_CHANNEL_TYPES.join(', ')}.`);
+    }
+    const required = { webhook: 'url', email: 'to', log: 'path' }[definition.type];
+    if (!definition[required]) {
+      throw new Error(`Alert channel "${name}" (${definition.type}) needs "${required}".`);
+    }
+  }
+  return definitions;
+}
+
+// One line per notification, e.g. "[FIRING] nightly-report: 3 consecutive failures"
+function summarize(notification) {
+  return `[${notification.status.toUpperCase()}] ${notification.jobName}: ${notification.message}`;
+}
+
+async function sendWebhook(definition, notification) {
+  const response = await fetch(definition.url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...(definition.headers || {}) },
+    body: JSON.stringify(notification),
+    signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+  });
+  if (!response.ok) {
+    throw new Error(`Webhook responded with HTTP ${response.status}`);
+  }
+}
+
+async function sendEmail(definition, notification) {
+  await sendEmailMessage({
+    to: definition.to,
+    from: definition.from,
+    subject: summarize(notification),
+    text: JSON.stringify(notification, null, 2)
+  });
+}
+
+async function appendToLog(definition, notification) {
+  await fs.mkdir(path.dirname(path.resolve(definition.path)), { recursive: true });
+  await fs.appendFile(definition.path, `${JSON.stringify({ timestamp: new Date().toISOString(), ...notification })}\n`);
+}
+
+const SENDERS = { webhook: sendWebhook, email: sendEmail, log: appendToLog };
+
+/**
+ * Builds the channels from their definitions.
+ * @param {object} definitions - From parseAlertChannels.
+ * @returns {Map<string, {type: string, send: function(object): Promise<void>}>}
+ */
+export function createAlertChannels(definitions) {
+  return new Map(Object.entries(definitions).map(([name, definition]) => [name, {
+    type: definition.type,
+    send: notification => SENDERS[definition.type](definition, notification)
+  }]));
+}
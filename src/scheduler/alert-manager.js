@@ -0,0 +1,206 @@
+/**
+ * Alert Manager - Raises alerts when jobs keep failing or stop succeeding
+ * Rules come from the job's alertRules or, when it has none, from the rules configured for
+ * its type. An alert is sent once when it opens and stays open, without repeats, until the
+ * job's next successful run, which sends a "recovered" notice.
+ */
+
+import { logger } from '../core/logger.js';
+import { JobValidator } from '../database/job-validator.js';
+import { eventBus as defaultEventBus } from '../core/event-bus.js';
+
+const jobValidator = new JobValidator();
+const FAILURE_EVENTS = ['run.failed', 'run.timed-out', 'run.abandoned'];
+
+/**
+ * Parses per-type rules such as {"http": [{"consecutiveFailures": 3, "channels": ["ops"]}]}.
+ * @param {string|object} rules - JSON string or object.
+ * @param {string[]} channelNames - Configured channel names.
+ * @returns {object} Job type -> rules.
+ * @throws {Error} If the JSON or a rule is malformed.
+ */
+export function parseTypeAlertRules(rules, channelNames) {
+  if (!rules) return {};
+  let byType = rules;
+  if (typeof rules === 'string') {
+    try {
+      byType = JSON.parse(rules);
+    } catch (error) {
+      throw new Error(`ALERT_TYPE_RULES is not valid JSON: ${error.message}`);
+    }
+  }
+  for (const [type, typeRules] of Object.entries(byType)) {
+    try {
+      jobValidator.validateAlertRules(typeRules, channelNames);
+    } catch (error) {
+      throw new Error(`Alert rules for type "${type}": ${error.message}`);
+    }
+  }
+  return byType;
+}
+
+// Stable identity of a rule, used to deduplicate its alerts
+export function alertRuleKey(rule) {
+  return rule.consecutiveFailures !== undefined && rule.consecutiveFailures !== null
+    ? `consecutive-failures:${rule.consecutiveFailures}`
+    : `no-success:${rule.noSuccessWithinMs}`;
+}
+
+// "1h 30m", "45s"
+function formatDuration(ms) {
+  const units = [['d', 86400000], ['h', 3600000], ['m', 60000], ['s', 1000]];
+  const parts = [];
+  let remaining = ms;
+  for (const [unit, size] of units) {
+    if (remaining >= size) {
+      parts.push(`${Math.floor(remaining / size)}${unit}`);
+      remaining %= size;
+    }
+  }
+  return parts.slice(0, 2).join(' ') || `${ms}ms`;
+}
+
+export class AlertManager {
+  constructor(jobService, runService, alertService, {
+    channels = new Map(),
+    typeRules = {},
+    checkIntervalMs = 60 * 1000,
+    eventBus = defaultEventBus
+  } = {}) {
+    this.jobService = jobService;
+    this.runService = runService;
+    this.alertService = alertService;
+    this.channels = channels; // name -> { type, send(notification) }
+    this.typeRules = typeRules;
+    this.checkIntervalMs = checkIntervalMs;
+    this.eventBus = eventBus;
+    this.unsubscribe = null;
+    this.checkInterval = null;
+  }
+
+  // Follow run results and check for jobs without a recent success
+  start() {
+    if (this.unsubscribe) return;
+    this.unsubscribe = this.eventBus.subscribe(event => {
+      if (event.type === 'run.succeeded' || FAILURE_EVENTS.includes(event.type)) {
+        this.handleRunEvent(event).catch(error => {
+          logger.error('Could not evaluate alert rules', { jobId: event.jobId, error: error.message });
+        });
+      }
+    });
+    this.checkInterval = setInterval(() => {
+      this.checkNoSuccess().catch(error => {
+        logger.error('Could not check jobs for missing successes', { error: error.message });
+      });
+    }, this.checkIntervalMs);
+    this.checkInterval.unref?.();
+    logger.info('Alerting started', { channels: Array.from(this.channels.keys()), checkIntervalMs: this.checkIntervalMs });
+  }
+
+  stop() {
+    if (this.unsubscribe) this.unsubscribe();
+    this.unsubscribe = null;
+    clearInterval(this.checkInterval);
+    this.checkInterval = null;
+  }
+
+  // The job's own rules, or its type's
+  rulesFor(job) {
+    return job.alertRules?.length > 0 ? job.alertRules : (this.typeRules[job.type] || []);
+  }
+
+  async handleRunEvent(event) {
+    if (event.type === 'run.succeeded') {
+      await this.resolveAlerts(event.jobId);
+      return;
+    }
+
+    const job = await this.jobService.getById(event.jobId);
+    const rules = this.rulesFor(job).filter(rule => rule.consecutiveFailures);
+    for (const rule of rules) {
+      const outcomes = await this.runService.getRecentOutcomes(job._id, rule.consecutiveFailures);
+      if (outcomes.length === rule.consecutiveFailures && outcomes.every(outcome => outcome !== 'succeeded')) {
+        await this.raise(job, rule, 'consecutive-failures', `${rule.consecutiveFailures} consecutive failed runs (latest: ${event.data?.error || event.type})`);
+      }
+    }
+  }
+
+  /**
+   * Raises alerts for active jobs whose last success is older than a noSuccessWithinMs rule allows.
+   * Jobs that never succeeded count from their creation.
+   * @returns {Promise<void>}
+   */
+  async checkNoSuccess() {
+    const jobs = await this.jobService.getActiveJobs();
+    const now = Date.now();
+    for (const job of jobs) {
+      const rules = this.rulesFor(job).filter(rule => rule.noSuccessWithinMs);
+      if (rules.length === 0) continue;
+
+      const lastSuccessAt = await this.runService.getLastSuccessAt(job._id);
+      const since = new Date(lastSuccessAt || job.createdAt).getTime();
+      for (const rule of rules) {
+        if (now - since > rule.noSuccessWithinMs) {
+          const last = lastSuccessAt ? `last success ${new Date(lastSuccessAt).toISOString()}` : 'never succeeded';
+          await this.raise(job, rule, 'no-success', `No successful run in ${formatDuration(rule.noSuccessWithinMs)} (${last})`);
+        }
+      }
+    }
+  }
+
+  // Open an alert unless one is already open for the rule, and notify its channels
+  async raise(job, rule, condition, message) {
+    const channels = Array.from(rule.channels);
+    const alert = await this.alertService.open(job, { ruleKey: alertRuleKey(rule), condition, channels, message });
+    if (!alert) return; // Still open from an earlier failure
+
+    logger.warn(`ALERT: "${job.name}" ${message}`, { jobId: job._id, alertId: alert._id, channels });
+    await this.notify(alert, 'firing');
+  }
+
+  async resolveAlerts(jobId) {
+    const open = await this.alertService.getOpenByJobId(jobId);
+    for (const alert of open) {
+      // Another instance may have resolved it first; only one sends the notice
+      const resolved = await this.alertService.resolve(alert._id);
+      if (!resolved) continue;
+      logger.info(`ALERT RECOVERED: "${resolved.jobName}"`, { jobId, alertId: resolved._id });
+      await this.notify(resolved, 'recovered');
+    }
+  }
+
+  // Deliver to every channel of the alert; one failing channel does not stop the others
+  async notify(alert, status) {
+    const notification = {
+      status,
+      alertId: alert._id.toString(),
+      rule: alert.ruleKey,
+      condition: alert.condition,
+      jobId: alert.jobId.toString(),
+      jobName: alert.jobName,
+      jobType: alert.jobType,
+      namespace: alert.namespace,
+      message: status === 'recovered' ? `Recovered: ${alert.message}` : alert.message,
+      openedAt: alert.openedAt,
+      resolvedAt: alert.resolvedAt
+    };
+
+    await Promise.all(alert.channels.map(async name => {
+      const channel = this.channels.get(name);
+      // Rules may still name a channel since removed from ALERT_CHANNELS
+      if (!channel) {
+        logger.warn(`Alert channel "${name}" is not configured, skipping it`, { alertId: notification.alertId });
+        return;
+      }
+      try {
+        await channel.send(notification);
+      } catch (error) {
+        logger.error(`Could not deliver alert to channel "${name}"`, {
+          alertId: notification.alertId,
+          channelType: channel.type,
+          error: error.message
+        });
+      }
+    }));
+  }
+}
@@ -0,0 +1,125 @@
+/**
+ * Email Sender - Delivers `email` jobs over SMTP
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import nodemailer from 'nodemailer';
+import config from '../config/config.js';
+
+let transporter = null;
+
+// One pooled transport per process, built from config on first use
+function getTransporter() {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: config.SMTP_HOST,
+      port: config.SMTP_PORT,
+      secure: config.SMTP_SECURE,
+      auth: config.SMTP_USER ? { user: config.SMTP_USER, pass: config.SMTP_PASS } : undefined,
+      pool: true
+    });
+  }
+  return transporter;
+}
+
+/**
+ * Resolves an attachment path against EMAIL_ATTACHMENT_ROOT without touching the filesystem,
+ * so job data can be checked when the job is saved. Attachments are refused without a root.
+ * @param {string} filePath - Relative to the root, or absolute inside it.
+ * @returns {string} The absolute path.
+ * @throws {Error} If attachments are disabled or the path escapes the root.
+ */
+export function resolveAttachmentPath(filePath) {
+  const root = config.EMAIL_ATTACHMENT_ROOT;
+  if (!root) {
+    throw new Error('Email attachments are disabled; set EMAIL_ATTACHMENT_ROOT to allow them.');
+  }
+  const resolved = path.resolve(root, filePath);
+  if (!resolved.startsWith(path.resolve(root) + path.sep)) {
+    throw new Error(`Attachment "${filePath}" is outside the allowed attachment directory.`);
+  }
+  return resolved;
+}
+
+// The attachment's real location, so a symlink inside the root cannot point outside it
+async function realAttachmentPath(filePath) {
+  const resolved = resolveAttachmentPath(filePath);
+  const [realRoot, realFile] = await Promise.all([fs.realpath(config.EMAIL_ATTACHMENT_ROOT), fs.realpath(resolved)]);
+  if (!realFile.startsWith(realRoot + path.sep)) {
+    throw new Error(`Attachment "${filePath}" is outside the allowed attachment directory.`);
+  }
+  return realFile;
+}
+
+/**
+ * Checks a job-supplied sender against EMAIL_FROM_ALLOWLIST; without a list, jobs cannot set one.
+ * @param {string} [from] - "a@b.c" or "Name <a@b.c>".
+ * @throws {Error} If the address is not allowed.
+ */
+export function checkSender(from) {
+  if (from === undefined || from === null) return;
+  const address = String(from).match(/<([^>]+)>\s*$/)?.[1] ?? String(from);
+  const allowed = config.EMAIL_FROM_ALLOWLIST.split(',').map(entry => entry.trim().toLowerCase()).filter(Boolean);
+  if (!allowed.includes(address.trim().toLowerCase())) {
+    throw new Error(allowed.length > 0
+      ? `Sender "${from}" is not allowed. Allowed: ${allowed.join(', ')}.`
+      : 'Email jobs cannot set "from"; messages are sent from SMTP_FROM.');
+  }
+}
+
+/**
+ * Sends the message described by a job's data.
+ * @param {object} data - { to, cc, bcc, subject, text, html, from, attachments }
+ * @returns {Promise<object>} The delivery result: messageId, accepted and rejected recipients.
+ * @throws {Error} If the SMTP server refuses the message or every recipient; `error.result` holds what it reported.
+ */
+export async function sendEmailMessage(data) {
+  const attachments = await Promise.all((data.attachments || []).map(async attachment => {
+    const { path: filePath, filename } = typeof attachment === 'string' ? { path: attachment } : attachment;
+    return { path: await realAttachmentPath(filePath), filename: filename || path.basename(filePath) };
+  }));
+
+  let info;
+  try {
+    info = await getTransporter().sendMail({
+      from: data.from || config.SMTP_FROM,
+      to: data.to,
+      cc: data.cc,
+      bcc: data.bcc,
+      subject: data.subject,
+      text: data.text,
+      html: data.html,
+      attachments
+    });
+  } catch (error) {
+    // Envelope errors list the recipients the server refused
+    if (error.rejected) {
+      error.result = { rejected: error.rejected, response: error.response ?? null };
+    }
+    throw error;
+  }
+
+  const result = {
+    messageId: info.messageId,
+    accepted: info.accepted,
+    rejected: info.rejected,
+    response: info.response
+  };
+
+  if (info.accepted.length === 0) {
+    const error = new Error(`SMTP server rejected all recipients: ${info.rejected.join(', ')}`);
+    error.result = result;
+    throw error;
+  }
+
+  return result;
+}
+
+// Close pooled SMTP connections (used on shutdown)
+export function closeTransporter() {
+  if (transporter) {
+    transporter.close();
+    transporter = null;
+  }
+}
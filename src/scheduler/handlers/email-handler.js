@@ -0,0 +1,95 @@
+/**
+ * Email handler - Delivers a message over SMTP
+ */
+
+import { logger } from '../../core/logger.js';
+import { sendEmailMessage, resolveAttachmentPath, checkSender } from '../email-sender.js';
+
+const EMAIL_ADDRESS = /^[^\s@<>]+@[^\s@<>]+$/;
+
+const recipients = {
+  oneOf: [
+    { type: 'string', minLength: 1 },
+    { type: 'array', items: { type: 'string', minLength: 1 } }
+  ]
+};
+
+const toList = value => (Array.isArray(value) ? value : String(value).split(','))
+  .map(address => String(address).trim())
+  .filter(Boolean);
+
+export default {
+  type: 'email',
+  description: 'Sends an email through the configured SMTP server.',
+  schema: {
+    type: 'object',
+    required: ['to'],
+    properties: {
+      to: recipients,
+      cc: recipients,
+      bcc: recipients,
+      from: { type: 'string' },
+      subject: { type: 'string' },
+      text: { type: 'string' },
+      html: { type: 'string' },
+      attachments: {
+        type: 'array',
+        items: {
+          oneOf: [
+            { type: 'string', minLength: 1 },
+            {
+              type: 'object',
+              required: ['path'],
+              properties: {
+                path: { type: 'string', minLength: 1 },
+                filename: { type: 'string' }
+              }
+            }
+          ]
+        }
+      }
+    }
+  },
+
+  // Addresses may be "a@b.c" or "Name <a@b.c>", which JSON Schema's email format rejects
+  validate(data) {
+    if (toList(data.to).length === 0) {
+      throw new Error('Email jobs require at least one recipient in data.to.');
+    }
+    for (const field of ['to', 'cc', 'bcc']) {
+      if (data[field] === undefined || data[field] === null) continue;
+      const invalid = toList(data[field])
+        .filter(address => !EMAIL_ADDRESS.test(address.match(/<([^>]+)>$/)?.[1] ?? address));
+      if (invalid.length > 0) {
+        throw new Error(`Invalid email address in data.${field}: ${invalid.join(', ')}.`);
+      }
+    }
+    checkSender(data.from);
+    for (const attachment of data.attachments || []) {
+      resolveAttachmentPath(typeof attachment === 'string' ? attachment : attachment.path);
+    }
+    if (!data.subject) {
+      logger.warn('Email job without "data.subject" might be incomplete.', { to: data.to });
+    }
+  },
+
+  async execute(job, { logger, signal }) {
+    // Config may have changed since the job was saved
+    checkSender(job.data?.from);
+    // Nothing is sent yet, so a run cancelled or timed out by now stops cleanly
+    signal?.throwIfAborted();
+    const result = await sendEmailMessage(job.data || {});
+    if (signal?.aborted) {
+      // SMTP cannot take the message back; the run still ends as aborted
+      logger.warn(`Email for job "${job.name}" was sent after its run was aborted`, { jobId: job._id, messageId: result.messageId });
+      throw signal.reason;
+    }
+    logger.info(`Email sent for job "${job.name}"`, {
+      jobId: job._id,
+      messageId: result.messageId,
+      accepted: result.accepted.length,
+      rejected: result.rejected
+    });
+    return result;
+  }
+};
@@ -0,0 +1,37 @@
+/**
+ * HTTP handler - Calls a webhook and records the response
+ */
+
+import { performHttpRequest, HTTP_METHODS } from '../http-request.js';
+
+export default {
+  type: 'http',
+  description: 'Sends an HTTP request; non-2xx (or unexpected) status codes fail the run.',
+  schema: {
+    type: 'object',
+    required: ['url'],
+    properties: {
+      method: { type: 'string', enum: HTTP_METHODS.flatMap(method => [method, method.toLowerCase()]) },
+      url: { type: 'string', format: 'uri', pattern: '^https?://' },
+      headers: { type: 'object', additionalProperties: { type: 'string' } },
+      body: {},
+      expectedStatus: {
+        type: 'array',
+        items: { type: 'integer', minimum: 100, maximum: 599 }
+      },
+      timeoutMs: { type: 'integer', minimum: 1 }
+    }
+  },
+
+  async execute(job, { logger, signal }) {
+    const result = await performHttpRequest(job.data || {}, { signal });
+    logger.info(`HTTP request for job "${job.name}" completed`, {
+      jobId: job._id,
+      method: result.method,
+      url: result.url,
+      statusCode: result.statusCode,
+      durationMs: result.durationMs
+    });
+    return result;
+  }
+};
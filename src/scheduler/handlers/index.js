@@ -0,0 +1,21 @@
+/**
+ * Built-in job type handlers
+ */
+
+import emailHandler from './email-handler.js';
+import httpHandler from './http-handler.js';
+import {
+  reminderHandler,
+  dataProcessingHandler,
+  reportHandler,
+  notificationHandler
+} from './simulated-handlers.js';
+
+export const builtInHandlers = [
+  emailHandler,
+  httpHandler,
+  reminderHandler,
+  dataProcessingHandler,
+  reportHandler,
+  notificationHandler
+];
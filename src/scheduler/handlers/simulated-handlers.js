@@ -0,0 +1,54 @@
+/**
+ * Simulated handlers - Types that only log and sleep for now
+ */
+
+// Simulate work; stops early with the signal's reason when the run is cancelled or times out
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+export const reminderHandler = {
+  type: 'reminder',
+  description: 'Logs a reminder message.',
+  schema: {
+    type: 'object',
+    properties: {
+      message: { type: 'string' }
+    }
+  },
+
+  async execute(job, { logger, signal }) {
+    const message = job.data?.message || `This is a reminder!`;
+    logger.info(`Reminder logic executed for "${job.name}"`, { message, jobId: job._id });
+    await sleep(50, signal);
+  }
+};
+
+// Generic task types share one implementation
+function genericHandler(type, description) {
+  return {
+    type,
+    description,
+    schema: { type: 'object' },
+
+    async execute(job, { logger, signal }) {
+      logger.info(`Performing generic task for job "${job.name}"...`, { jobId: job._id, data: job.data });
+      await sleep(50, signal);
+    }
+  };
+}
+
+export const dataProcessingHandler = genericHandler('data-processing', 'Placeholder for data processing tasks.');
+export const reportHandler = genericHandler('report', 'Placeholder for report generation.');
+export const notificationHandler = genericHandler('notification', 'Placeholder for notifications.');
@@ -0,0 +1,113 @@
+/**
+ * HTTP Request - Performs the call behind an `http` job
+ */
+
+export const HTTP_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS'];
+export const DEFAULT_HTTP_TIMEOUT_MS = 30 * 1000;
+
+// Only this much of the response body (in bytes) is read and stored on the run
+const MAX_RECORDED_BODY = 4 * 1024;
+
+function isExpectedStatus(status, expectedStatus) {
+  if (Array.isArray(expectedStatus) && expectedStatus.length > 0) {
+    return expectedStatus.includes(status);
+  }
+  return status >= 200 && status < 300;
+}
+
+/**
+ * Reads the response body up to MAX_RECORDED_BODY bytes, then cancels the rest of the
+ * stream instead of downloading it. Reads fail once the request's signal aborts.
+ * @returns {Promise<{text: string, truncated: boolean}>}
+ */
+async function readBody(response) {
+  if (!response.body) return { text: '', truncated: false };
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let text = '';
+  let received = 0;
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) return { text: text + decoder.decode(), truncated: false };
+
+      const room = MAX_RECORDED_BODY - received;
+      if (value.byteLength > room) {
+        // Drop a character split by the cut rather than flushing half of it
+        text += decoder.decode(value.subarray(0, room), { stream: true });
+        await reader.cancel().catch(() => {});
+        return { text, truncated: true };
+      }
+      received += value.byteLength;
+      text += decoder.decode(value, { stream: true });
+    }
+  } finally {
+    reader.releaseLock();
+  }
+}
+
+/**
+ * Sends the request described by a job's data.
+ * @param {object} data - { method, url, headers, body, expectedStatus, timeoutMs }
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Aborts the request, e.g. when the run is cancelled.
+ * @returns {Promise<object>} The recorded result: status, truncated body and timing.
+ * @throws {Error} On network errors, timeouts and unexpected status codes; `error.result` holds the response if there was one.
+ */
+export async function performHttpRequest(data, { signal } = {}) {
+  const method = (data.method || 'GET').toUpperCase();
+  const timeoutMs = data.timeoutMs ?? DEFAULT_HTTP_TIMEOUT_MS;
+  const headers = { ...(data.headers || {}) };
+
+  let requestBody;
+  if (data.body !== undefined && data.body !== null && !['GET', 'HEAD'].includes(method)) {
+    if (typeof data.body === 'string') {
+      requestBody = data.body;
+    } else {
+      requestBody = JSON.stringify(data.body);
+      const hasContentType = Object.keys(headers).some(name => name.toLowerCase() === 'content-type');
+      if (!hasContentType) headers['Content-Type'] = 'application/json';
+    }
+  }
+
+  const requestSignal = signal
+    ? AbortSignal.any([AbortSignal.timeout(timeoutMs), signal])
+    : AbortSignal.timeout(timeoutMs);
+  const describeFailure = error => {
+    if (signal?.aborted) {
+      return signal.reason;
+    }
+    if (error.name === 'TimeoutError' || requestSignal.reason?.name === 'TimeoutError') {
+      return new Error(`HTTP ${method} ${data.url} timed out after ${timeoutMs}ms`);
+    }
+    return new Error(`HTTP ${method} ${data.url} failed: ${error.cause?.message || error.message}`);
+  };
+
+  const startedAt = Date.now();
+  let response;
+  let body;
+  try {
+    response = await fetch(data.url, { method, headers, body: requestBody, signal: requestSignal });
+    body = await readBody(response); // The body stream shares the request's abort signal
+  } catch (error) {
+    throw describeFailure(error);
+  }
+
+  const result = {
+    method,
+    url: data.url,
+    statusCode: response.status,
+    body: body.text,
+    bodyTruncated: body.truncated,
+    durationMs: Date.now() - startedAt
+  };
+
+  if (!isExpectedStatus(response.status, data.expectedStatus)) {
+    const error = new Error(`HTTP ${method} ${data.url} returned unexpected status ${response.status}`);
+    error.result = result;
+    throw error;
+  }
+
+  return result;
+}
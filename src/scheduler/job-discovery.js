@@ -1,20 +1,79 @@
 /**
- * Job Discovery - Handles periodic job discovery and scheduling
+ * Job Discovery - Keeps the scheduler in step with the jobs collection
  * Following SOLID principles - Single Responsibility
+ *
+ * By default it watches the jobs collection with a change stream and applies each change as
+ * it happens, with a slow full reconcile as a safety net. Deployments without change streams
+ * (a standalone mongod) fall back to a full poll every SCHEDULER_INTERVAL ms.
  */
 
 import { logger } from '../core/logger.js';
+import { recordDiscovery } from '../core/metrics.js';
+
+export const DISCOVERY_MODES = ['auto', 'poll'];
+
+// Server error codes for "change streams need a replica set" / "not supported here"
+const CHANGE_STREAMS_UNSUPPORTED = [40573, 115];
+// The resume token points at history the oplog no longer has, or is unusable
+const RESUME_TOKEN_LOST = [260, 280, 286];
+// Fields the scheduler writes after every run; changes to only these need no rescheduling
+const RUN_BOOKKEEPING_FIELDS = ['lastRun', 'nextRun', 'updatedAt'];
+const MAX_REOPEN_DELAY_MS = 30 * 1000;
+// Fields that shape how and what a job runs; a change to any of them needs a reschedule
+const SCHEDULING_FIELDS = ['name', 'namespace', 'type', 'data', 'cronSchedule', 'runAt', 'timezone', 'dependsOn',
+  'triggerCondition', 'retryPolicy', 'concurrencyPolicy', 'priority', 'timeoutMs', 'onFailure', 'misfirePolicy', 'maxMissedRuns'];
+
+function isUnsupported(error) {
+  return CHANGE_STREAMS_UNSUPPORTED.includes(error?.code) || /replica set/i.test(error?.message || '');
+}
+
+// JSON with sorted keys, so equal values give equal strings whatever their key order
+function stableStringify(value) {
+  if (value && typeof value.toJSON === 'function') return JSON.stringify(value.toJSON());
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    const entries = value instanceof Map ? Array.from(value) : Object.entries(value);
+    return `{${entries.sort(([a], [b]) => (a < b ? -1 : 1)).map(([key, item]) => `${JSON.stringify(key)}:${stableStringify(item)}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Summarizes the fields a job is scheduled with, so a reconcile can tell whether the copy the
+ * scheduler holds is out of date. Works on documents and on plain change stream objects.
+ * @param {object} job
+ * @returns {string}
+ */
+export function schedulingFingerprint(job) {
+  const source = typeof job.toObject === 'function' ? job.toObject() : job;
+  return stableStringify(Object.fromEntries(SCHEDULING_FIELDS.map(field => [field, source[field] ?? null])));
+}
 
 export class JobDiscovery {
-  constructor(jobService, schedulerManager) {
+  constructor(jobService, schedulerManager, { mode = 'auto', reconcileIntervalMs = 5 * 60 * 1000 } = {}) {
+    if (!DISCOVERY_MODES.includes(mode)) {
+      throw new Error(`Invalid job discovery mode "${mode}". Must be one of: ${DISCOVERY_MODES.join(', ')}.`);
+    }
     this.jobService = jobService;
     this.schedulerManager = schedulerManager;
     this.discoveryInterval = parseInt(process.env.SCHEDULER_INTERVAL) || 10000;
+    this.reconcileInterval = reconcileIntervalMs;
+    this.mode = mode; // 'auto' tries change streams first; 'poll' always polls
+    this.activeMode = null; // 'change-stream' or 'poll' once started
     this.isRunning = false;
+    this.isPaused = false; // Set while the database is unreachable
     this.intervalId = null;
+    this.cycleInterval = null; // Period of the full cycles currently running
+    this.changeStream = null;
+    this.resumeToken = null; // Last change applied; a reopened stream continues after it
+    this.reopenTimer = null;
+    this.reopenAttempts = 0;
+    this.lastCycleAt = null; // When the scheduler's job list last matched the database
+    this.lastChangeAt = null;
+    this.lastError = null;
   }
 
-  // Start periodic job discovery
+  // Start job discovery
   start() {
     if (this.isRunning) {
       logger.warn('Job discovery is already running');
@@ -22,38 +81,198 @@ export class JobDiscovery {
     }
 
     this.isRunning = true;
-    this.intervalId = setInterval(async () => {
-      if (this.schedulerManager.isShuttingDown) {
-        return;
-      }
-
-      try {
-        await this.discoverAndScheduleJobs();
-      } catch (error) {
-        logger.error('Error during job discovery', { 
-          error: error.message,
-          instanceId: this.schedulerManager.getInstanceId()
-        });
-      }
-    }, this.discoveryInterval);
+    if (this.mode === 'poll') {
+      this.activeMode = 'poll';
+      this.startCycles(this.discoveryInterval);
+    } else {
+      this.activeMode = 'change-stream';
+      this.startCycles(this.reconcileInterval);
+      this.openChangeStream();
+    }
 
     logger.info('Job discovery started', { 
-      interval: this.discoveryInterval,
+      mode: this.activeMode,
+      interval: this.cycleInterval,
       instanceId: this.schedulerManager.getInstanceId()
     });
   }
 
+  // Run a full discovery cycle every `intervalMs`: the poll itself, or the reconcile next to a change stream
+  startCycles(intervalMs) {
+    clearInterval(this.intervalId);
+    this.cycleInterval = intervalMs;
+    this.intervalId = setInterval(() => this.runCycle(), intervalMs);
+  }
+
+  async runCycle() {
+    if (this.schedulerManager.isShuttingDown || this.isPaused) {
+      return;
+    }
+
+    const startTime = Date.now();
+    try {
+      await this.discoverAndScheduleJobs();
+      recordDiscovery(Date.now() - startTime);
+      this.recordCycle();
+    } catch (error) {
+      recordDiscovery(Date.now() - startTime, true);
+      this.lastError = error.message;
+      logger.error('Error during job discovery', { 
+        error: error.message,
+        instanceId: this.schedulerManager.getInstanceId()
+      });
+    }
+  }
+
   // Stop job discovery
   stop() {
     if (this.intervalId) {
       clearInterval(this.intervalId);
       this.intervalId = null;
     }
+    this.closeChangeStream();
     this.isRunning = false;
     logger.info('Job discovery stopped');
   }
 
-  // Discover and schedule new jobs
+  // Skip cycles until resume(), e.g. during a database outage
+  pause() {
+    if (this.isPaused) return;
+    this.isPaused = true;
+    this.closeChangeStream();
+    logger.warn('Job discovery paused', { instanceId: this.schedulerManager.getInstanceId() });
+  }
+
+  resume() {
+    if (!this.isPaused) return;
+    this.isPaused = false;
+    if (this.activeMode === 'change-stream') this.openChangeStream();
+    logger.info('Job discovery resumed', { instanceId: this.schedulerManager.getInstanceId() });
+  }
+
+  // A full load of the active jobs (startup, resync) counts as a completed cycle
+  recordCycle() {
+    this.lastCycleAt = new Date();
+    this.lastError = null;
+  }
+
+  // --- Change stream ---
+
+  openChangeStream() {
+    if (!this.isRunning || this.isPaused || this.changeStream || this.schedulerManager.isShuttingDown) return;
+
+    let stream;
+    try {
+      stream = this.jobService.watchJobs({ resumeAfter: this.resumeToken });
+    } catch (error) {
+      this.handleStreamError(error);
+      return;
+    }
+
+    this.changeStream = stream;
+    stream.on('change', change => {
+      try {
+        this.applyChange(change);
+      } catch (error) {
+        // The next reconcile picks up whatever this change left out
+        logger.error('Could not apply job change', {
+          operation: change.operationType,
+          jobId: change.documentKey?._id?.toString(),
+          error: error.message
+        });
+      }
+      this.resumeToken = change._id;
+      this.reopenAttempts = 0;
+    });
+    stream.on('error', error => {
+      if (this.changeStream === stream) this.handleStreamError(error);
+    });
+    // A close we did not ask for (e.g. the server ended the cursor) is reopened like an error
+    stream.on('close', () => {
+      if (this.changeStream === stream) this.handleStreamError(new Error('Change stream closed'));
+    });
+
+    logger.info('Watching jobs for changes', { resuming: !!this.resumeToken, instanceId: this.schedulerManager.getInstanceId() });
+  }
+
+  closeChangeStream() {
+    clearTimeout(this.reopenTimer);
+    this.reopenTimer = null;
+    const stream = this.changeStream;
+    this.changeStream = null;
+    if (stream) {
+      Promise.resolve(stream.close()).catch(() => { /* already closed */ });
+    }
+  }
+
+  handleStreamError(error) {
+    this.closeChangeStream();
+    this.lastError = error.message;
+
+    if (isUnsupported(error)) {
+      logger.warn('Change streams are not available, falling back to polling for jobs', {
+        error: error.message,
+        interval: this.discoveryInterval
+      });
+      this.activeMode = 'poll';
+      this.startCycles(this.discoveryInterval);
+      return;
+    }
+
+    if (RESUME_TOKEN_LOST.includes(error.code)) {
+      // Changes since the token are gone; a full cycle covers them before watching afresh
+      logger.warn('Job change stream cannot resume, reloading all jobs', { error: error.message });
+      this.resumeToken = null;
+      this.runCycle().finally(() => this.openChangeStream());
+      return;
+    }
+
+    const delay = Math.min(1000 * 2 ** this.reopenAttempts, MAX_REOPEN_DELAY_MS);
+    this.reopenAttempts++;
+    logger.error('Job change stream failed, reopening', { error: error.message, retryInMs: delay });
+    this.reopenTimer = setTimeout(() => {
+      this.reopenTimer = null;
+      this.openChangeStream();
+    }, delay);
+    this.reopenTimer.unref?.();
+  }
+
+  /**
+   * Applies one change to the jobs collection to the scheduler.
+   * @param {object} change - A change stream event with the full document looked up.
+   */
+  applyChange(change) {
+    const jobId = change.documentKey._id.toString();
+    this.lastChangeAt = new Date();
+
+    if (change.operationType === 'delete') {
+      this.schedulerManager.unscheduleJob(jobId, { reason: 'Job deleted' });
+      return;
+    }
+    if (!['insert', 'update', 'replace'].includes(change.operationType)) return;
+
+    if (change.operationType === 'update') {
+      const { updatedFields = {}, removedFields = [] } = change.updateDescription || {};
+      const fields = [...Object.keys(updatedFields), ...removedFields];
+      if (fields.every(field => RUN_BOOKKEEPING_FIELDS.includes(field))) return;
+    }
+
+    const job = change.fullDocument;
+    // Deleted again before the lookup; its delete event follows
+    if (!job) return;
+
+    const wasScheduled = this.schedulerManager.getScheduledJobIds().includes(jobId);
+    // Jobs created through this instance's API are already scheduled
+    if (change.operationType === 'insert' && wasScheduled) return;
+
+    if (!wasScheduled && job.status === 'active') {
+      this.schedulerManager.eventBus.publish('job.discovered', job, { operation: change.operationType });
+    }
+    this.schedulerManager.scheduleJob(job);
+    if (!wasScheduled) this.schedulerManager.handleMisfires(job);
+  }
+
+  // Discover and schedule new jobs, reschedule edited ones and drop inactive ones
   async discoverAndScheduleJobs() {
     const activeJobs = await this.jobService.getActiveJobs();
     const currentJobIds = new Set(this.schedulerManager.getScheduledJobIds());
@@ -61,28 +280,35 @@ export class JobDiscovery {
 
     // Schedule new jobs
     const newJobs = activeJobs.filter(job => !currentJobIds.has(job._id.toString()));
-    if (newJobs.length > 0) {
-      console.log(`🔍 Discovered ${newJobs.length} new job(s):`);
-      newJobs.forEach((job, index) => {
-        console.log(`   ${index + 1}. ${job.name} (${job.type}) - ${job.cronSchedule}`);
-        this.schedulerManager.scheduleJob(job);
-      });
-    }
+    newJobs.forEach(job => {
+      const schedule = job.cronSchedule
+        || (job.runAt ? `once at ${new Date(job.runAt).toISOString()}` : `after ${job.dependsOn.length} upstream job(s)`);
+      logger.info(`Discovered new job "${job.name}"`, { jobId: job._id, jobType: job.type, schedule });
+      this.schedulerManager.eventBus.publish('job.discovered', job, { schedule });
+      this.schedulerManager.scheduleJob(job);
+      this.schedulerManager.handleMisfires(job);
+    });
+
+    // Reschedule jobs edited since they were scheduled, in case their change event was missed
+    const changedJobs = activeJobs.filter(job => currentJobIds.has(job._id.toString())
+      && this.schedulerManager.getSchedulingFingerprint(job._id.toString()) !== schedulingFingerprint(job));
+    changedJobs.forEach(job => {
+      logger.info(`Rescheduling changed job "${job.name}"`, { jobId: job._id });
+      this.schedulerManager.scheduleJob(job);
+    });
 
     // Unschedule jobs that are no longer active
     const jobsToUnschedule = Array.from(currentJobIds).filter(jobId => !activeJobIds.has(jobId));
-    if (jobsToUnschedule.length > 0) {
-      console.log(`🗑️  Unschedule ${jobsToUnschedule.length} inactive job(s):`);
-      jobsToUnschedule.forEach(jobId => {
-        console.log(`   - Job ID: ${jobId}`);
-        this.schedulerManager.unscheduleJob(jobId);
-      });
-    }
+    jobsToUnschedule.forEach(jobId => {
+      logger.info('Unscheduling inactive job', { jobId });
+      this.schedulerManager.unscheduleJob(jobId, { reason: 'Job is no longer active' });
+    });
 
     // Log discovery summary
-    if (newJobs.length > 0 || jobsToUnschedule.length > 0) {
+    if (newJobs.length > 0 || changedJobs.length > 0 || jobsToUnschedule.length > 0) {
       logger.info('Job discovery completed', {
         newJobs: newJobs.length,
+        rescheduledJobs: changedJobs.length,
         unscheduledJobs: jobsToUnschedule.length,
         totalActiveJobs: activeJobs.length,
         totalScheduledJobs: this.schedulerManager.getScheduledJobCount(),
@@ -95,8 +321,16 @@ export class JobDiscovery {
   getStatus() {
     return {
       isRunning: this.isRunning,
+      isPaused: this.isPaused,
+      mode: this.activeMode,
+      isStreamOpen: !!this.changeStream,
       discoveryInterval: this.discoveryInterval,
-      hasInterval: !!this.intervalId
+      reconcileInterval: this.reconcileInterval,
+      cycleInterval: this.cycleInterval,
+      hasInterval: !!this.intervalId,
+      lastCycleAt: this.lastCycleAt,
+      lastChangeAt: this.lastChangeAt,
+      lastError: this.lastError
     };
   }
 }
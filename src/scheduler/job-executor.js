@@ -4,79 +4,430 @@
 
 import { logger } from '../core/logger.js';
 import { JobValidator } from '../database/job-validator.js';
+import { resolveRetryPolicy, computeRetryDelay } from './retry-policy.js';
+import { isOneOffJob } from '../database/job-model.js';
+import { v4 as uuidv4 } from 'uuid';
+import { jobTypeRegistry } from './job-type-registry.js';
+import { recordRun, recordScheduleLag } from '../core/metrics.js';
+import { eventBus as defaultEventBus } from '../core/event-bus.js';
 // import JobService from '../database/job-service.js'; // ❌ REMOVED: We get this via constructor
 
 const jobValidator = new JobValidator();
 
+// Settles with the promise, or rejects with the signal's reason as soon as it aborts
+function abortable(promise, signal) {
+  if (!signal) return promise;
+  if (signal.aborted) return Promise.reject(signal.reason);
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(
+      value => { signal.removeEventListener('abort', onAbort); resolve(value); },
+      error => { signal.removeEventListener('abort', onAbort); reject(error); }
+    );
+  });
+}
+
 export class JobExecutor {
-  constructor(jobService) {
+  constructor(jobService, {
+    runService = null,
+    leaseManager = null,
+    registry = jobTypeRegistry,
+    instanceId = null,
+    cancelPollIntervalMs = null,
+    onRunFinished = null,
+    eventBus = defaultEventBus
+  } = {}) {
     // ✅ FIXED: Correctly assign the injected service instance
     if (!jobService) {
       throw new Error('JobExecutor requires a JobService instance.');
     }
     this.jobService = jobService;
+    this.runService = runService; // Optional: records execution history
+    this.leaseManager = leaseManager; // Optional: coordinates with other instances
+    this.registry = registry; // Maps job types to handlers
+    this.instanceId = instanceId;
+    this.inFlight = new Map(); // run key -> in-flight run (abort controller, timing)
+    this.cancelPoll = null;
+    // Heartbeats must keep up with the run service's stale threshold, so they follow it by default
+    this.cancelPollIntervalMs = cancelPollIntervalMs ?? runService?.heartbeatIntervalMs ?? 5000;
+    this.onRunFinished = onRunFinished; // Optional: (job, run, outcome) once a run is recorded as finished
+    this.eventBus = eventBus;
   }
 
   /**
    * Executes a given job.
    * @param {object} job - The job document to execute.
+   * @param {object} [options]
+   * @param {Date} [options.scheduledAt] - The slot this run was scheduled for.
+   * @param {string} [options.trigger] - What started the run ('schedule', 'misfire', 'manual' or 'dependency').
+   * @param {*} [options.runId] - Pre-allocated ID for the run record.
+   * @param {object} [options.dataOverrides] - Merged over the job's data for this run only.
+   * @param {*} [options.workflowRunId] - The workflow run a dependency run belongs to.
    */
-  async execute(job) {
+  async execute(job, {
+    scheduledAt = null,
+    trigger = 'schedule',
+    runId = null,
+    dataOverrides = null,
+    workflowRunId = null
+  } = {}) {
     const jobName = job.name || job._id; // Use your schema field 'name'
+    // Manual runs happen outside the schedule, so they leave the job's status and nextRun alone
+    const isManual = trigger === 'manual';
+
+    if (dataOverrides) {
+      const base = typeof job.toObject === 'function' ? job.toObject() : job;
+      job = { ...base, data: { ...(base.data || {}), ...dataOverrides } };
+    }
+
+    // Claim the slot first so only one instance runs it
+    const lease = await this.acquireLease(job, scheduledAt);
+    if (lease === false) return;
+
+    const run = await this.startRun(job, scheduledAt, trigger, { runId, dataOverrides, workflowRunId });
+    const flight = this.trackInFlight(job, run, scheduledAt, trigger);
+    const { signal } = flight.controller;
+    // Dependency runs share their workflow's slot, so their lag would be the upstream runtime
+    if (scheduledAt && trigger !== 'dependency') {
+      recordScheduleLag(job, { trigger, scheduledAt, startedAt: flight.startedAt });
+    }
+    this.eventBus.publish('run.started', job, { runId: flight.runId, trigger, scheduledAt, workflowRunId });
+    let attempts = 0;
+    let finalOutcome = null;
+    let finalError = null;
 
     try {
-      // --- 1. Run the actual job logic ---
-      switch (job.type) { // Use your schema field 'type'
-        case 'email':
-          await this.sendEmail(job);
-          break;
-        case 'reminder':
-          await this.sendReminder(job);
-          break;
-        // Add other cases as needed
-        default:
-          await this.performGenericTask(job);
-          break;
-      }
+      // --- 1. Run the actual job logic, retrying per the job's policy ---
+      const outcome = await this.runWithRetries(job, { scheduledAt, runId: run?._id ?? null, signal });
+      attempts = outcome.attempts;
 
       // --- 2. After successful execution, update timestamps ---
       const lastRun = new Date(); // The time right now
-      const nextRun = jobValidator.calculateNextRunTime(job.cronSchedule); // Use 'cronSchedule'
+      if (isManual) {
+        logger.info(`Job Executed manually: ${job.name}`, { jobId: job._id, attempts, runId: run?._id });
+      } else {
+        // One-off jobs are done after this run and have no next run
+        const nextRun = isOneOffJob(job) ? null : jobValidator.calculateJobNextRun(job);
 
-      // Update the database
-      await this.jobService.markJobCompleted(job._id); 
-      await this.jobService.updateNextRun(job._id, nextRun); // This updates 'nextRun'
+        // Update the database
+        await this.jobService.markJobCompleted(job._id); 
+        await this.jobService.updateNextRun(job._id, nextRun); // This updates 'nextRun'
 
-      logger.info(`Job Executed: ${job.name}`, {
-        jobId: job._id,
-        lastRun: lastRun.toISOString(),
-        nextRun: nextRun.toISOString()
-      });
+        logger.info(`Job Executed: ${job.name}`, {
+          jobId: job._id,
+          attempts,
+          lastRun: lastRun.toISOString(),
+          nextRun: nextRun ? nextRun.toISOString() : null
+        });
+      }
 
+      await this.finishRun(run, 'succeeded', null, { attempts, result: outcome.result ?? null });
+      finalOutcome = 'succeeded';
     } catch (error) {
-      logger.error(`Job "${jobName}" (ID: ${job._id}) failed to execute: ${error.message}`, {
+      attempts = error.attempts ?? attempts;
+      // An aborted run ends as 'timed-out' or 'cancelled' rather than 'failed'
+      const outcome = signal.aborted ? signal.reason.outcome : 'failed';
+
+      logger.error(`Job "${jobName}" (ID: ${job._id}) ${outcome === 'failed' ? 'failed to execute' : outcome}: ${error.message}`, {
+        attempts,
+        outcome,
+        onFailure: job.onFailure,
         error: error.stack
       });
-      // Mark job as failed in DB
+      await this.finishRun(run, outcome, error, { attempts, result: error.result ?? null });
+      finalOutcome = outcome;
+      finalError = error;
+
+      // A failed manual run is recorded on the run only; the schedule is unaffected
+      if (!isManual) {
+        if (outcome === 'cancelled') {
+          await this.recordCancellation(job);
+        } else {
+          await this.escalateFailure(job);
+        }
+      }
+    } finally {
+      this.untrackInFlight(flight);
+      if (lease) await lease.release();
+      if (finalOutcome) {
+        const durationMs = Date.now() - flight.startedAt.getTime();
+        recordRun(job, { outcome: finalOutcome, trigger, durationMs });
+        this.eventBus.publish(`run.${finalOutcome}`, job, {
+          runId: flight.runId,
+          trigger,
+          attempts,
+          durationMs,
+          error: finalError ? finalError.message : null
+        });
+        this.notifyRunFinished(job, run, finalOutcome);
+      }
+    }
+  }
+
+  // Hand the finished run to the listener (the workflow coordinator) without waiting on it
+  notifyRunFinished(job, run, outcome) {
+    if (!this.onRunFinished || !run) return;
+    Promise.resolve()
+      .then(() => this.onRunFinished(job, run, outcome))
+      .catch(error => {
+        logger.error(`Could not process the end of job "${job.name}" run`, { jobId: job._id, runId: run._id, error: error.message });
+      });
+  }
+
+  // --- In-flight runs ---
+
+  // Register a run so it can be listed and cancelled, and arm its timeout
+  trackInFlight(job, run, scheduledAt, trigger) {
+    const flight = {
+      key: run ? run._id.toString() : uuidv4(),
+      jobId: job._id.toString(),
+      jobName: job.name,
+      jobType: job.type,
+      namespace: job.namespace,
+      runId: run ? run._id.toString() : null,
+      scheduledAt,
+      trigger,
+      startedAt: new Date(),
+      timeoutMs: job.timeoutMs || null,
+      controller: new AbortController(),
+      timer: null
+    };
+
+    if (flight.timeoutMs) {
+      flight.timer = setTimeout(() => {
+        this.abortFlight(flight, 'timed-out', `Run exceeded its timeout of ${flight.timeoutMs}ms`);
+      }, flight.timeoutMs);
+    }
+
+    this.inFlight.set(flight.key, flight);
+    this.ensureCancelPolling();
+    return flight;
+  }
+
+  untrackInFlight(flight) {
+    clearTimeout(flight.timer);
+    this.inFlight.delete(flight.key);
+    if (this.inFlight.size === 0) this.stopCancelPolling();
+  }
+
+  abortFlight(flight, outcome, message) {
+    if (flight.controller.signal.aborted) return;
+    const reason = new Error(message);
+    reason.outcome = outcome;
+    flight.controller.abort(reason);
+  }
+
+  /**
+   * Cancels every run of a job in flight on this instance.
+   * @param {string} jobId
+   * @param {string} [reason]
+   * @returns {string[]} Run keys (run IDs where recorded) that were cancelled.
+   */
+  cancelJob(jobId, reason = 'Cancelled by request') {
+    const cancelled = [];
+    for (const flight of this.inFlight.values()) {
+      if (flight.jobId === jobId.toString() && !flight.controller.signal.aborted) {
+        this.abortFlight(flight, 'cancelled', reason);
+        cancelled.push(flight.key);
+      }
+    }
+    if (cancelled.length > 0) {
+      logger.warn('Cancelled in-flight job runs', { jobId, runs: cancelled, reason });
+    }
+    return cancelled;
+  }
+
+  // Snapshot of runs in flight on this instance
+  getInFlightRuns() {
+    const now = Date.now();
+    return Array.from(this.inFlight.values()).map(flight => ({
+      runId: flight.runId,
+      jobId: flight.jobId,
+      jobName: flight.jobName,
+      jobType: flight.jobType,
+      namespace: flight.namespace,
+      trigger: flight.trigger,
+      scheduledAt: flight.scheduledAt,
+      startedAt: flight.startedAt,
+      elapsedMs: now - flight.startedAt.getTime(),
+      timeoutMs: flight.timeoutMs,
+      aborting: flight.controller.signal.aborted
+    }));
+  }
+
+  // Keeps the run records of in-flight runs heartbeating, and picks up cancellations
+  // requested through another instance's API
+  ensureCancelPolling() {
+    if (this.cancelPoll || !this.runService) return;
+    this.cancelPoll = setInterval(() => this.pollCancelRequests(), this.cancelPollIntervalMs);
+    this.cancelPoll.unref?.();
+  }
+
+  stopCancelPolling() {
+    clearInterval(this.cancelPoll);
+    this.cancelPoll = null;
+  }
+
+  async pollCancelRequests() {
+    const runIds = Array.from(this.inFlight.values()).map(flight => flight.runId).filter(Boolean);
+    if (runIds.length === 0) return;
+    try {
+      await this.runService.heartbeatRuns(runIds);
+      const requested = new Set(await this.runService.getCancelRequested(runIds));
+      for (const flight of this.inFlight.values()) {
+        if (requested.has(flight.runId)) {
+          this.abortFlight(flight, 'cancelled', 'Cancelled by request');
+          logger.warn('Cancelled in-flight job run', { jobId: flight.jobId, runId: flight.runId });
+        }
+      }
+    } catch (error) {
+      logger.warn('Could not check for cancelled runs', { error: error.message });
+    }
+  }
+
+  /**
+   * Claims the job's slot when running alongside other instances.
+   * @returns {Promise<object|null|false>} The lease, null when no locking applies, or false to skip the run.
+   */
+  async acquireLease(job, scheduledAt) {
+    if (!this.leaseManager || !scheduledAt) return null;
+    try {
+      return (await this.leaseManager.acquire(job, scheduledAt)) ?? false;
+    } catch (error) {
+      // Without a lease we cannot know whether another instance runs this slot
+      logger.error(`Could not acquire lease for job "${job.name}", skipping run`, {
+        jobId: job._id,
+        scheduledAt: scheduledAt.toISOString(),
+        error: error.message
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Runs the job handler, retrying failed attempts with the job's backoff.
+   * @param {object} job - The job document to execute.
+   * @param {object} [context] - Passed through to the handler.
+   * @returns {Promise<{attempts: number, result: *}>} The attempts it took to succeed and the handler's result.
+   * @throws {Error} The last attempt's error, with `attempts` set, once retries are exhausted or the run is aborted.
+   */
+  async runWithRetries(job, context = {}) {
+    const policy = resolveRetryPolicy(job.retryPolicy);
+    const { signal } = context;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const result = await this.runHandler(job, { ...context, attempt });
+        return { attempts: attempt, result };
+      } catch (error) {
+        if (attempt > policy.maxRetries || signal?.aborted) {
+          error.attempts = attempt;
+          throw error;
+        }
+
+        const delay = computeRetryDelay(policy, attempt);
+        logger.warn(`Job "${job.name}" attempt ${attempt} failed, retrying in ${delay}ms`, {
+          jobId: job._id,
+          attempt,
+          maxRetries: policy.maxRetries,
+          backoff: policy.backoff,
+          error: error.message
+        });
+        this.eventBus.publish('run.retried', job, {
+          runId: context.runId ? context.runId.toString() : null,
+          attempt,
+          delayMs: delay,
+          error: error.message
+        });
+        try {
+          await abortable(new Promise(resolve => setTimeout(resolve, delay)), signal);
+        } catch (abortError) {
+          abortError.attempts = attempt;
+          throw abortError;
+        }
+      }
+    }
+  }
+
+  // Dispatch to the registered handler for the job's type; the return value is recorded on the run.
+  // Handlers should honour `context.signal`; one that ignores it is abandoned when the signal fires.
+  async runHandler(job, context = {}) {
+    const handler = this.registry.get(job.type);
+    if (!handler) {
+      throw new Error(`No handler registered for job type "${job.type}"`);
+    }
+    return abortable(handler.execute(job, {
+      ...context,
+      logger,
+      instanceId: this.instanceId
+    }), context.signal);
+  }
+
+  // Record the failure; the job's onFailure policy decides whether a recurring job stays scheduled
+  async escalateFailure(job) {
+    try {
       await this.jobService.markJobFailed(job._id);
+      // One-off jobs have nothing left to schedule and are always marked failed
+      const nextRun = job.onFailure === 'pause' || isOneOffJob(job)
+        ? null
+        : jobValidator.calculateJobNextRun(job);
+      await this.jobService.updateNextRun(job._id, nextRun);
+    } catch (error) {
+      logger.error(`Could not record failure of job "${job.name}"`, { jobId: job._id, error: error.message });
     }
   }
 
-  // --- Simulated Job Type Implementations ---
+  // A cancelled run is not a failure: recurring jobs keep their schedule, one-off jobs are done
+  async recordCancellation(job) {
+    try {
+      if (isOneOffJob(job)) {
+        await this.jobService.markJobFailed(job._id);
+        await this.jobService.updateNextRun(job._id, null);
+      } else {
+        await this.jobService.updateNextRun(job._id, jobValidator.calculateJobNextRun(job));
+      }
+    } catch (error) {
+      logger.error(`Could not record cancellation of job "${job.name}"`, { jobId: job._id, error: error.message });
+    }
+  }
 
-  async sendEmail(job) {
-    logger.info(`Sending email for job "${job.name}"`, { jobId: job._id, data: job.data });
-    await new Promise(resolve => setTimeout(resolve, 100)); // Simulate work
+  // --- Run history ---
+  // History is best effort: a failure to record must never stop the job itself.
+
+  async startRun(job, scheduledAt, trigger, { runId = null, dataOverrides = null, workflowRunId = null } = {}) {
+    if (!this.runService) return null;
+    try {
+      return await this.runService.startRun(job, {
+        scheduledAt,
+        instanceId: this.instanceId,
+        trigger,
+        runId,
+        dataOverrides,
+        workflowRunId
+      });
+    } catch (error) {
+      logger.warn('Could not record job run start', { jobId: job._id, error: error.message });
+      return null;
+    }
   }
 
-  async sendReminder(job) {
-    const message = job.data?.message || `This is a reminder!`;
-    logger.info(`Reminder logic executed for "${job.name}"`, { message, jobId: job._id });
-    await new Promise(resolve => setTimeout(resolve, 50)); // Simulate work
+  // Record a run that was skipped or dropped before it started
+  async recordNotStarted(job, { scheduledAt = null, trigger = 'schedule', runId = null, dataOverrides = null } = {}, outcome, reason) {
+    if (!this.runService) return;
+    try {
+      await this.runService.recordNotStarted(job, { runId, trigger, scheduledAt, dataOverrides, instanceId: this.instanceId, outcome, reason });
+    } catch (error) {
+      logger.warn('Could not record job run that did not start', { jobId: job._id, runId, outcome, error: error.message });
+    }
   }
 
-  async performGenericTask(job) {
-    logger.info(`Performing generic task for job "${job.name}"...`, { jobId: job._id, data: job.data });
-    await new Promise(resolve => setTimeout(resolve, 50)); // Simulate work
+  async finishRun(run, outcome, error = null, details = {}) {
+    if (!this.runService || !run) return;
+    try {
+      await this.runService.finishRun(run._id, outcome, error, details);
+    } catch (err) {
+      logger.warn('Could not record job run result', { runId: run._id, outcome, error: err.message });
+    }
   }
-}
\ No newline at end of file
+}
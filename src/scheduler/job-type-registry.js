@@ -0,0 +1,100 @@
+/**
+ * Job Type Registry - Maps job types to their handlers and data schemas
+ * Built-in types are registered here; more can be added from plugins.
+ */
+
+import Ajv from 'ajv';
+import addFormats from 'ajv-formats';
+import { builtInHandlers } from './handlers/index.js';
+
+export class JobTypeRegistry {
+  constructor() {
+    this.handlers = new Map();
+    this.ajv = new Ajv({ allErrors: true, strict: false });
+    addFormats(this.ajv);
+  }
+
+  /**
+   * Registers a job type.
+   * @param {object} definition
+   * @param {string} definition.type - Name used in a job's `type` field.
+   * @param {Function} definition.execute - `async (job, context) => result`; the result is recorded on the run.
+   * @param {object} [definition.schema] - JSON Schema for the job's `data`.
+   * @param {Function} [definition.validate] - Extra checks on `data` that JSON Schema cannot express; throws on failure.
+   * @param {string} [definition.description]
+   * @param {string} [source] - Where the definition came from ('built-in' or a plugin file).
+   * @throws {Error} If the definition is malformed or the type is already registered.
+   */
+  register(definition, source = 'built-in') {
+    const { type, execute, schema = { type: 'object' }, validate = null, description = '' } = definition || {};
+
+    if (!type || typeof type !== 'string') {
+      throw new Error('Job type definition requires a non-empty "type" string.');
+    }
+    if (typeof execute !== 'function') {
+      throw new Error(`Job type "${type}" requires an "execute" function.`);
+    }
+    if (validate !== null && typeof validate !== 'function') {
+      throw new Error(`Job type "${type}" has a "validate" that is not a function.`);
+    }
+    if (this.handlers.has(type)) {
+      throw new Error(`Job type "${type}" is already registered (from ${this.handlers.get(type).source}).`);
+    }
+
+    let validateSchema;
+    try {
+      validateSchema = this.ajv.compile(schema);
+    } catch (error) {
+      throw new Error(`Job type "${type}" has an invalid data schema: ${error.message}`);
+    }
+
+    this.handlers.set(type, { type, execute, schema, validate, description, source, validateSchema });
+  }
+
+  has(type) {
+    return this.handlers.has(type);
+  }
+
+  get(type) {
+    return this.handlers.get(type) || null;
+  }
+
+  types() {
+    return Array.from(this.handlers.keys());
+  }
+
+  // Public description of every registered type
+  list() {
+    return Array.from(this.handlers.values()).map(({ type, description, schema, source }) => ({
+      type,
+      description,
+      source,
+      schema
+    }));
+  }
+
+  /**
+   * Validates a job's data against its type's schema and custom checks.
+   * @param {string} type - The job type.
+   * @param {object} data - The job's data.
+   * @throws {Error} If the type is unknown or the data does not conform.
+   */
+  validateData(type, data) {
+    const handler = this.get(type);
+    if (!handler) {
+      throw new Error(`Unknown job type "${type}". Available types: ${this.types().join(', ')}.`);
+    }
+
+    if (!handler.validateSchema(data)) {
+      const details = this.ajv.errorsText(handler.validateSchema.errors, { dataVar: 'data' });
+      throw new Error(`Invalid data for job type "${type}": ${details}.`);
+    }
+    if (handler.validate) {
+      handler.validate(data);
+    }
+  }
+}
+
+// Shared registry with the built-in types
+export const jobTypeRegistry = new JobTypeRegistry();
+builtInHandlers.forEach(definition => jobTypeRegistry.register(definition));
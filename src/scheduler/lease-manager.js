@@ -0,0 +1,98 @@
+/**
+ * Lease Manager - Coordinates job execution across scheduler instances
+ * Wraps the lease repository with renewal so long runs keep their claim.
+ */
+
+import { logger } from '../core/logger.js';
+
+export class LeaseManager {
+  constructor(leaseRepository, instanceId, { ttlMs = 5 * 60 * 1000 } = {}) {
+    if (!leaseRepository) {
+      throw new Error('LeaseManager requires a lease repository.');
+    }
+    this.leaseRepository = leaseRepository;
+    this.instanceId = instanceId;
+    this.ttlMs = ttlMs;
+    this.heldLeases = new Map(); // `${jobId}:${slot}` -> renewal interval
+  }
+
+  /**
+   * Claims a job slot for this instance.
+   * @param {object} job - The job document.
+   * @param {Date} slot - The scheduled fire time.
+   * @returns {Promise<object|null>} A handle with `release()`, or null if another instance owns the slot.
+   */
+  async acquire(job, slot) {
+    const result = await this.leaseRepository.acquire(job._id, slot, this.instanceId, this.ttlMs);
+    if (!result) {
+      logger.debug('Job slot leased by another instance, skipping', {
+        jobId: job._id,
+        slot: slot.toISOString(),
+        instanceId: this.instanceId
+      });
+      return null;
+    }
+
+    if (result.reclaimedFrom) {
+      logger.warn('Reclaimed expired job lease', {
+        jobId: job._id,
+        slot: slot.toISOString(),
+        previousInstanceId: result.reclaimedFrom,
+        instanceId: this.instanceId
+      });
+    }
+
+    const key = `${job._id}:${slot.getTime()}`;
+    const renewal = setInterval(() => this.renew(job, slot), Math.max(Math.floor(this.ttlMs / 3), 1000));
+    renewal.unref?.();
+    this.heldLeases.set(key, renewal);
+
+    return {
+      release: () => this.release(job, slot, key)
+    };
+  }
+
+  async renew(job, slot) {
+    try {
+      const renewed = await this.leaseRepository.renew(job._id, slot, this.instanceId, this.ttlMs);
+      if (!renewed) {
+        logger.warn('Lost job lease while running', {
+          jobId: job._id,
+          slot: slot.toISOString(),
+          instanceId: this.instanceId
+        });
+      }
+    } catch (error) {
+      logger.warn('Could not renew job lease', { jobId: job._id, error: error.message });
+    }
+  }
+
+  async release(job, slot, key) {
+    clearInterval(this.heldLeases.get(key));
+    this.heldLeases.delete(key);
+    try {
+      await this.leaseRepository.release(job._id, slot, this.instanceId);
+    } catch (error) {
+      // The lease will expire on its own; the slot is then reclaimable
+      logger.warn('Could not release job lease', { jobId: job._id, error: error.message });
+    }
+  }
+
+  // Stop renewing everything (leases then expire and can be reclaimed)
+  stop() {
+    this.heldLeases.forEach(renewal => clearInterval(renewal));
+    this.heldLeases.clear();
+  }
+
+  // Leases held across all instances
+  async getActiveLeases() {
+    const leases = await this.leaseRepository.findActive();
+    return leases.map(lease => ({
+      jobId: lease.jobId.toString(),
+      slot: lease.slot,
+      instanceId: lease.instanceId,
+      acquiredAt: lease.acquiredAt,
+      expiresAt: lease.expiresAt
+    }));
+  }
+}
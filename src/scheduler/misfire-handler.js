@@ -0,0 +1,123 @@
+/**
+ * Misfire Handler - Decides what to do about cron slots that passed unexecuted
+ * A job has misfired when its stored nextRun is further in the past than the
+ * threshold, e.g. because no scheduler was running at that time.
+ */
+
+import { logger } from '../core/logger.js';
+import { resolveTimezone } from '../core/timezone.js';
+import { parseCron } from '../core/cron.js';
+import { isOneOffJob } from '../database/job-model.js';
+import { JobValidator } from '../database/job-validator.js';
+
+const jobValidator = new JobValidator();
+
+// Stop counting missed slots past this many (e.g. an every-second job down for a day)
+const MAX_SLOTS_SCANNED = 1000;
+
+export class MisfireHandler {
+  // `jobExecutor` is anything with JobExecutor's execute(job, options), e.g. the RunQueue
+  constructor(jobService, jobExecutor, { thresholdMs = 60 * 1000 } = {}) {
+    this.jobService = jobService;
+    this.jobExecutor = jobExecutor;
+    this.thresholdMs = thresholdMs;
+  }
+
+  /**
+   * Lists the cron slots between the job's stored nextRun and now, oldest first.
+   * @param {object} job - The job document.
+   * @param {Date} [now]
+   * @returns {{slots: Date[], truncated: boolean}} The missed slots, and whether the scan stopped early.
+   */
+  findMissedSlots(job, now = new Date()) {
+    if (isOneOffJob(job) || !job.cronSchedule || !job.nextRun) {
+      return { slots: [], truncated: false };
+    }
+
+    const nextRun = new Date(job.nextRun);
+    if (now.getTime() - nextRun.getTime() <= this.thresholdMs) {
+      return { slots: [], truncated: false };
+    }
+
+    const interval = parseCron(job.cronSchedule, {
+      // Start just before nextRun so nextRun itself is the first slot
+      currentDate: new Date(nextRun.getTime() - 1),
+      endDate: now,
+      timezone: resolveTimezone(job)
+    });
+
+    const slots = [];
+    while (interval.hasNext() && slots.length < MAX_SLOTS_SCANNED) {
+      slots.push(interval.next().toDate());
+    }
+    return { slots, truncated: interval.hasNext() };
+  }
+
+  /**
+   * Applies the job's misfire policy. Catch-up runs execute in the background.
+   * @param {object} job - The job document.
+   * @returns {Date[]} The slots that will be run.
+   */
+  handle(job) {
+    const { slots, truncated } = this.findMissedSlots(job);
+    if (slots.length === 0) return [];
+
+    const policy = job.misfirePolicy || 'skip';
+    const missed = truncated ? `${slots.length}+` : slots.length;
+    let toRun = [];
+
+    switch (policy) {
+      case 'run-once-now':
+        toRun = [slots[slots.length - 1]];
+        break;
+      case 'run-all-missed':
+        // Keep the most recent runs when there are more than the cap
+        toRun = slots.slice(-(job.maxMissedRuns || 10));
+        break;
+      case 'skip':
+      default:
+        break;
+    }
+
+    logger.warn(`MISFIRE: "${job.name}" missed ${missed} run(s), policy "${policy}"`, {
+      jobId: job._id,
+      misfirePolicy: policy,
+      missedRuns: missed,
+      firstMissed: slots[0].toISOString(),
+      lastMissed: slots[slots.length - 1].toISOString(),
+      runningNow: toRun.length,
+      skipped: truncated ? `${slots.length - toRun.length}+` : slots.length - toRun.length
+    });
+
+    if (toRun.length === 0) {
+      this.advanceNextRun(job);
+    } else {
+      this.runMissed(job, toRun);
+    }
+    return toRun;
+  }
+
+  // Catch-up runs go one after another, oldest first
+  async runMissed(job, slots) {
+    for (const slot of slots) {
+      logger.info(`MISFIRE: running missed slot of "${job.name}"`, {
+        jobId: job._id,
+        scheduledAt: slot.toISOString()
+      });
+      try {
+        await this.jobExecutor.execute(job, { scheduledAt: slot, trigger: 'misfire' });
+      } catch (error) {
+        logger.error(`MISFIRE: catch-up run of "${job.name}" failed`, { jobId: job._id, error: error.message });
+      }
+    }
+  }
+
+  // Skipped slots still need the stored nextRun moved past them
+  async advanceNextRun(job) {
+    try {
+      await this.jobService.updateNextRun(job._id, jobValidator.calculateJobNextRun(job));
+    } catch (error) {
+      logger.error(`MISFIRE: could not update next run of "${job.name}"`, { jobId: job._id, error: error.message });
+    }
+  }
+}
@@ -0,0 +1,56 @@
+/**
+ * Plugin Loader - Registers job types from a plugins directory
+ * Each plugin file default-exports a job type definition (or an array of them);
+ * see JobTypeRegistry.register for the shape.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { logger } from '../core/logger.js';
+
+const PLUGIN_EXTENSIONS = ['.js', '.mjs'];
+
+/**
+ * Imports every plugin in a directory and registers its job types.
+ * A broken plugin is logged and skipped so it cannot stop the server from starting.
+ * @param {string} pluginsDir - Directory to scan (non-recursive).
+ * @param {JobTypeRegistry} registry - Registry to add the types to.
+ * @returns {Promise<string[]>} The job types that were registered.
+ */
+export async function loadPlugins(pluginsDir, registry) {
+  let entries;
+  try {
+    entries = await fs.readdir(pluginsDir, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      logger.info('No plugins directory, using built-in job types only', { pluginsDir });
+      return [];
+    }
+    throw error;
+  }
+
+  const files = entries
+    .filter(entry => entry.isFile() && PLUGIN_EXTENSIONS.includes(path.extname(entry.name)))
+    .map(entry => path.join(pluginsDir, entry.name))
+    .sort();
+
+  const registered = [];
+  for (const file of files) {
+    try {
+      const module = await import(pathToFileURL(file).href);
+      const exported = module.default ?? module.plugin;
+      const definitions = Array.isArray(exported) ? exported : [exported];
+
+      for (const definition of definitions) {
+        registry.register(definition, path.basename(file));
+        registered.push(definition.type);
+      }
+      logger.info('Loaded job type plugin', { file: path.basename(file), types: definitions.map(d => d.type) });
+    } catch (error) {
+      logger.error('Failed to load job type plugin', { file, error: error.message });
+    }
+  }
+
+  return registered;
+}
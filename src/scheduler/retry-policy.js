@@ -0,0 +1,53 @@
+/**
+ * Retry Policy - Delay calculation for failed job attempts
+ */
+
+import { BACKOFF_STRATEGIES } from '../database/job-model.js';
+
+export const DEFAULT_RETRY_POLICY = {
+  maxRetries: 0,
+  backoff: 'fixed',
+  retryDelay: 1000,
+  maxRetryDelay: 60 * 60 * 1000
+};
+
+/**
+ * Fills in defaults for a job's (possibly partial) retry policy.
+ * @param {object} [policy] - The job's retryPolicy field.
+ * @returns {object} A complete retry policy.
+ */
+export function resolveRetryPolicy(policy = {}) {
+  const resolved = { ...DEFAULT_RETRY_POLICY };
+  for (const key of Object.keys(DEFAULT_RETRY_POLICY)) {
+    if (policy?.[key] !== undefined && policy[key] !== null) resolved[key] = policy[key];
+  }
+  if (!BACKOFF_STRATEGIES.includes(resolved.backoff)) resolved.backoff = DEFAULT_RETRY_POLICY.backoff;
+  return resolved;
+}
+
+/**
+ * Calculates how long to wait before the next attempt.
+ * @param {object} policy - A resolved retry policy.
+ * @param {number} attempt - The attempt that just failed (1-based).
+ * @returns {number} Delay in milliseconds.
+ */
+export function computeRetryDelay(policy, attempt) {
+  const base = policy.retryDelay;
+  let delay;
+
+  switch (policy.backoff) {
+    case 'exponential':
+      delay = base * 2 ** (attempt - 1);
+      break;
+    case 'exponential-jitter':
+      // "Full jitter": a random point between 0 and the exponential delay
+      delay = Math.random() * base * 2 ** (attempt - 1);
+      break;
+    case 'fixed':
+    default:
+      delay = base;
+      break;
+  }
+
+  return Math.round(Math.min(delay, policy.maxRetryDelay));
+}
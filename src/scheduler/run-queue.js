@@ -0,0 +1,218 @@
+/**
+ * Run Queue - Admission control in front of the JobExecutor
+ * Applies each job's concurrencyPolicy, then starts queued runs by priority
+ * while respecting the global and per-type worker limits. Runs beyond maxQueued
+ * waiting at once are skipped rather than piling up.
+ */
+
+import { logger } from '../core/logger.js';
+
+// Wait times of this many recent dispatches feed the averages in the status
+const WAIT_SAMPLE_SIZE = 100;
+
+/**
+ * Parses "http=5,email=2" into { http: 5, email: 2 }.
+ * @param {string|object} limits
+ * @returns {object}
+ */
+export function parseTypeLimits(limits) {
+  if (!limits) return {};
+  if (typeof limits === 'object') return { ...limits };
+  return Object.fromEntries(String(limits)
+    .split(',')
+    .map(pair => pair.split('=').map(part => part.trim()))
+    .filter(([type, limit]) => type && Number.isInteger(Number(limit)) && Number(limit) > 0)
+    .map(([type, limit]) => [type, Number(limit)]));
+}
+
+export class RunQueue {
+  constructor(jobExecutor, { maxConcurrent = 10, maxQueued = 1000, typeLimits = {} } = {}) {
+    this.jobExecutor = jobExecutor;
+    this.maxConcurrent = maxConcurrent;
+    this.maxQueued = maxQueued; // 0 means unbounded
+    this.typeLimits = parseTypeLimits(typeLimits);
+    this.queue = [];
+    this.running = new Map(); // jobId -> number of runs started by this queue
+    this.runningByType = new Map(); // type -> number of runs
+    this.runningTotal = 0;
+    this.sequence = 0;
+    this.recentWaits = [];
+    this.maxWaitMs = 0;
+    this.dispatched = 0;
+    this.rejected = 0; // Runs skipped because the queue was full
+  }
+
+  /**
+   * Submits a run. Same signature as JobExecutor.execute, so it can stand in for it.
+   * @param {object} job - The job document.
+   * @param {object} [options] - Passed to JobExecutor.execute.
+   * @returns {Promise<{started: boolean, outcome?: string, reason?: string}>} Settles when the run
+   *   finishes, or as soon as it is skipped or dropped without starting.
+   */
+  execute(job, options = {}) {
+    const jobId = job._id.toString();
+    const policy = job.concurrencyPolicy || 'allow';
+
+    if (policy === 'forbid' && this.isActive(jobId)) {
+      logger.warn(`Skipping run of "${job.name}": previous run still active (concurrencyPolicy "forbid")`, {
+        jobId,
+        scheduledAt: options.scheduledAt
+      });
+      return Promise.resolve(this.notStarted(job, options, 'skipped', 'Previous run still active (concurrencyPolicy "forbid")'));
+    }
+
+    if (policy === 'replace' && this.isActive(jobId)) {
+      const dropped = this.dropQueued(jobId, 'Replaced by a newer run');
+      const cancelled = this.jobExecutor.cancelJob(jobId, 'Replaced by a newer run');
+      logger.warn(`Replacing previous run of "${job.name}" (concurrencyPolicy "replace")`, {
+        jobId,
+        droppedQueued: dropped,
+        cancelledRunning: cancelled.length
+      });
+    }
+
+    if (this.maxQueued > 0 && this.queue.length >= this.maxQueued && !this.hasCapacity(job.type)) {
+      this.rejected++;
+      logger.warn(`Skipping run of "${job.name}": run queue is full`, {
+        jobId,
+        scheduledAt: options.scheduledAt,
+        maxQueued: this.maxQueued
+      });
+      return Promise.resolve(this.notStarted(job, options, 'skipped', 'Run queue is full'));
+    }
+
+    return new Promise(resolve => {
+      this.queue.push({
+        job,
+        jobId,
+        options,
+        priority: job.priority || 0,
+        enqueuedAt: Date.now(),
+        seq: this.sequence++,
+        resolve
+      });
+      this.dispatch();
+    });
+  }
+
+  isActive(jobId) {
+    return (this.running.get(jobId) || 0) > 0 || this.queue.some(item => item.jobId === jobId);
+  }
+
+  hasCapacity(type) {
+    if (this.runningTotal >= this.maxConcurrent) return false;
+    const limit = this.typeLimits[type];
+    return !limit || (this.runningByType.get(type) || 0) < limit;
+  }
+
+  // Start as many queued runs as the limits allow, highest priority first, then oldest
+  dispatch() {
+    while (this.queue.length > 0 && this.runningTotal < this.maxConcurrent) {
+      let next = -1;
+      for (let i = 0; i < this.queue.length; i++) {
+        const item = this.queue[i];
+        if (!this.hasCapacity(item.job.type)) continue;
+        const best = this.queue[next];
+        if (next === -1 || item.priority > best.priority || (item.priority === best.priority && item.seq < best.seq)) {
+          next = i;
+        }
+      }
+      if (next === -1) return; // Everything queued is blocked by its type limit
+
+      const [item] = this.queue.splice(next, 1);
+      this.start(item);
+    }
+  }
+
+  start(item) {
+    const { job, jobId } = item;
+    const waitMs = Date.now() - item.enqueuedAt;
+    this.recordWait(waitMs);
+
+    this.runningTotal++;
+    this.running.set(jobId, (this.running.get(jobId) || 0) + 1);
+    this.runningByType.set(job.type, (this.runningByType.get(job.type) || 0) + 1);
+
+    if (waitMs > 0) {
+      logger.debug('Dequeued job run', { jobId, priority: item.priority, waitMs });
+    }
+
+    this.jobExecutor.execute(job, item.options)
+      .catch(error => {
+        logger.error(`Unexpected error running "${job.name}"`, { jobId, error: error.message });
+      })
+      .finally(() => {
+        this.runningTotal--;
+        this.decrement(this.running, jobId);
+        this.decrement(this.runningByType, job.type);
+        item.resolve({ started: true });
+        this.dispatch();
+      });
+  }
+
+  decrement(map, key) {
+    const count = (map.get(key) || 1) - 1;
+    if (count > 0) map.set(key, count);
+    else map.delete(key);
+  }
+
+  recordWait(waitMs) {
+    this.dispatched++;
+    this.maxWaitMs = Math.max(this.maxWaitMs, waitMs);
+    this.recentWaits.push(waitMs);
+    if (this.recentWaits.length > WAIT_SAMPLE_SIZE) this.recentWaits.shift();
+  }
+
+  // A run that will not start. Runs whose ID was already handed out (manual triggers) get a
+  // run record, so the ID does not point at nothing.
+  notStarted(job, options, outcome, reason) {
+    if (options.runId) this.jobExecutor.recordNotStarted(job, options, outcome, reason);
+    return { started: false, outcome, reason };
+  }
+
+  // Remove queued (not yet started) runs of a job
+  dropQueued(jobId, reason = 'Dropped from the run queue') {
+    const dropped = this.queue.filter(item => item.jobId === jobId);
+    this.queue = this.queue.filter(item => item.jobId !== jobId);
+    dropped.forEach(item => item.resolve(this.notStarted(item.job, item.options, 'cancelled', reason)));
+    return dropped.length;
+  }
+
+  // Drop everything still waiting (used on shutdown)
+  clear(reason = 'Scheduler shut down') {
+    const count = this.queue.length;
+    this.queue.forEach(item => item.resolve(this.notStarted(item.job, item.options, 'cancelled', reason)));
+    this.queue = [];
+    return count;
+  }
+
+  getStatus() {
+    const now = Date.now();
+    const waits = this.recentWaits;
+    return {
+      maxConcurrent: this.maxConcurrent,
+      maxQueued: this.maxQueued,
+      typeLimits: this.typeLimits,
+      running: this.runningTotal,
+      runningByType: Object.fromEntries(this.runningByType),
+      depth: this.queue.length,
+      rejected: this.rejected,
+      queued: [...this.queue]
+        .sort((a, b) => b.priority - a.priority || a.seq - b.seq)
+        .map(item => ({
+          jobId: item.jobId,
+          jobName: item.job.name,
+          jobType: item.job.type,
+          namespace: item.job.namespace,
+          priority: item.priority,
+          scheduledAt: item.options.scheduledAt ?? null,
+          waitingMs: now - item.enqueuedAt
+        })),
+      waitTimes: {
+        dispatched: this.dispatched,
+        averageMs: waits.length ? Math.round(waits.reduce((sum, ms) => sum + ms, 0) / waits.length) : 0,
+        maxMs: this.maxWaitMs
+      }
+    };
+  }
+}
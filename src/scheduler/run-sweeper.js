@@ -0,0 +1,82 @@
+/**
+ * Run Sweeper - Closes out runs left 'running' by a scheduler instance that went away
+ * Executing instances heartbeat their run records; a run whose heartbeat has gone stale
+ * (the instance crashed or lost the database) is marked 'abandoned', so it stops counting
+ * as live and its workflow moves on. Every instance sweeps; each run is claimed by one.
+ */
+
+import { logger } from '../core/logger.js';
+import { eventBus as defaultEventBus } from '../core/event-bus.js';
+
+export class RunSweeper {
+  constructor(jobService, runService, {
+    intervalMs = 60 * 1000,
+    onRunAbandoned = null,
+    eventBus = defaultEventBus
+  } = {}) {
+    this.jobService = jobService;
+    this.runService = runService;
+    this.intervalMs = intervalMs;
+    this.onRunAbandoned = onRunAbandoned; // Optional: (job, run) for each run marked abandoned
+    this.eventBus = eventBus;
+    this.timer = null;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.sweep(), this.intervalMs);
+    this.timer.unref?.();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Marks stale running runs as abandoned.
+   * @returns {Promise<number>} How many runs this call abandoned.
+   */
+  async sweep() {
+    let runs;
+    try {
+      runs = await this.runService.abandonStaleRuns();
+    } catch (error) {
+      logger.warn('Could not sweep abandoned job runs', { error: error.message });
+      return 0;
+    }
+
+    for (const run of runs) {
+      logger.warn('Job run abandoned by its scheduler instance', {
+        jobId: run.jobId,
+        runId: run._id,
+        instanceId: run.instanceId,
+        startedAt: run.startedAt
+      });
+
+      let job;
+      try {
+        job = await this.jobService.getById(run.jobId);
+      } catch (error) {
+        // The job was deleted meanwhile; the run record is all there is left
+        job = { _id: run.jobId, name: run.jobName, type: run.jobType, namespace: run.namespace };
+      }
+
+      this.eventBus.publish('run.abandoned', job, {
+        runId: run._id.toString(),
+        trigger: run.trigger,
+        instanceId: run.instanceId,
+        error: run.error?.message ?? null
+      });
+
+      if (this.onRunAbandoned) {
+        Promise.resolve()
+          .then(() => this.onRunAbandoned(job, run))
+          .catch(error => {
+            logger.error(`Could not process the abandoned run of job "${job.name}"`, { jobId: job._id, runId: run._id, error: error.message });
+          });
+      }
+    }
+    return runs.length;
+  }
+}
@@ -3,21 +3,83 @@
  */
 
 import cron from 'node-cron';
-import cronParser from 'cron-parser';
 import { JobExecutor } from './job-executor.js';
-import { JobDiscovery } from './job-discovery.js';
+import { JobDiscovery, schedulingFingerprint } from './job-discovery.js';
+import { LeaseManager } from './lease-manager.js';
+import { MisfireHandler } from './misfire-handler.js';
+import { RunQueue } from './run-queue.js';
+import { RunSweeper } from './run-sweeper.js';
+import { WorkflowCoordinator } from './workflow-coordinator.js';
 import { logger } from '../core/logger.js';
+import { observeScheduler } from '../core/metrics.js';
+import { eventBus as defaultEventBus } from '../core/event-bus.js';
+import { resolveTimezone, formatInTimezone } from '../core/timezone.js';
+import { parseCron, normalizeCron, previousFireTime } from '../core/cron.js';
+import { isOneOffJob, isDependentJob } from '../database/job-model.js';
+
+// setTimeout cannot wait longer than this (~24.8 days); longer waits are chained
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
 
 export class SchedulerManager {
-  constructor(jobService) {
+  constructor(jobService, {
+    runService = null,
+    leaseRepository = null,
+    leaseTtlMs,
+    registry,
+    misfireThresholdMs,
+    maxConcurrentRuns,
+    maxQueuedRuns,
+    typeConcurrencyLimits,
+    discoveryMode,
+    reconcileIntervalMs,
+    runSweepIntervalMs,
+    eventBus = defaultEventBus
+  } = {}) {
     this.jobService = jobService;
+    this.eventBus = eventBus;
     this.scheduledTasks = new Map();
+    // jobId -> { _id, name, type, namespace, fingerprint }, for scoped status, events and reconciling
+    this.scheduledJobs = new Map();
     this.isShuttingDown = false;
+    this.isDatabaseAvailable = true; // Cleared during database outages; runs wait for the resync
     this.instanceId = `scheduler-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
     
     // Initialize sub-modules
-    this.jobExecutor = new JobExecutor(jobService); // Pass the service instance
-    this.jobDiscovery = new JobDiscovery(jobService, this);
+    // Without a lease repository this instance assumes it is the only one running
+    this.leaseManager = leaseRepository
+      ? new LeaseManager(leaseRepository, this.instanceId, { ttlMs: leaseTtlMs })
+      : null;
+    this.jobExecutor = new JobExecutor(jobService, { // Pass the service instance
+      runService,
+      leaseManager: this.leaseManager,
+      registry,
+      instanceId: this.instanceId,
+      onRunFinished: (job, run) => this.workflowCoordinator?.handleRunFinished(job, run),
+      eventBus
+    });
+    // Every run goes through the queue for concurrency policies and worker limits
+    this.runQueue = new RunQueue(this.jobExecutor, {
+      maxConcurrent: maxConcurrentRuns,
+      maxQueued: maxQueuedRuns,
+      typeLimits: typeConcurrencyLimits
+    });
+    // Workflows are tracked through run records, so they need the run service
+    this.workflowCoordinator = runService
+      ? new WorkflowCoordinator(jobService, runService, this.runQueue, { instanceId: this.instanceId })
+      : null;
+    this.misfireHandler = new MisfireHandler(jobService, this.runQueue, {
+      thresholdMs: misfireThresholdMs
+    });
+    this.jobDiscovery = new JobDiscovery(jobService, this, { mode: discoveryMode, reconcileIntervalMs });
+    // Runs left 'running' by crashed instances are closed out as 'abandoned'
+    this.runSweeper = runService
+      ? new RunSweeper(jobService, runService, {
+        intervalMs: runSweepIntervalMs,
+        onRunAbandoned: (job, run) => this.workflowCoordinator?.handleRunFinished(job, run),
+        eventBus
+      })
+      : null;
+    observeScheduler(this);
   }
 
   // Start the scheduler
@@ -35,15 +97,19 @@ export class SchedulerManager {
       
       activeJobs.forEach(job => {
         this.scheduleJob(job);
+        this.handleMisfires(job);
       });
+      this.jobDiscovery.recordCycle();
       
       // Start periodic job discovery
       this.jobDiscovery.start();
+      this.runSweeper?.start();
       
       logger.info('Job scheduler started successfully', { 
         instanceId: this.instanceId,
         scheduledJobs: this.scheduledTasks.size,
-        discoveryInterval: this.jobDiscovery.discoveryInterval
+        discoveryMode: this.jobDiscovery.activeMode,
+        discoveryInterval: this.jobDiscovery.cycleInterval
       });
     } catch (error) {
       logger.error('Failed to start scheduler', { 
@@ -63,10 +129,8 @@ export class SchedulerManager {
       return;
     }
 
-    // Stop existing task if it exists
-    this.unscheduleJob(job._id.toString());
-
     if (job.status !== 'active') {
+      this.unscheduleJob(job._id.toString(), { reason: `Job is ${job.status}`, job });
       logger.info('Job is not active, skipping scheduling', { 
         jobId: job._id, 
         name: job.name, 
@@ -75,24 +139,53 @@ export class SchedulerManager {
       return;
     }
 
+    // Stop existing task if it exists
+    this.unscheduleJob(job._id.toString(), { rescheduling: true });
+
+    this.scheduledJobs.set(job._id.toString(), {
+      _id: job._id,
+      name: job.name,
+      type: job.type,
+      namespace: job.namespace,
+      fingerprint: schedulingFingerprint(job)
+    });
+
+    if (isDependentJob(job)) {
+      this.registerDependent(job);
+      return;
+    }
+
+    if (isOneOffJob(job)) {
+      this.scheduleOneOff(job);
+      return;
+    }
+
     try {
       // Validate cron expression
-      const options = { seconds: job.cronSchedule.split(' ').length === 6 };
-      const interval = cronParser.parseExpression(job.cronSchedule, options);
+      const timezone = resolveTimezone(job);
+      const interval = parseCron(job.cronSchedule, { timezone });
       const nextRunTime = interval.next().toDate();
       
-      const task = cron.schedule(job.cronSchedule, async () => {
+      // node-cron splits fields on single spaces
+      const task = cron.schedule(normalizeCron(job.cronSchedule), async () => {
+        // The slot is the fire time this tick belongs to, the same on every instance
+        const scheduledAt = previousFireTime(job.cronSchedule, { timezone });
+
         if (this.isShuttingDown) {
           logger.warn('Scheduler is shutting down, skipping job execution', { 
             jobId: job._id 
           });
           return;
         }
-        // ✅ FIXED: Correctly call execute with only the job object
-        await this.jobExecutor.execute(job);
+        // The slot is missed rather than lost: the resync applies the job's misfire policy
+        if (!this.isDatabaseAvailable) {
+          logger.warn('Database unavailable, skipping job execution', { jobId: job._id, scheduledAt });
+          return;
+        }
+        await this.runQueue.execute(job, { scheduledAt });
       }, {
         scheduled: true,
-        timezone: process.env.TZ || 'UTC'
+        timezone
       });
 
       this.scheduledTasks.set(job._id.toString(), task);
@@ -101,9 +194,12 @@ export class SchedulerManager {
         jobId: job._id, 
         jobType: job.type,
         schedule: job.cronSchedule,
-        nextRun: nextRunTime.toLocaleString()
+        timezone,
+        nextRun: formatInTimezone(nextRunTime, timezone)
       });
+      this.eventBus.publish('job.scheduled', job, { schedule: job.cronSchedule, timezone, nextRun: nextRunTime });
     } catch (error) {
+      this.scheduledJobs.delete(job._id.toString());
       logger.error(`FAILED TO SCHEDULE JOB: "${job.name}"`, { 
         jobId: job._id, 
         error: error.message 
@@ -111,16 +207,190 @@ export class SchedulerManager {
     }
   }
 
-  // Unschedule a job
-  unscheduleJob(jobId) {
+  // Schedule a job that fires once at its runAt time.
+  // A runAt already in the past (e.g. passed while the server was down) fires immediately.
+  scheduleOneOff(job) {
+    const jobId = job._id.toString();
+    const runAt = new Date(job.runAt);
+    const timer = {
+      handle: null,
+      stop() {
+        clearTimeout(this.handle);
+      }
+    };
+
+    const arm = () => {
+      const delay = runAt.getTime() - Date.now();
+      if (delay > MAX_TIMER_DELAY) {
+        timer.handle = setTimeout(arm, MAX_TIMER_DELAY);
+        return;
+      }
+
+      timer.handle = setTimeout(async () => {
+        if (this.isShuttingDown) {
+          logger.warn('Scheduler is shutting down, skipping job execution', { 
+            jobId: job._id 
+          });
+          return;
+        }
+        // Stays registered unfired; the resync re-arms it, and an overdue runAt fires straight away
+        if (!this.isDatabaseAvailable) {
+          logger.warn('Database unavailable, deferring one-off job', { jobId: job._id });
+          return;
+        }
+        try {
+          await this.runQueue.execute(job, { scheduledAt: runAt });
+        } finally {
+          // Stay registered while running so discovery does not schedule it again
+          if (this.scheduledTasks.get(jobId) === timer) {
+            this.scheduledTasks.delete(jobId);
+            this.scheduledJobs.delete(jobId);
+            this.eventBus.publish('job.unscheduled', job, { reason: 'One-off run finished' });
+          }
+        }
+      }, Math.max(delay, 0));
+    };
+
+    arm();
+    this.scheduledTasks.set(jobId, timer);
+
+    const overdue = runAt.getTime() < Date.now();
+    logger.info(`ONE-OFF JOB SCHEDULED: "${job.name}"`, {
+      jobId: job._id,
+      jobType: job.type,
+      runAt: formatInTimezone(runAt, resolveTimezone(job)),
+      overdue
+    });
+    this.eventBus.publish('job.scheduled', job, { runAt, overdue });
+  }
+
+  // A dependent job has no timer; the workflow coordinator starts it when its upstream jobs finish.
+  // It is still tracked so discovery does not pick it up again.
+  registerDependent(job) {
+    this.scheduledTasks.set(job._id.toString(), { stop() {} });
+    logger.info(`DEPENDENT JOB REGISTERED: "${job.name}"`, {
+      jobId: job._id,
+      jobType: job.type,
+      dependsOn: job.dependsOn.map(id => id.toString()),
+      triggerCondition: job.triggerCondition
+    });
+    this.eventBus.publish('job.scheduled', job, {
+      dependsOn: job.dependsOn.map(id => id.toString()),
+      triggerCondition: job.triggerCondition
+    });
+  }
+
+  // Apply the job's misfire policy to any slots it missed while not scheduled
+  handleMisfires(job) {
+    if (this.isShuttingDown || job.status !== 'active') return;
+    try {
+      this.misfireHandler.handle(job);
+    } catch (error) {
+      logger.error(`FAILED TO EVALUATE MISFIRES: "${job.name}"`, {
+        jobId: job._id,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Runs a job now, outside its schedule. Goes through the run queue like scheduled runs.
+   * @param {object} job - The job document.
+   * @param {object} [options] - { runId, dataOverrides }
+   * @returns {Promise<{started: boolean, outcome?: string, reason?: string}>} Settles when the run
+   *   has finished, or when it was skipped or dropped before starting.
+   */
+  triggerJob(job, { runId = null, dataOverrides = null } = {}) {
+    logger.info(`MANUAL RUN: "${job.name}"`, { jobId: job._id, runId, hasOverrides: !!dataOverrides });
+    return this.runQueue.execute(job, { trigger: 'manual', runId, dataOverrides });
+  }
+
+  // Whether a run of the job is queued or in flight on this instance
+  isJobRunning(jobId) {
+    return this.runQueue.isActive(jobId.toString());
+  }
+
+  // Abort the job's runs in flight on this instance
+  cancelJobRuns(jobId, reason) {
+    return this.jobExecutor.cancelJob(jobId, reason);
+  }
+
+  /**
+   * Unschedule a job.
+   * @param {string} jobId
+   * @param {object} [options] - { reason, rescheduling, job }; a job being rescheduled publishes no event
+   *   and keeps its queued runs. `job` describes the job in the job.unscheduled event should this
+   *   instance not know it, so the event still reaches its namespace's subscribers.
+   */
+  unscheduleJob(jobId, { reason = null, rescheduling = false, job: knownJob = null } = {}) {
     const taskId = jobId.toString();
+    // Runs still waiting for a worker must not start once the job is paused or deleted
+    if (!rescheduling) {
+      const dropped = this.runQueue.dropQueued(taskId, reason || 'Job unscheduled');
+      if (dropped > 0) logger.info('Dropped queued runs of unscheduled job', { jobId, count: dropped, reason });
+    }
     if (this.scheduledTasks.has(taskId)) {
+      const job = this.scheduledJobs.get(taskId) || knownJob || { _id: taskId };
       this.scheduledTasks.get(taskId).stop();
       this.scheduledTasks.delete(taskId);
+      this.scheduledJobs.delete(taskId);
       logger.info('Job unscheduled successfully', { jobId });
+      if (!rescheduling) {
+        if (!job.namespace) logger.warn('Unscheduled job has no known namespace; its event reaches no subscriber', { jobId });
+        this.eventBus.publish('job.unscheduled', job, { reason });
+      }
     }
   }
 
+  // --- Database outages ---
+
+  // Stop discovery and hold back new runs until the connection returns
+  handleDatabaseDisconnect() {
+    if (!this.isDatabaseAvailable) return;
+    this.isDatabaseAvailable = false;
+    this.jobDiscovery.pause();
+    logger.warn('Scheduler paused: database unavailable', { instanceId: this.instanceId });
+  }
+
+  async handleDatabaseReconnect() {
+    if (this.isDatabaseAvailable || this.isShuttingDown) return;
+    this.isDatabaseAvailable = true;
+    logger.info('Database available again, resyncing scheduler', { instanceId: this.instanceId });
+    try {
+      await this.resync();
+    } catch (error) {
+      // Discovery picks up whatever the resync missed
+      logger.error('Scheduler resync failed', { error: error.message, instanceId: this.instanceId });
+    } finally {
+      this.jobDiscovery.resume();
+    }
+  }
+
+  /**
+   * Reloads every active job: reschedules it with its current definition, applies its
+   * misfire policy to slots missed in the meantime, and drops jobs no longer active.
+   * @returns {Promise<void>}
+   */
+  async resync() {
+    const activeJobs = await this.jobService.getActiveJobs();
+    const activeJobIds = new Set(activeJobs.map(job => job._id.toString()));
+
+    this.getScheduledJobIds()
+      .filter(jobId => !activeJobIds.has(jobId))
+      .forEach(jobId => this.unscheduleJob(jobId, { reason: 'Job is no longer active' }));
+    activeJobs.forEach(job => {
+      this.scheduleJob(job);
+      this.handleMisfires(job);
+    });
+    this.jobDiscovery.recordCycle();
+
+    logger.info('Scheduler resynced', {
+      activeJobs: activeJobs.length,
+      scheduledJobs: this.scheduledTasks.size,
+      instanceId: this.instanceId
+    });
+  }
+
   // Stop scheduler
   stop() {
     logger.info('Stopping job scheduler', { instanceId: this.instanceId });
@@ -131,6 +401,7 @@ export class SchedulerManager {
     });
     
     this.scheduledTasks.clear();
+    this.scheduledJobs.clear();
     logger.info('Job scheduler stopped', { instanceId: this.instanceId });
   }
 
@@ -140,22 +411,62 @@ export class SchedulerManager {
     this.isShuttingDown = true;
     
     this.jobDiscovery.stop();
+    this.runSweeper?.stop();
     this.stop();
+
+    const dropped = this.runQueue.clear();
+    if (dropped > 0) {
+      logger.warn('Dropped queued job runs on shutdown', { count: dropped, instanceId: this.instanceId });
+    }
     
     await new Promise(resolve => setTimeout(resolve, 1000));
     
     logger.info('Scheduler shutdown completed', { instanceId: this.instanceId });
   }
 
-  // Get scheduler status
-  getStatus() {
+  /**
+   * Scheduler status. With a namespace, only that namespace's jobs, runs and leases are
+   * listed, and instance-wide queue figures are left out.
+   * @param {object} [options] - { namespace }
+   * @returns {Promise<object>}
+   */
+  async getStatus({ namespace = null } = {}) {
+    if (namespace) {
+      return this.getNamespaceStatus(namespace);
+    }
     return {
       instanceId: this.instanceId,
       totalScheduledTasks: this.scheduledTasks.size,
       scheduledJobIds: Array.from(this.scheduledTasks.keys()),
       isShuttingDown: this.isShuttingDown,
+      isDatabaseAvailable: this.isDatabaseAvailable,
       uptime: process.uptime(),
-      discovery: this.jobDiscovery.getStatus()
+      discovery: this.jobDiscovery.getStatus(),
+      inFlightRuns: this.jobExecutor.getInFlightRuns(),
+      queue: this.runQueue.getStatus(),
+      leases: this.leaseManager ? await this.leaseManager.getActiveLeases() : null
+    };
+  }
+
+  async getNamespaceStatus(namespace) {
+    const scheduledJobIds = this.getScheduledJobIds().filter(jobId => this.scheduledJobs.get(jobId)?.namespace === namespace);
+    const inNamespace = entry => entry.namespace === namespace;
+    const queued = this.runQueue.getStatus().queued.filter(inNamespace);
+    const inFlightRuns = this.jobExecutor.getInFlightRuns().filter(inNamespace);
+    const jobIds = new Set([...scheduledJobIds, ...inFlightRuns.map(run => run.jobId)]);
+
+    return {
+      namespace,
+      instanceId: this.instanceId,
+      totalScheduledTasks: scheduledJobIds.length,
+      scheduledJobIds,
+      isShuttingDown: this.isShuttingDown,
+      uptime: process.uptime(),
+      inFlightRuns,
+      queue: { depth: queued.length, queued },
+      leases: this.leaseManager
+        ? (await this.leaseManager.getActiveLeases()).filter(lease => jobIds.has(lease.jobId))
+        : null
     };
   }
 
@@ -168,6 +479,11 @@ export class SchedulerManager {
     return Array.from(this.scheduledTasks.keys());
   }
 
+  // What the job looked like when scheduled; see schedulingFingerprint
+  getSchedulingFingerprint(jobId) {
+    return this.scheduledJobs.get(jobId.toString())?.fingerprint ?? null;
+  }
+
   getScheduledJobCount() {
     return this.scheduledTasks.size;
   }
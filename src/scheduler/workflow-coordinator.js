@@ -0,0 +1,127 @@
+/**
+ * Workflow Coordinator - Starts dependent jobs when their upstream runs finish
+ * Every run belongs to a workflow run, identified by the run of the job that started it.
+ * A dependent job runs once per workflow run, after all of its upstream jobs in that
+ * workflow have finished. Upstream jobs that are not downstream of the same root (another
+ * root's branch) are not waited for.
+ */
+
+import { logger } from '../core/logger.js';
+import { workflowNodeIds } from './workflow-graph.js';
+
+export class WorkflowCoordinator {
+  // `jobExecutor` is anything with JobExecutor's execute(job, options), e.g. the RunQueue
+  constructor(jobService, runService, jobExecutor, { instanceId = null } = {}) {
+    this.jobService = jobService;
+    this.runService = runService;
+    this.jobExecutor = jobExecutor;
+    this.instanceId = instanceId;
+    this.starting = new Set(); // "<workflowRunId>:<jobId>" being started on this instance
+  }
+
+  /**
+   * Starts or skips the jobs that depend on a job whose run just finished.
+   * @param {object} job - The upstream job.
+   * @param {object} run - Its run record.
+   * @returns {Promise<void>} Settles once the dependent runs it started have finished.
+   */
+  async handleRunFinished(job, run) {
+    if (!run?.workflowRunId) return;
+    const dependents = await this.jobService.getDependents(job._id);
+    if (dependents.length === 0) return;
+
+    const workflowRunId = run.workflowRunId;
+    const [nodes, runs] = await Promise.all([
+      this.jobService.getDependencyGraph(),
+      this.runService.getByWorkflowRunId(workflowRunId)
+    ]);
+
+    const rootRun = runs.find(entry => entry._id.equals(workflowRunId));
+    const members = new Set(workflowNodeIds(rootRun ? rootRun.jobId : job._id, nodes));
+    const runsByJob = new Map(runs.map(entry => [entry.jobId.toString(), entry]));
+    const context = {
+      workflowRunId,
+      // Downstream runs share one slot per workflow run, so instances agree on who runs them
+      scheduledAt: run.scheduledAt ?? run.startedAt
+    };
+
+    await Promise.all(dependents.map(dependent => this.evaluate(dependent, members, runsByJob, context)));
+  }
+
+  async evaluate(dependent, members, runsByJob, { workflowRunId, scheduledAt }) {
+    const jobId = dependent._id.toString();
+    const key = `${workflowRunId}:${jobId}`;
+    if (runsByJob.has(jobId) || this.starting.has(key)) return;
+
+    const upstreamRuns = dependent.dependsOn
+      .map(id => id.toString())
+      .filter(id => members.has(id))
+      .map(id => runsByJob.get(id));
+    // Wait for the remaining upstream jobs; the last one to finish starts this job
+    if (upstreamRuns.some(upstream => !upstream || upstream.outcome === 'running')) return;
+
+    const decision = this.decide(dependent, upstreamRuns);
+    this.starting.add(key);
+    try {
+      if (decision.run) {
+        logger.info(`WORKFLOW: starting "${dependent.name}"`, {
+          jobId,
+          workflowRunId,
+          triggerCondition: dependent.triggerCondition
+        });
+        await this.jobExecutor.execute(dependent, { scheduledAt, trigger: 'dependency', workflowRunId });
+      } else {
+        logger.info(`WORKFLOW: skipping "${dependent.name}"`, { jobId, workflowRunId, reason: decision.reason });
+        const skipped = await this.runService.recordSkipped(dependent, {
+          workflowRunId,
+          scheduledAt,
+          instanceId: this.instanceId,
+          reason: decision.reason
+        });
+        // Jobs further downstream apply their own conditions to the skip
+        await this.handleRunFinished(dependent, skipped);
+      }
+    } catch (error) {
+      logger.error(`WORKFLOW: could not start "${dependent.name}"`, { jobId, workflowRunId, error: error.message });
+    } finally {
+      this.starting.delete(key);
+    }
+  }
+
+  /**
+   * Applies a dependent job's trigger condition to its finished upstream runs.
+   * 'on-success' needs every upstream run to succeed; 'on-failure' needs at least one
+   * not to; 'always' runs once any upstream job has run, so it can join branches where
+   * only one side ran. Otherwise a skipped upstream job skips this one too.
+   * @param {object} dependent - The dependent job.
+   * @param {object[]} upstreamRuns - The finished upstream runs in this workflow run.
+   * @returns {{run: boolean, reason: string|null}}
+   */
+  decide(dependent, upstreamRuns) {
+    if (dependent.status !== 'active') {
+      return { run: false, reason: `Job is ${dependent.status}` };
+    }
+    const ran = upstreamRuns.filter(upstream => upstream.outcome !== 'skipped');
+    if (dependent.triggerCondition === 'always') {
+      return ran.length > 0 || upstreamRuns.length === 0
+        ? { run: true, reason: null }
+        : { run: false, reason: 'Every upstream job was skipped' };
+    }
+    if (ran.length < upstreamRuns.length) {
+      return { run: false, reason: 'An upstream job was skipped' };
+    }
+
+    const allSucceeded = upstreamRuns.every(upstream => upstream.outcome === 'succeeded');
+    switch (dependent.triggerCondition) {
+      case 'on-failure':
+        return allSucceeded
+          ? { run: false, reason: 'Every upstream job succeeded' }
+          : { run: true, reason: null };
+      case 'on-success':
+      default:
+        return allSucceeded
+          ? { run: true, reason: null }
+          : { run: false, reason: 'An upstream job did not succeed' };
+    }
+  }
+}
@@ -0,0 +1,80 @@
+/**
+ * Workflow Graph - Helpers for the job dependency graph
+ * Nodes are the lean job documents returned by JobService.getDependencyGraph.
+ */
+
+/**
+ * Maps every job ID to the IDs of the jobs it depends on.
+ * @param {object[]} nodes
+ * @returns {Map<string, string[]>}
+ */
+export function toDependencyGraph(nodes) {
+  return new Map(nodes.map(node => [node._id.toString(), (node.dependsOn || []).map(id => id.toString())]));
+}
+
+/**
+ * Lists a root job and every job downstream of it, upstream jobs before the jobs that depend on them.
+ * @param {string} rootId - The job whose run started the workflow.
+ * @param {object[]} nodes
+ * @returns {string[]} Job IDs in dependency order.
+ */
+export function workflowNodeIds(rootId, nodes) {
+  const root = rootId.toString();
+  const upstreamOf = toDependencyGraph(nodes);
+  const dependentsOf = new Map();
+  for (const [id, upstream] of upstreamOf) {
+    for (const parent of upstream) {
+      if (!dependentsOf.has(parent)) dependentsOf.set(parent, []);
+      dependentsOf.get(parent).push(id);
+    }
+  }
+
+  // Everything reachable downstream of the root
+  const members = new Set([root]);
+  const stack = [root];
+  while (stack.length > 0) {
+    for (const child of dependentsOf.get(stack.pop()) || []) {
+      if (!members.has(child)) {
+        members.add(child);
+        stack.push(child);
+      }
+    }
+  }
+
+  // Order members so each comes after its upstream jobs within the workflow
+  const ordered = [];
+  const placed = new Set();
+  while (ordered.length < members.size) {
+    const ready = [...members].filter(id => !placed.has(id)
+      && (upstreamOf.get(id) || []).every(parent => !members.has(parent) || placed.has(parent)));
+    if (ready.length === 0) break; // Only a cycle leaves nothing ready; creation-time validation rules that out
+    for (const id of ready) {
+      placed.add(id);
+      ordered.push(id);
+    }
+  }
+  return ordered;
+}
+
+/**
+ * Orders a set of jobs so each comes after the jobs in the set it depends on.
+ * @param {object[]} nodes - Jobs with their dependsOn.
+ * @returns {object[]} The same jobs in dependency order; jobs on a cycle go last.
+ */
+export function inDependencyOrder(nodes) {
+  const upstreamOf = toDependencyGraph(nodes);
+  const ordered = [];
+  const placed = new Set();
+  let remaining = [...nodes];
+  while (remaining.length > 0) {
+    const ready = remaining.filter(node => upstreamOf.get(node._id.toString())
+      .every(parent => !upstreamOf.has(parent) || placed.has(parent)));
+    if (ready.length === 0) return [...ordered, ...remaining];
+    for (const node of ready) {
+      placed.add(node._id.toString());
+      ordered.push(node);
+    }
+    remaining = remaining.filter(node => !placed.has(node._id.toString()));
+  }
+  return ordered;
+}
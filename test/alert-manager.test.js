@@ -0,0 +1,142 @@
+/**
+ * Failure alerts: consecutive-failure and no-success rules, one notification per open alert,
+ * the "recovered" notice on the next success, and delivery to channels that are missing or failing.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AlertManager, parseTypeAlertRules } from '../src/scheduler/alert-manager.js';
+import { AlertService } from '../src/database/alert-service.js';
+import { EventBus } from '../src/core/event-bus.js';
+
+// Alert repository keeping one open alert per job and rule, like the unique index does
+class MemoryAlertRepository {
+  constructor() {
+    this.alerts = [];
+  }
+
+  async open(alertData) {
+    if (this.alerts.some(alert => alert.status === 'open' && alert.jobId === alertData.jobId && alert.ruleKey === alertData.ruleKey)) return null;
+    const alert = { _id: `alert-${this.alerts.length + 1}`, ...alertData, status: 'open', openedAt: new Date() };
+    this.alerts.push(alert);
+    return alert;
+  }
+
+  async findOpenByJobId(jobId) {
+    return this.alerts.filter(alert => alert.jobId === jobId && alert.status === 'open');
+  }
+
+  async resolve(id) {
+    const alert = this.alerts.find(candidate => candidate._id === id && candidate.status === 'open');
+    if (!alert) return null;
+    Object.assign(alert, { status: 'resolved', resolvedAt: new Date() });
+    return alert;
+  }
+}
+
+// Channel recording what it was sent
+function recordingChannel(type = 'webhook') {
+  const sent = [];
+  return { type, sent, async send(notification) { sent.push(notification); } };
+}
+
+// Alert manager over one job whose recent outcomes are `outcomes`, newest first
+function createManager(job, { outcomes = [], lastSuccessAt = null, channels = {}, typeRules = {} } = {}) {
+  const jobService = {
+    async getById() { return job; },
+    async getActiveJobs() { return [job]; }
+  };
+  const runService = {
+    async getRecentOutcomes(jobId, limit) { return outcomes.slice(0, limit); },
+    async getLastSuccessAt() { return lastSuccessAt; }
+  };
+  const repository = new MemoryAlertRepository();
+  const manager = new AlertManager(jobService, runService, new AlertService(repository), {
+    channels: new Map(Object.entries(channels)),
+    typeRules,
+    eventBus: new EventBus()
+  });
+  return { manager, repository };
+}
+
+const job = { _id: 'job-1', name: 'invoice', type: 'http', namespace: 'billing', createdAt: new Date('2024-01-01T00:00:00Z') };
+
+test('consecutive failures open one alert until the next success recovers it', async () => {
+  const ops = recordingChannel();
+  const alerting = { ...job, alertRules: [{ consecutiveFailures: 2, channels: ['ops'] }] };
+  const outcomes = ['failed'];
+  const { manager, repository } = createManager(alerting, { outcomes, channels: { ops } });
+  const failed = { type: 'run.failed', jobId: 'job-1', data: { error: 'HTTP 502' } };
+
+  await manager.handleRunEvent(failed);
+  assert.equal(ops.sent.length, 0);
+
+  outcomes.unshift('timed-out');
+  await manager.handleRunEvent(failed);
+  await manager.handleRunEvent(failed);
+  assert.equal(ops.sent.length, 1);
+  assert.equal(ops.sent[0].status, 'firing');
+  assert.equal(ops.sent[0].rule, 'consecutive-failures:2');
+  assert.match(ops.sent[0].message, /2 consecutive failed runs \(latest: HTTP 502\)/);
+
+  await manager.handleRunEvent({ type: 'run.succeeded', jobId: 'job-1' });
+  await manager.handleRunEvent({ type: 'run.succeeded', jobId: 'job-1' });
+  assert.equal(ops.sent.length, 2);
+  assert.equal(ops.sent[1].status, 'recovered');
+  assert.equal(repository.alerts[0].status, 'resolved');
+});
+
+test('jobs without rules of their own use their type\'s rules', async () => {
+  const ops = recordingChannel();
+  const typeRules = parseTypeAlertRules('{"http": [{"consecutiveFailures": 1, "channels": ["ops"]}]}', ['ops']);
+  const { manager } = createManager(job, { outcomes: ['failed'], channels: { ops }, typeRules });
+
+  await manager.handleRunEvent({ type: 'run.abandoned', jobId: 'job-1' });
+  assert.equal(ops.sent.length, 1);
+  assert.match(ops.sent[0].message, /latest: run.abandoned/);
+
+  assert.throws(() => parseTypeAlertRules({ http: [{ consecutiveFailures: 1, channels: ['pager'] }] }, ['ops']),
+    /Alert rules for type "http": alertRules\[0\] uses unknown alert channel\(s\): pager/);
+  assert.throws(() => parseTypeAlertRules('{http', ['ops']), /ALERT_TYPE_RULES is not valid JSON/);
+});
+
+test('active jobs without a success within the window raise an alert', async () => {
+  const ops = recordingChannel();
+  const rules = [{ noSuccessWithinMs: 90 * 60 * 1000, channels: ['ops'] }];
+
+  const recent = createManager({ ...job, alertRules: rules }, { lastSuccessAt: new Date(), channels: { ops } });
+  await recent.manager.checkNoSuccess();
+  assert.equal(ops.sent.length, 0);
+
+  const never = createManager({ ...job, alertRules: rules }, { channels: { ops } });
+  await never.manager.checkNoSuccess();
+  await never.manager.checkNoSuccess();
+  assert.equal(ops.sent.length, 1);
+  assert.equal(ops.sent[0].message, 'No successful run in 1h 30m (never succeeded)');
+});
+
+test('an unknown or failing channel does not stop delivery to the others', async () => {
+  const ops = recordingChannel();
+  const broken = { type: 'webhook', async send() { throw new Error('connection refused'); } };
+  const alerting = { ...job, alertRules: [{ consecutiveFailures: 1, channels: ['broken', 'removed', 'ops'] }] };
+  const { manager, repository } = createManager(alerting, { outcomes: ['failed'], channels: { ops, broken } });
+
+  await manager.handleRunEvent({ type: 'run.failed', jobId: 'job-1', data: {} });
+  assert.equal(ops.sent.length, 1);
+  assert.equal(repository.alerts.length, 1);
+});
+
+test('run events on the bus are evaluated once alerting starts', async t => {
+  const ops = recordingChannel();
+  const alerting = { ...job, alertRules: [{ consecutiveFailures: 1, channels: ['ops'] }] };
+  const { manager } = createManager(alerting, { outcomes: ['failed'], channels: { ops } });
+  manager.start();
+  t.after(() => manager.stop());
+
+  manager.eventBus.publish('run.started', alerting);
+  manager.eventBus.publish('run.failed', alerting, { error: 'boom' });
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.equal(ops.sent.length, 1);
+  assert.equal(ops.sent[0].jobId, 'job-1');
+});
@@ -0,0 +1,104 @@
+/**
+ * API key authentication: presenting keys, scope checks, namespace switching for admin keys,
+ * and the ADMIN_API_KEY bootstrap key replacing earlier ones when it is rotated.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { authenticate, requireScope } from '../src/core/middleware.js';
+import { ApiKeyService, hashApiKey } from '../src/database/api-key-service.js';
+
+// Key repository keeping its records in memory
+function memoryKeyRepository() {
+  const keys = [];
+  const asRecord = data => ({ _id: `key-${keys.length + 1}`, namespace: 'default', revokedAt: null, lastUsedAt: null, ...data, isRevoked() { return !!this.revokedAt; } });
+  return {
+    keys,
+    async create(data) {
+      const apiKey = asRecord(data);
+      keys.push(apiKey);
+      return apiKey;
+    },
+    async findByHash(keyHash) { return keys.find(apiKey => apiKey.keyHash === keyHash) ?? null; },
+    async revokeOthersNamed(name, keepHash) {
+      const others = keys.filter(apiKey => apiKey.name === name && !apiKey.revokedAt && apiKey.keyHash !== keepHash);
+      others.forEach(apiKey => { apiKey.revokedAt = new Date(); });
+      return others.length;
+    },
+    async touch() {}
+  };
+}
+
+const adminKey = 'a'.repeat(40);
+let server = null;
+let baseUrl = null;
+let readerKey = null;
+const repository = memoryKeyRepository();
+
+before(async () => {
+  const apiKeyService = new ApiKeyService(repository);
+  await apiKeyService.ensureKey(adminKey, { name: 'bootstrap-admin', scopes: ['admin'] });
+  ({ key: readerKey } = await apiKeyService.create({ name: 'dashboard', scopes: ['jobs:read'], namespace: 'billing' }));
+
+  const app = express();
+  app.use((req, res, next) => { res.locals.apiKeyService = apiKeyService; next(); });
+  app.use(authenticate);
+  app.get('/jobs', requireScope('jobs:read'), (req, res) => res.json({ namespace: res.locals.namespace }));
+  app.post('/jobs', requireScope('jobs:write'), (req, res) => res.status(201).json({}));
+  await new Promise(resolve => { server = app.listen(0, '127.0.0.1', resolve); });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+test('requests without a valid key are rejected', async () => {
+  const missing = await fetch(`${baseUrl}/jobs`);
+  assert.equal(missing.status, 401);
+  assert.equal(missing.headers.get('www-authenticate'), 'Bearer');
+
+  const wrong = await fetch(`${baseUrl}/jobs`, { headers: { Authorization: `Bearer ${'b'.repeat(40)}` } });
+  assert.equal(wrong.status, 401);
+});
+
+test('a key is limited to its scopes and its namespace', async () => {
+  const read = await fetch(`${baseUrl}/jobs`, { headers: { 'X-API-Key': readerKey } });
+  assert.deepEqual(await read.json(), { namespace: 'billing' });
+
+  const write = await fetch(`${baseUrl}/jobs`, { method: 'POST', headers: { 'X-API-Key': readerKey } });
+  assert.equal(write.status, 403);
+
+  const elsewhere = await fetch(`${baseUrl}/jobs`, { headers: { 'X-API-Key': readerKey, 'X-Namespace': 'default' } });
+  assert.equal(elsewhere.status, 403);
+});
+
+test('admin keys pass every scope and can act in another namespace', async () => {
+  const headers = { Authorization: `Bearer ${adminKey}`, 'X-Namespace': 'billing' };
+  const read = await fetch(`${baseUrl}/jobs`, { headers });
+  assert.deepEqual(await read.json(), { namespace: 'billing' });
+
+  const write = await fetch(`${baseUrl}/jobs`, { method: 'POST', headers });
+  assert.equal(write.status, 201);
+
+  const invalid = await fetch(`${baseUrl}/jobs`, { headers: { ...headers, 'X-Namespace': 'Not Valid!' } });
+  assert.equal(invalid.status, 400);
+});
+
+test('rotating the bootstrap key revokes the previous one', async () => {
+  const keys = memoryKeyRepository();
+  const service = new ApiKeyService(keys);
+  const first = 'f'.repeat(32);
+  const second = 's'.repeat(32);
+
+  await service.ensureKey(first, { name: 'bootstrap-admin', scopes: ['admin'] });
+  await service.ensureKey(first, { name: 'bootstrap-admin', scopes: ['admin'] });
+  assert.equal(keys.keys.length, 1);
+
+  await service.ensureKey(second, { name: 'bootstrap-admin', scopes: ['admin'] });
+  assert.equal(await service.authenticate(first), null);
+  assert.equal((await service.authenticate(second)).keyHash, hashApiKey(second));
+
+  // Going back to a revoked key must not leave the server without a working admin key
+  await assert.rejects(service.ensureKey(first, { name: 'bootstrap-admin', scopes: ['admin'] }), /was revoked/);
+  await assert.rejects(service.ensureKey('too-short', { name: 'bootstrap-admin', scopes: ['admin'] }), /at least 32 characters/);
+});
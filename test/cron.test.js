@@ -0,0 +1,66 @@
+/**
+ * Cron helpers: previews, slot times and the syntax node-cron can actually run.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { previewCron, previousFireTime, parseCron, checkNodeCronSupport, minCronIntervalMs } from '../src/core/cron.js';
+import { JobValidator } from '../src/database/job-validator.js';
+
+test('a preview lists the next fire times in the job zone with a description', () => {
+  const preview = previewCron('0 9 * * mon-fri', { timezone: 'America/New_York', count: 3 });
+  assert.equal(preview.valid, true);
+  assert.equal(preview.error, null);
+  assert.equal(preview.nextRuns.length, 3);
+  assert.match(preview.description, /09:00/);
+  assert.match(preview.description, /Monday through Friday/);
+  assert.deepEqual(preview.warnings, []);
+});
+
+test('a preview warns about sub-minute schedules and dates that never occur', () => {
+  assert.ok(previewCron('*/10 * * * * *').warnings.includes('Runs more than once a minute.'));
+  assert.ok(previewCron('* * * * * *').warnings.includes('Runs every second.'));
+  assert.ok(previewCron('0 0 31 2,4 *').warnings.some(warning => warning.startsWith('Never runs')));
+});
+
+test('an invalid expression is reported by the preview rather than thrown', () => {
+  const preview = previewCron('61 * * * *');
+  assert.equal(preview.valid, false);
+  assert.ok(preview.error);
+  assert.deepEqual(preview.nextRuns, []);
+});
+
+test('syntax cron-parser accepts but node-cron cannot run is rejected', () => {
+  const validator = new JobValidator();
+  for (const expression of ['0 0 L * *', '0 0 ? * 1', '0 0 * * 1#2', '0 0 15W * *', '0 0 * * 5L', '1 2 3 4 5 6 7']) {
+    assert.equal(previewCron(expression).valid, false, expression);
+    assert.throws(() => checkNodeCronSupport(expression), Error, expression);
+    assert.throws(() => validator.validateCronSchedule(expression), /Invalid cron schedule format/, expression);
+  }
+  for (const expression of ['*/5 * * * *', '30 0 9 * * *', '0 9 * jan,mar sun', '  0  12 * * 1-5 ']) {
+    assert.doesNotThrow(() => checkNodeCronSupport(expression), expression);
+    assert.doesNotThrow(() => validator.validateCronSchedule(expression), expression);
+  }
+});
+
+test('five fields fire at second 0 and six fields start with seconds', () => {
+  const currentDate = new Date('2026-01-01T00:00:00.000Z');
+  assert.equal(parseCron('30 9 * * *', { timezone: 'UTC', currentDate }).next().toISOString(), '2026-01-01T09:30:00.000Z');
+  assert.equal(parseCron('15 30 9 * * *', { timezone: 'UTC', currentDate }).next().toISOString(), '2026-01-01T09:30:15.000Z');
+});
+
+test('the previous fire time is the slot a tick belongs to, however late it runs', () => {
+  const slot = '2026-01-01T00:10:00.000Z';
+  for (const at of ['2026-01-01T00:10:00.000Z', '2026-01-01T00:10:01.500Z', '2026-01-01T00:14:59.999Z']) {
+    assert.equal(previousFireTime('*/5 * * * *', { timezone: 'UTC', at: new Date(at) }).toISOString(), slot, at);
+  }
+  assert.equal(
+    previousFireTime('0 9 * * *', { timezone: 'Europe/Berlin', at: new Date('2026-07-01T07:30:00.000Z') }).toISOString(),
+    '2026-07-01T07:00:00.000Z'
+  );
+});
+
+test('the shortest interval is measured across the upcoming runs', () => {
+  assert.equal(minCronIntervalMs('*/15 * * * *'), 15 * 60 * 1000);
+  assert.equal(minCronIntervalMs('0 9,10 * * *'), 60 * 60 * 1000);
+});
@@ -0,0 +1,125 @@
+/**
+ * The email job type against a local SMTP sink: delivery, the sender allow-list,
+ * attachments confined to EMAIL_ATTACHMENT_ROOT and refused recipients.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { SMTPServer } from 'smtp-server';
+
+const silentLogger = { info() {}, warn() {}, error() {}, debug() {} };
+let sink;
+let attachmentRoot;
+let outsideDir;
+let emailHandler;
+let closeTransporter;
+let messages = [];
+
+before(async () => {
+  sink = new SMTPServer({
+    authOptional: true,
+    disabledCommands: ['STARTTLS', 'AUTH'],
+    logger: false,
+    onRcptTo(address, session, callback) {
+      if (address.address.endsWith('@blocked.example')) {
+        return callback(new Error('Recipient refused'));
+      }
+      callback();
+    },
+    onData(stream, session, callback) {
+      const chunks = [];
+      stream.on('data', chunk => chunks.push(chunk));
+      stream.on('end', () => {
+        messages.push({
+          from: session.envelope.mailFrom.address,
+          to: session.envelope.rcptTo.map(rcpt => rcpt.address),
+          raw: Buffer.concat(chunks).toString()
+        });
+        callback();
+      });
+    }
+  });
+  await new Promise(resolve => sink.listen(0, '127.0.0.1', resolve));
+
+  attachmentRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'email-attachments-'));
+  outsideDir = await fs.mkdtemp(path.join(os.tmpdir(), 'email-outside-'));
+  await fs.writeFile(path.join(attachmentRoot, 'report.csv'), 'a,b\n1,2\n');
+  await fs.writeFile(path.join(outsideDir, 'secret.txt'), 'do not send');
+  await fs.symlink(path.join(outsideDir, 'secret.txt'), path.join(attachmentRoot, 'link.txt'));
+
+  // Config is read when first imported, so point it at the sink first
+  Object.assign(process.env, {
+    SMTP_HOST: '127.0.0.1',
+    SMTP_PORT: String(sink.server.address().port),
+    SMTP_SECURE: 'false',
+    SMTP_FROM: 'scheduler@example.com',
+    EMAIL_FROM_ALLOWLIST: 'reports@example.com',
+    EMAIL_ATTACHMENT_ROOT: attachmentRoot
+  });
+  emailHandler = (await import('../src/scheduler/handlers/email-handler.js')).default;
+  ({ closeTransporter } = await import('../src/scheduler/email-sender.js'));
+});
+
+after(async () => {
+  closeTransporter?.();
+  await new Promise(resolve => sink.close(resolve));
+  await fs.rm(attachmentRoot, { recursive: true, force: true });
+  await fs.rm(outsideDir, { recursive: true, force: true });
+});
+
+function sendJob(data) {
+  return emailHandler.execute({ _id: 'job-1', name: 'digest', data }, { logger: silentLogger });
+}
+
+test('delivers the message from SMTP_FROM to every recipient', async () => {
+  messages = [];
+  const result = await sendJob({ to: 'a@example.com, b@example.com', subject: 'Daily digest', text: 'Hello' });
+
+  assert.deepEqual(result.accepted, ['a@example.com', 'b@example.com']);
+  assert.equal(messages.length, 1);
+  assert.equal(messages[0].from, 'scheduler@example.com');
+  assert.deepEqual(messages[0].to, ['a@example.com', 'b@example.com']);
+  assert.match(messages[0].raw, /Subject: Daily digest/);
+});
+
+test('only allow-listed senders can be set through data.from', async () => {
+  messages = [];
+  assert.throws(() => emailHandler.validate({ to: 'a@example.com', from: 'ceo@example.com' }), /not allowed/);
+  await assert.rejects(sendJob({ to: 'a@example.com', from: 'ceo@example.com' }), /not allowed/);
+  assert.equal(messages.length, 0);
+
+  await sendJob({ to: 'a@example.com', from: 'Reports <Reports@example.com>', subject: 'x' });
+  assert.equal(messages[0].from, 'Reports@example.com');
+});
+
+test('attachments under the root are sent', async () => {
+  messages = [];
+  await sendJob({ to: 'a@example.com', subject: 'Report', attachments: ['report.csv'] });
+  assert.match(messages[0].raw, /filename=report\.csv/);
+});
+
+test('attachments outside the root are refused, including through symlinks', async () => {
+  messages = [];
+  const outside = path.join(outsideDir, 'secret.txt');
+  assert.throws(() => emailHandler.validate({ to: 'a@example.com', attachments: [outside] }), /outside the allowed/);
+  assert.throws(() => emailHandler.validate({ to: 'a@example.com', attachments: ['../x.txt'] }), /outside the allowed/);
+
+  // The link passes the path check when saved, but not the real-path check when sent
+  assert.doesNotThrow(() => emailHandler.validate({ to: 'a@example.com', subject: 'x', attachments: ['link.txt'] }));
+  await assert.rejects(sendJob({ to: 'a@example.com', attachments: ['link.txt'] }), /outside the allowed/);
+  assert.equal(messages.length, 0);
+});
+
+test('refused recipients are reported, and a message nobody accepts fails', async () => {
+  const partial = await sendJob({ to: ['a@example.com', 'x@blocked.example'], subject: 'x' });
+  assert.deepEqual(partial.accepted, ['a@example.com']);
+  assert.deepEqual(partial.rejected, ['x@blocked.example']);
+
+  await assert.rejects(sendJob({ to: 'x@blocked.example', subject: 'x' }), error => {
+    assert.deepEqual(error.result.rejected, ['x@blocked.example']);
+    return true;
+  });
+});
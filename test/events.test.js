@@ -0,0 +1,100 @@
+/**
+ * Job lifecycle events: the bus buffer and resuming after a Last-Event-ID, the SSE stream
+ * only sending the caller's namespace's events, and job.unscheduled keeping its namespace.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventBus } from '../src/core/event-bus.js';
+import eventController from '../src/api/controllers/eventController.js';
+import { SchedulerManager } from '../src/scheduler/scheduler-manager.js';
+import { JobTypeRegistry } from '../src/scheduler/job-type-registry.js';
+
+const billingJob = { _id: 'job-1', name: 'invoice', type: 'http', namespace: 'billing' };
+const opsJob = { _id: 'job-2', name: 'backup', type: 'report', namespace: 'ops' };
+
+// Opens a stream and collects the events written to it
+function openStream(eventBus, { query = {}, headers = {}, namespace = 'billing' } = {}) {
+  const closeHandlers = [];
+  const req = { query, get: name => headers[name], on: (event, handler) => closeHandlers.push(handler) };
+  const res = {
+    locals: { eventBus, namespace },
+    statusCode: 200,
+    chunks: [],
+    status(code) { this.statusCode = code; return this; },
+    set() { return this; },
+    json(body) { this.body = body; return this; },
+    flushHeaders() {},
+    write(chunk) { this.chunks.push(chunk); },
+    events() {
+      return this.chunks.filter(chunk => chunk.startsWith('event:') || chunk.startsWith('id:'))
+        .map(chunk => chunk.match(/^event: (.+)$/m)[1]);
+    },
+    close() { closeHandlers.forEach(handler => handler()); }
+  };
+  eventController.streamEvents(req, res);
+  return res;
+}
+
+test('the buffer resumes after a known event and keeps the newest events', () => {
+  const bus = new EventBus({ bufferSize: 2 });
+  const first = bus.publish('job.created', billingJob);
+  const events = [2, 3, 4].map(() => bus.publish('run.started', billingJob));
+
+  assert.deepEqual(bus.eventsAfter(events[0].id), { events: events.slice(1), complete: true });
+  assert.deepEqual(bus.eventsAfter(events[2].id), { events: [], complete: true });
+  // The event right after the first one was dropped from the buffer, so the replay has a gap
+  assert.equal(bus.eventsAfter(first.id).complete, false);
+  assert.deepEqual(bus.eventsAfter('other-1'), { events: events.slice(1), complete: false });
+});
+
+test('a stream only sends matching events from its own namespace until it closes', () => {
+  const bus = new EventBus();
+  const res = openStream(bus, { query: { events: 'run.failed,job.scheduled' } });
+
+  bus.publish('run.failed', billingJob);
+  bus.publish('run.started', billingJob);
+  bus.publish('run.failed', opsJob);
+  bus.publish('job.scheduled', billingJob);
+  res.close();
+  bus.publish('run.failed', billingJob);
+
+  assert.deepEqual(res.events(), ['run.failed', 'job.scheduled']);
+});
+
+test('a reconnecting stream replays what it missed, or says it cannot', () => {
+  const bus = new EventBus();
+  const seen = bus.publish('run.started', billingJob);
+  bus.publish('run.started', opsJob);
+  bus.publish('run.succeeded', billingJob);
+
+  const resumed = openStream(bus, { headers: { 'Last-Event-ID': seen.id } });
+  const reset = openStream(bus, { query: { lastEventId: 'gone-7' } });
+  resumed.close();
+  reset.close();
+
+  assert.deepEqual(resumed.events(), ['run.succeeded']);
+  assert.deepEqual(reset.events(), ['stream.reset', 'run.started', 'run.succeeded']);
+});
+
+test('unknown event types are rejected', () => {
+  const res = openStream(new EventBus(), { query: { events: 'run.failed,job.exploded' } });
+  assert.equal(res.statusCode, 400);
+  assert.match(res.body.error, /Unknown event type\(s\): job.exploded/);
+});
+
+test('job.unscheduled carries the namespace even when the instance lost track of the job', () => {
+  const bus = new EventBus();
+  const scheduler = new SchedulerManager({}, { registry: new JobTypeRegistry(), eventBus: bus });
+  const res = openStream(bus);
+
+  scheduler.scheduleJob({ ...billingJob, status: 'active', dependsOn: ['job-0'], triggerCondition: 'on-success' });
+  scheduler.unscheduleJob('job-1', { reason: 'Job is paused' });
+
+  // A task without its job summary, e.g. left over by a failed reschedule
+  scheduler.scheduledTasks.set('job-1', { stop() {} });
+  scheduler.unscheduleJob('job-1', { reason: 'Job deleted', job: billingJob });
+  res.close();
+
+  assert.deepEqual(res.events(), ['job.scheduled', 'job.unscheduled', 'job.unscheduled']);
+});
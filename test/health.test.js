@@ -0,0 +1,70 @@
+/**
+ * Health reports: liveness, readiness of the database, scheduler and job discovery, and the
+ * scheduler holding back work while the database is away.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getLiveness, getReadiness } from '../src/core/health.js';
+import { SchedulerManager } from '../src/scheduler/scheduler-manager.js';
+import { JobTypeRegistry } from '../src/scheduler/job-type-registry.js';
+import { EventBus } from '../src/core/event-bus.js';
+
+// Scheduler exposing only what readiness reads
+function fakeScheduler(discovery = {}, { isShuttingDown = false } = {}) {
+  return {
+    isShuttingDown,
+    jobDiscovery: {
+      getStatus: () => ({ mode: 'polling', cycleInterval: 10000, lastCycleAt: new Date(), isPaused: false, lastError: null, ...discovery })
+    }
+  };
+}
+
+test('a serving process is live', () => {
+  const liveness = getLiveness();
+  assert.equal(liveness.status, 'ok');
+  assert.ok(liveness.uptime > 0);
+});
+
+test('readiness needs the database', () => {
+  // No connection is opened in this test
+  const { status, checks } = getReadiness(fakeScheduler());
+  assert.equal(status, 'not-ready');
+  assert.deepEqual(checks.database, { ok: false, state: 'disconnected' });
+  assert.equal(checks.scheduler.ok, true);
+  assert.equal(checks.discovery.ok, true);
+});
+
+test('the scheduler is not ready while starting or shutting down', () => {
+  assert.deepEqual(getReadiness(null).checks.scheduler, { ok: false, state: 'starting' });
+  assert.deepEqual(getReadiness(null).checks.discovery, { ok: false, lastCycleAt: null });
+  assert.deepEqual(getReadiness(fakeScheduler({}, { isShuttingDown: true })).checks.scheduler, { ok: false, state: 'shutting-down' });
+});
+
+test('discovery is stale after three missed cycles, or when its change stream is closed', () => {
+  const stale = getReadiness(fakeScheduler({ lastCycleAt: new Date(Date.now() - 31000) })).checks.discovery;
+  assert.equal(stale.ok, false);
+  assert.equal(stale.maxAgeMs, 30000);
+
+  assert.equal(getReadiness(fakeScheduler({ lastCycleAt: null })).checks.discovery.ok, false);
+  assert.equal(getReadiness(fakeScheduler({ lastCycleAt: new Date(Date.now() - 31000) }), { discoveryMaxAgeMs: 60000 }).checks.discovery.ok, true);
+
+  const changeStream = { mode: 'change-stream', cycleInterval: null, discoveryInterval: 10000 };
+  assert.equal(getReadiness(fakeScheduler({ ...changeStream, isStreamOpen: true })).checks.discovery.ok, true);
+  assert.equal(getReadiness(fakeScheduler({ ...changeStream, isStreamOpen: false })).checks.discovery.ok, false);
+});
+
+test('the scheduler pauses discovery during a database outage and resyncs after it', async () => {
+  let resyncs = 0;
+  const jobService = { async getActiveJobs() { resyncs++; return []; } };
+  const scheduler = new SchedulerManager(jobService, { registry: new JobTypeRegistry(), eventBus: new EventBus() });
+
+  scheduler.handleDatabaseDisconnect();
+  assert.equal(scheduler.isDatabaseAvailable, false);
+  assert.equal(scheduler.jobDiscovery.getStatus().isPaused, true);
+
+  await scheduler.handleDatabaseReconnect();
+  assert.equal(scheduler.isDatabaseAvailable, true);
+  assert.equal(scheduler.jobDiscovery.getStatus().isPaused, false);
+  assert.equal(resyncs, 1);
+});
@@ -0,0 +1,124 @@
+/**
+ * The http job type against a local Express stub: request shape, status handling,
+ * the recorded body cap, timeouts and cancellation.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import httpHandler from '../src/scheduler/handlers/http-handler.js';
+
+const silentLogger = { info() {}, warn() {}, error() {}, debug() {} };
+let server;
+let baseUrl;
+let received = [];
+let bigResponseClosedEarly = null;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.post('/echo', (req, res) => {
+    received.push({ method: req.method, headers: req.headers, body: req.body });
+    res.status(201).json({ ok: true });
+  });
+  app.get('/status/:code', (req, res) => res.status(Number(req.params.code)).send(`status ${req.params.code}`));
+  // Streams far more than the handler keeps; the handler should hang up early
+  app.get('/big', (req, res) => {
+    let sent = 0;
+    const chunk = 'x'.repeat(1024);
+    const timer = setInterval(() => {
+      res.write(chunk);
+      if (++sent === 10000) {
+        clearInterval(timer);
+        res.end();
+      }
+    }, 1);
+    res.on('close', () => {
+      clearInterval(timer);
+      bigResponseClosedEarly = sent < 10000;
+    });
+  });
+  // Sends the headers and part of the body, then stalls
+  app.get('/stall', (req, res) => {
+    res.status(200);
+    res.write('partial');
+  });
+
+  await new Promise(resolve => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+function runJob(data, { signal } = {}) {
+  return httpHandler.execute({ _id: 'job-1', name: 'webhook', data }, { logger: silentLogger, signal });
+}
+
+test('sends the method, headers and JSON body and records the response', async () => {
+  received = [];
+  const result = await runJob({
+    method: 'post',
+    url: `${baseUrl}/echo`,
+    headers: { 'X-Token': 'abc' },
+    body: { hello: 'world' }
+  });
+
+  assert.equal(result.statusCode, 201);
+  assert.equal(result.method, 'POST');
+  assert.deepEqual(JSON.parse(result.body), { ok: true });
+  assert.equal(result.bodyTruncated, false);
+  assert.equal(received.length, 1);
+  assert.equal(received[0].headers['x-token'], 'abc');
+  assert.match(received[0].headers['content-type'], /^application\/json/);
+  assert.deepEqual(received[0].body, { hello: 'world' });
+});
+
+test('an unexpected status fails the run with the response attached', async () => {
+  await assert.rejects(runJob({ url: `${baseUrl}/status/503` }), error => {
+    assert.match(error.message, /unexpected status 503/);
+    assert.equal(error.result.statusCode, 503);
+    assert.equal(error.result.body, 'status 503');
+    return true;
+  });
+});
+
+test('expectedStatus replaces the 2xx rule', async () => {
+  const result = await runJob({ url: `${baseUrl}/status/404`, expectedStatus: [404] });
+  assert.equal(result.statusCode, 404);
+  await assert.rejects(runJob({ url: `${baseUrl}/status/200`, expectedStatus: [204] }), /unexpected status 200/);
+});
+
+test('only the first 4 KB of the body is read; the rest is not downloaded', async () => {
+  const result = await runJob({ url: `${baseUrl}/big` });
+  assert.equal(Buffer.byteLength(result.body), 4 * 1024);
+  assert.equal(result.bodyTruncated, true);
+
+  await new Promise(resolve => setTimeout(resolve, 100));
+  assert.equal(bigResponseClosedEarly, true);
+});
+
+test('a response that stalls mid-body times out', async () => {
+  const startedAt = Date.now();
+  await assert.rejects(runJob({ url: `${baseUrl}/stall`, timeoutMs: 200 }), /timed out after 200ms/);
+  assert.ok(Date.now() - startedAt < 2000);
+});
+
+test('cancelling the run aborts the body read with the cancellation reason', async () => {
+  const controller = new AbortController();
+  setTimeout(() => controller.abort(new Error('Cancelled by request')), 100);
+  await assert.rejects(runJob({ url: `${baseUrl}/stall` }, { signal: controller.signal }), /Cancelled by request/);
+});
+
+test('connection failures name the request', async () => {
+  // A port that was just free, with nothing listening on it any more
+  const closed = express().listen(0, '127.0.0.1');
+  await new Promise(resolve => closed.once('listening', resolve));
+  const deadUrl = `http://127.0.0.1:${closed.address().port}/`;
+  await new Promise(resolve => closed.close(resolve));
+  await assert.rejects(runJob({ url: deadUrl }), /^Error: HTTP GET .* failed: /);
+});
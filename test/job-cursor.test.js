@@ -0,0 +1,139 @@
+/**
+ * GET /api/jobs paging: offset paging by default, opt-in cursors that carry the listing's sort,
+ * and projected listings keeping the values toJSON derives.
+ * The listing tests need a MongoDB binary for mongodb-memory-server; skipped when none can be obtained.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { MongoMemoryServer } from 'mongodb-memory-server';
+import { JobRepository, encodeJobCursor, decodeJobCursor } from '../src/database/job-repository.js';
+import { addDerivedFields } from '../src/database/job-model.js';
+import jobController from '../src/api/controllers/jobController.js';
+
+const id = new mongoose.Types.ObjectId();
+const byName = { field: 'name', direction: 1 };
+
+let server = null;
+let unavailable = null;
+
+before(async () => {
+  try {
+    server = await MongoMemoryServer.create({ binary: { version: '7.0.14' } });
+    await mongoose.connect(server.getUri());
+  } catch (error) {
+    unavailable = `in-memory MongoDB unavailable: ${error.message.split('\n')[0]}`;
+  }
+});
+
+after(async () => {
+  await mongoose.disconnect();
+  await server?.stop();
+});
+
+// Lists jobs through the controller, returning the response and the options the service got
+async function listJobs(query) {
+  const calls = [];
+  const jobService = { async getAll(options) { calls.push(options); return { jobs: [] }; } };
+  const res = {
+    locals: { jobService, namespace: 'billing' },
+    statusCode: 200,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  await jobController.listJobs({ query }, res);
+  return { res, options: calls[0] };
+}
+
+test('a cursor decodes to the sort, job ID and value it was made from', () => {
+  assert.deepEqual(decodeJobCursor(encodeJobCursor({ _id: id, name: 'nightly', priority: 3 }, byName)), {
+    field: 'name',
+    direction: 1,
+    id: id.toString(),
+    value: 'nightly'
+  });
+  assert.equal(decodeJobCursor(encodeJobCursor({ _id: id, priority: 3 }, { field: 'priority', direction: -1 })).direction, -1);
+});
+
+test('dates come back as dates and missing values as null', () => {
+  const nextRun = new Date('2026-03-01T09:00:00.000Z');
+  const decoded = decodeJobCursor(encodeJobCursor({ _id: id, nextRun }, { field: 'nextRun', direction: 1 }));
+  assert.ok(decoded.value instanceof Date);
+  assert.equal(decoded.value.getTime(), nextRun.getTime());
+
+  assert.equal(decodeJobCursor(encodeJobCursor({ _id: id, lastRun: null }, { field: 'lastRun', direction: 1 })).value, null);
+  assert.equal(decodeJobCursor(encodeJobCursor({ _id: id }, { field: 'lastRun', direction: 1 })).value, null);
+});
+
+test('cursors are URL-safe', () => {
+  const cursor = encodeJobCursor({ _id: id, name: '??>>~~ job ~~<<??' }, byName);
+  assert.match(cursor, /^[A-Za-z0-9_-]+$/);
+});
+
+test('tampered or garbage cursors are rejected', () => {
+  const position = { f: 'name', d: 1, id: id.toString(), v: 'x' };
+  const forged = [{ ...position, id: 'not-an-id' }, { ...position, d: 0 }, { f: 'name', id: id.toString(), v: 'x' }];
+  for (const cursor of ['', 'garbage', Buffer.from('[]').toString('base64url'), ...forged.map(value => Buffer.from(JSON.stringify(value)).toString('base64url'))]) {
+    assert.throws(() => decodeJobCursor(cursor), /cursor is invalid/);
+  }
+});
+
+test('listings page by offset unless a cursor is given', async () => {
+  assert.deepEqual((await listJobs({})).options, { limit: 10, sort: { field: 'createdAt', direction: -1 }, namespace: 'billing' });
+  assert.equal((await listJobs({ page: '3' })).options.page, 3);
+
+  assert.equal((await listJobs({ cursor: '' })).options.cursor, null);
+  const cursor = encodeJobCursor({ _id: id, name: 'nightly' }, byName);
+  assert.equal((await listJobs({ sort: 'name', after: cursor })).options.cursor.value, 'nightly');
+
+  assert.equal((await listJobs({ page: '2', cursor })).res.statusCode, 400);
+});
+
+test('a cursor from a listing with another sort field or direction is rejected', async () => {
+  const cursor = encodeJobCursor({ _id: id, name: 'nightly' }, byName);
+  for (const sort of ['-name', 'priority', undefined]) {
+    const { res } = await listJobs({ sort, cursor });
+    assert.equal(res.statusCode, 400, String(sort));
+    assert.match(res.body.error, /different sort/);
+  }
+});
+
+test('derived values follow the fields they are shown with', () => {
+  const job = { nextRun: new Date('2026-03-01T09:00:00Z'), timezone: 'Europe/Berlin', cronSchedule: '0 10 * * *' };
+  const narrowed = addDerivedFields({ ...job }, ['nextRun']);
+  assert.equal(narrowed.nextRunLocal, '2026-03-01T10:00:00.000+01:00');
+  assert.equal('lastRunLocal' in narrowed, false);
+  assert.equal('schedulePreview' in narrowed, false);
+
+  const full = addDerivedFields({ ...job });
+  assert.equal(full.lastRunLocal, null);
+  assert.equal(full.schedulePreview.valid, true);
+});
+
+test('offset and cursor listings walk the same jobs; projections keep derived values', async t => {
+  if (unavailable) return t.skip(unavailable);
+
+  const repository = new JobRepository();
+  const names = ['a', 'b', 'c', 'd', 'e'];
+  for (const name of names) {
+    await repository.create({ name, description: 'Listed', type: 'reminder', cronSchedule: '0 2 * * *', timezone: 'Asia/Tokyo', nextRun: new Date('2026-03-01T00:00:00Z') });
+  }
+  const sort = { field: 'name', direction: -1 };
+
+  const offset = await repository.findAll({ sort, limit: 2, page: 3 });
+  assert.deepEqual(offset.jobs.map(job => job.name), ['a']);
+  assert.deepEqual(offset.pagination, { page: 3, limit: 2, total: 5, pages: 3 });
+
+  const walked = [];
+  let cursor = null;
+  do {
+    const { jobs, pagination } = await repository.findAll({ sort, limit: 2, cursor, fields: ['nextRun'] });
+    walked.push(...jobs);
+    cursor = pagination.nextCursor && decodeJobCursor(pagination.nextCursor);
+  } while (cursor);
+  assert.deepEqual(walked.map(job => job.name), ['e', 'd', 'c', 'b', 'a']);
+  assert.equal(walked[0].nextRunLocal, '2026-03-01T09:00:00.000+09:00');
+  assert.equal(walked[0].timezone, undefined);
+  assert.equal(walked[0].cronSchedule, undefined);
+});
@@ -0,0 +1,105 @@
+/**
+ * Job discovery: applying change stream events, reconciles rescheduling jobs edited since they
+ * were scheduled, and falling back to polling where change streams are not available.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JobDiscovery, schedulingFingerprint } from '../src/scheduler/job-discovery.js';
+import { EventBus } from '../src/core/event-bus.js';
+
+// Scheduler keeping the fingerprint of each job it was given, like SchedulerManager does
+function fakeScheduler() {
+  const fingerprints = new Map();
+  return {
+    isShuttingDown: false,
+    eventBus: new EventBus(),
+    scheduled: [],
+    unscheduled: [],
+    misfireChecks: [],
+    scheduleJob(job) {
+      this.scheduled.push(job.name);
+      if (job.status === 'active') fingerprints.set(job._id.toString(), schedulingFingerprint(job));
+      else fingerprints.delete(job._id.toString());
+    },
+    unscheduleJob(jobId) {
+      this.unscheduled.push(jobId);
+      fingerprints.delete(jobId);
+    },
+    handleMisfires(job) { this.misfireChecks.push(job.name); },
+    getScheduledJobIds: () => Array.from(fingerprints.keys()),
+    getSchedulingFingerprint: jobId => fingerprints.get(jobId) ?? null,
+    getScheduledJobCount: () => fingerprints.size,
+    getInstanceId: () => 'test-instance'
+  };
+}
+
+const nightly = { _id: 'job-1', name: 'nightly', namespace: 'default', type: 'report', status: 'active', cronSchedule: '0 2 * * *', data: { format: 'pdf', pages: 2 } };
+const hourly = { _id: 'job-2', name: 'hourly', namespace: 'default', type: 'http', status: 'active', cronSchedule: '0 * * * *' };
+
+test('the fingerprint changes with scheduling fields only, whatever the key order', () => {
+  const fingerprint = schedulingFingerprint(nightly);
+  assert.equal(schedulingFingerprint({ ...nightly, data: { pages: 2, format: 'pdf' } }), fingerprint);
+  assert.equal(schedulingFingerprint({ ...nightly, lastRun: new Date(), description: 'Renamed' }), fingerprint);
+  assert.notEqual(schedulingFingerprint({ ...nightly, cronSchedule: '0 3 * * *' }), fingerprint);
+  assert.notEqual(schedulingFingerprint({ ...nightly, data: { format: 'csv', pages: 2 } }), fingerprint);
+  assert.equal(schedulingFingerprint({ ...nightly, timezone: undefined }), schedulingFingerprint({ ...nightly, timezone: null }));
+});
+
+test('a reconcile schedules new jobs, reschedules edited ones and drops inactive ones', async () => {
+  const scheduler = fakeScheduler();
+  let activeJobs = [nightly, hourly];
+  const discovery = new JobDiscovery({ getActiveJobs: async () => activeJobs }, scheduler);
+
+  await discovery.discoverAndScheduleJobs();
+  assert.deepEqual(scheduler.scheduled, ['nightly', 'hourly']);
+  assert.deepEqual(scheduler.misfireChecks, ['nightly', 'hourly']);
+
+  // Unchanged jobs are left alone
+  await discovery.discoverAndScheduleJobs();
+  assert.equal(scheduler.scheduled.length, 2);
+
+  // An edit whose change event was missed
+  activeJobs = [{ ...nightly, cronSchedule: '30 2 * * *', lastRun: new Date() }];
+  await discovery.discoverAndScheduleJobs();
+  assert.deepEqual(scheduler.scheduled, ['nightly', 'hourly', 'nightly']);
+  assert.deepEqual(scheduler.misfireChecks, ['nightly', 'hourly']);
+  assert.deepEqual(scheduler.unscheduled, ['job-2']);
+});
+
+test('change events reschedule edited jobs but not run bookkeeping', () => {
+  const scheduler = fakeScheduler();
+  const discovery = new JobDiscovery({}, scheduler);
+  const change = (operationType, fullDocument, updatedFields = {}) => ({
+    operationType, documentKey: { _id: 'job-1' }, fullDocument, updateDescription: { updatedFields, removedFields: [] }
+  });
+
+  discovery.applyChange(change('insert', nightly));
+  discovery.applyChange(change('insert', nightly)); // Created through this instance's API
+  discovery.applyChange(change('update', nightly, { lastRun: new Date(), nextRun: new Date() }));
+  assert.deepEqual(scheduler.scheduled, ['nightly']);
+
+  discovery.applyChange(change('update', { ...nightly, timeoutMs: 5000 }, { timeoutMs: 5000 }));
+  discovery.applyChange(change('update', null, { status: 'paused' })); // Deleted before the lookup
+  assert.deepEqual(scheduler.scheduled, ['nightly', 'nightly']);
+  assert.deepEqual(scheduler.misfireChecks, ['nightly']);
+
+  discovery.applyChange({ operationType: 'delete', documentKey: { _id: 'job-1' } });
+  assert.deepEqual(scheduler.unscheduled, ['job-1']);
+});
+
+test('discovery falls back to polling when change streams are not supported', t => {
+  const jobService = {
+    getActiveJobs: async () => [],
+    watchJobs() { throw Object.assign(new Error('The $changeStream stage is only supported on replica sets'), { code: 40573 }); }
+  };
+  const discovery = new JobDiscovery(jobService, fakeScheduler(), { reconcileIntervalMs: 60000 });
+  t.after(() => discovery.stop());
+
+  discovery.start();
+  const status = discovery.getStatus();
+  assert.equal(status.mode, 'poll');
+  assert.equal(status.isStreamOpen, false);
+  assert.equal(status.cycleInterval, discovery.discoveryInterval);
+  assert.match(status.lastError, /replica sets/);
+});
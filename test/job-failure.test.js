@@ -0,0 +1,74 @@
+/**
+ * What a failed run does to its job: recurring jobs keep their schedule or are paused per
+ * onFailure, one-off jobs end as failed, and a pause made during the run is left alone.
+ * Needs a MongoDB binary for mongodb-memory-server; skipped when none can be obtained.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { MongoMemoryServer } from 'mongodb-memory-server';
+import Job from '../src/database/job-model.js';
+
+let server = null;
+let unavailable = null;
+
+before(async () => {
+  try {
+    server = await MongoMemoryServer.create({ binary: { version: '7.0.14' } });
+    await mongoose.connect(server.getUri());
+  } catch (error) {
+    unavailable = `in-memory MongoDB unavailable: ${error.message.split('\n')[0]}`;
+  }
+});
+
+after(async () => {
+  await mongoose.disconnect();
+  await server?.stop();
+});
+
+const nextRun = new Date(Date.now() + 60 * 60 * 1000);
+
+function createJob(name, fields) {
+  return Job.create({ name, description: 'Fails on purpose', type: 'reminder', nextRun, ...fields });
+}
+
+test('a recurring job with onFailure "pause" is paused, not failed', async t => {
+  if (unavailable) return t.skip(unavailable);
+
+  const job = await createJob('pause-on-failure', { cronSchedule: '0 2 * * *', onFailure: 'pause' });
+  const updated = await Job.markFailed(job._id);
+
+  assert.equal(updated.status, 'paused');
+  assert.equal(updated.nextRun, null);
+  assert.ok(updated.lastRun instanceof Date);
+});
+
+test('a recurring job with onFailure "keep-schedule" stays active', async t => {
+  if (unavailable) return t.skip(unavailable);
+
+  const job = await createJob('keep-schedule', { cronSchedule: '0 2 * * *' });
+  const updated = await Job.markFailed(job._id);
+
+  assert.equal(updated.status, 'active');
+  assert.deepEqual(updated.nextRun, nextRun);
+});
+
+test('a one-off job ends as failed whatever its onFailure', async t => {
+  if (unavailable) return t.skip(unavailable);
+
+  const job = await createJob('one-off', { runAt: nextRun, onFailure: 'pause' });
+  const updated = await Job.markFailed(job._id);
+
+  assert.equal(updated.status, 'failed');
+});
+
+test('a job paused while its run went on stays paused', async t => {
+  if (unavailable) return t.skip(unavailable);
+
+  const job = await createJob('paused-meanwhile', { runAt: nextRun, status: 'paused' });
+  const updated = await Job.markFailed(job._id);
+
+  assert.equal(updated.status, 'paused');
+  assert.ok(updated.lastRun instanceof Date);
+});
@@ -0,0 +1,126 @@
+/**
+ * PATCH, DELETE, pause and resume of /api/jobs/:id: status codes, validation against the
+ * merged job, and the scheduler being told about every change right away.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Job from '../src/database/job-model.js';
+import jobController from '../src/api/controllers/jobController.js';
+
+function newJob(fields = {}) {
+  return new Job({ name: 'nightly', description: 'Nightly reminder', cronSchedule: '0 2 * * *', type: 'reminder', ...fields });
+}
+
+function fakeResponse(locals) {
+  return {
+    locals: { namespace: 'default', ...locals },
+    statusCode: 200,
+    body: undefined,
+    headersSent: false,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; this.headersSent = true; return this; }
+  };
+}
+
+// Job service over one stored job; every write returns the job as it would be saved
+function fakeJobService(job, { dependents = [] } = {}) {
+  return {
+    async getById(id) {
+      if (!job || id !== job._id.toString()) throw new Error('Job not found');
+      return job;
+    },
+    async getDependents() { return dependents; },
+    async isNameTaken() { return false; },
+    async update(id, updates) { return newJob({ ...job.toObject(), ...updates }); },
+    async delete() { return job; },
+    async pause() { return newJob({ ...job.toObject(), status: 'paused', nextRun: null }); },
+    async resume(id, nextRun) { return newJob({ ...job.toObject(), status: 'active', nextRun }); }
+  };
+}
+
+function fakeScheduler() {
+  return {
+    scheduled: [],
+    unscheduled: [],
+    scheduleJob(job) { this.scheduled.push(job); },
+    unscheduleJob(id, { reason }) { this.unscheduled.push({ id, reason }); }
+  };
+}
+
+test('PATCH validates the merged job and reschedules it', async () => {
+  const job = newJob();
+  const schedulerService = fakeScheduler();
+  const jobService = fakeJobService(job);
+
+  const invalid = fakeResponse({ jobService, schedulerService });
+  await jobController.updateJob({ params: { id: job._id.toString() }, body: { cronSchedule: 'every day' } }, invalid);
+  assert.equal(invalid.statusCode, 400);
+
+  const empty = fakeResponse({ jobService, schedulerService });
+  await jobController.updateJob({ params: { id: job._id.toString() }, body: { createdAt: new Date() } }, empty);
+  assert.equal(empty.statusCode, 400);
+  assert.match(empty.body.error, /No updatable fields/);
+
+  const res = fakeResponse({ jobService, schedulerService });
+  await jobController.updateJob({ params: { id: job._id.toString() }, body: { cronSchedule: '30 3 * * *' } }, res);
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.data.cronSchedule, '30 3 * * *');
+  assert.ok(res.body.data.nextRun instanceof Date);
+  assert.equal(schedulerService.scheduled.length, 1);
+});
+
+test('unknown or malformed ids answer 404', async () => {
+  const jobService = fakeJobService(null);
+  for (const action of ['updateJob', 'deleteJob', 'pauseJob', 'resumeJob']) {
+    const res = fakeResponse({ jobService, schedulerService: fakeScheduler() });
+    await jobController[action]({ params: { id: 'nope' }, body: { name: 'x' } }, res);
+    assert.equal(res.statusCode, 404, action);
+  }
+});
+
+test('pausing stops the job in the scheduler and a second pause is a conflict', async () => {
+  const job = newJob();
+  const schedulerService = fakeScheduler();
+
+  const res = fakeResponse({ jobService: fakeJobService(job), schedulerService });
+  await jobController.pauseJob({ params: { id: job._id.toString() } }, res);
+  assert.equal(res.body.data.status, 'paused');
+  assert.deepEqual(schedulerService.unscheduled, [{ id: job._id.toString(), reason: 'Job is paused' }]);
+
+  const paused = newJob({ status: 'paused' });
+  const again = fakeResponse({ jobService: fakeJobService(paused), schedulerService });
+  await jobController.pauseJob({ params: { id: paused._id.toString() } }, again);
+  assert.equal(again.statusCode, 409);
+});
+
+test('resuming recalculates nextRun and refuses a one-off job that already ran', async () => {
+  const job = newJob({ status: 'paused', nextRun: null });
+  const schedulerService = fakeScheduler();
+
+  const res = fakeResponse({ jobService: fakeJobService(job), schedulerService });
+  await jobController.resumeJob({ params: { id: job._id.toString() } }, res);
+  assert.equal(res.body.data.status, 'active');
+  assert.ok(res.body.data.nextRun > new Date());
+  assert.equal(schedulerService.scheduled.length, 1);
+
+  const done = newJob({ cronSchedule: null, runAt: new Date(Date.now() - 60000), status: 'completed' });
+  const oneOff = fakeResponse({ jobService: fakeJobService(done), schedulerService });
+  await jobController.resumeJob({ params: { id: done._id.toString() } }, oneOff);
+  assert.equal(oneOff.statusCode, 409);
+});
+
+test('deleting unschedules the job unless other jobs depend on it', async () => {
+  const job = newJob();
+  const schedulerService = fakeScheduler();
+
+  const blocked = fakeResponse({ jobService: fakeJobService(job, { dependents: [{ name: 'report' }] }), schedulerService });
+  await jobController.deleteJob({ params: { id: job._id.toString() } }, blocked);
+  assert.equal(blocked.statusCode, 409);
+  assert.match(blocked.body.error, /upstream of: report/);
+
+  const res = fakeResponse({ jobService: fakeJobService(job), schedulerService });
+  await jobController.deleteJob({ params: { id: job._id.toString() } }, res);
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(schedulerService.unscheduled, [{ id: job._id.toString(), reason: 'Job deleted' }]);
+});
@@ -0,0 +1,70 @@
+/**
+ * Job type registry: registering handlers, validating job data against their schemas and
+ * custom checks, and loading plugin types from a directory.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { JobTypeRegistry, jobTypeRegistry } from '../src/scheduler/job-type-registry.js';
+import { loadPlugins } from '../src/scheduler/plugin-loader.js';
+
+const execute = async () => {};
+
+test('malformed or duplicate definitions are refused', () => {
+  const registry = new JobTypeRegistry();
+  registry.register({ type: 'backup', execute });
+
+  assert.throws(() => registry.register({ execute }), /non-empty "type"/);
+  assert.throws(() => registry.register({ type: 'noop' }), /"execute" function/);
+  assert.throws(() => registry.register({ type: 'noop', execute, schema: { type: 'nonsense' } }), /invalid data schema/);
+  assert.throws(() => registry.register({ type: 'backup', execute }), /already registered \(from built-in\)/);
+});
+
+test('job data is checked against the schema and the custom validator', () => {
+  const registry = new JobTypeRegistry();
+  registry.register({
+    type: 'backup',
+    execute,
+    schema: { type: 'object', required: ['bucket'], properties: { bucket: { type: 'string' }, keepDays: { type: 'integer' } } },
+    validate(data) {
+      if (data.keepDays > 365) throw new Error('keepDays cannot exceed 365.');
+    }
+  });
+
+  registry.validateData('backup', { bucket: 'nightly', keepDays: 30 });
+  assert.throws(() => registry.validateData('backup', {}), /Invalid data for job type "backup": data must have required property 'bucket'/);
+  assert.throws(() => registry.validateData('backup', { bucket: 'nightly', keepDays: 400 }), /cannot exceed 365/);
+  assert.throws(() => registry.validateData('restore', {}), /Unknown job type "restore"\. Available types: backup\./);
+});
+
+test('the shared registry holds the built-in types', () => {
+  for (const type of ['email', 'http', 'reminder', 'data-processing', 'report', 'notification']) {
+    assert.ok(jobTypeRegistry.has(type), type);
+  }
+  assert.ok(jobTypeRegistry.list().every(entry => entry.source === 'built-in'));
+});
+
+test('plugins are loaded from a directory and a broken one is skipped', async t => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'job-plugins-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  await fs.writeFile(path.join(dir, 'a-backup.mjs'), `export default { type: 'backup', async execute() { return 'done'; } };`);
+  await fs.writeFile(path.join(dir, 'b-pair.js'), `export default [{ type: 'sms', execute() {} }, { type: 'push', execute() {} }];`);
+  await fs.writeFile(path.join(dir, 'c-broken.mjs'), `export default { type: 'broken' };`);
+  await fs.writeFile(path.join(dir, 'notes.txt'), 'not a plugin');
+
+  const registry = new JobTypeRegistry();
+  const registered = await loadPlugins(dir, registry);
+
+  assert.deepEqual(registered, ['backup', 'sms', 'push']);
+  assert.equal(registry.get('backup').source, 'a-backup.mjs');
+  assert.equal(await registry.get('backup').execute(), 'done');
+  assert.equal(registry.has('broken'), false);
+});
+
+test('a missing plugins directory registers nothing', async () => {
+  const registry = new JobTypeRegistry();
+  assert.deepEqual(await loadPlugins(path.join(os.tmpdir(), 'no-such-plugins-dir'), registry), []);
+});
@@ -0,0 +1,106 @@
+/**
+ * Label selectors, in the Kubernetes syntax GET /api/jobs?selector= accepts, and the bulk
+ * endpoints applying an action to every job a selector matches.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseLabelSelector, isValidLabelKey, isValidLabelValue } from '../src/core/label-selector.js';
+import jobController from '../src/api/controllers/jobController.js';
+
+// Runs a bulk handler against jobs the selector is taken to match
+async function bulk(handler, jobs, { body = { selector: 'team=billing' } } = {}) {
+  const calls = [];
+  const service = {
+    async getBySelector(requirements, namespace, limit) { calls.push({ requirements, namespace, limit }); return jobs; },
+    async pause(id) { if (id === 'gone') throw new Error('Job not found'); return { _id: id, status: 'paused' }; },
+    async getDependents() { return []; },
+    async delete(id) { calls.push({ deleted: id }); return { _id: id }; }
+  };
+  const res = {
+    locals: { jobService: service, namespace: 'billing' },
+    statusCode: 200,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  await handler({ body, query: {} }, res);
+  return { res, calls };
+}
+
+test('equality, set and existence requirements are parsed', () => {
+  assert.deepEqual(parseLabelSelector('team=billing, env != staging,tier in (web, api),canary,!deprecated,region==eu'), [
+    { key: 'team', operator: '=', values: ['billing'] },
+    { key: 'env', operator: '!=', values: ['staging'] },
+    { key: 'tier', operator: 'in', values: ['web', 'api'] },
+    { key: 'canary', operator: 'exists', values: [] },
+    { key: 'deprecated', operator: '!exists', values: [] },
+    { key: 'region', operator: '=', values: ['eu'] }
+  ]);
+});
+
+test('commas inside a value list do not split requirements', () => {
+  assert.deepEqual(parseLabelSelector('tier notin (web,api),team=x'), [
+    { key: 'tier', operator: 'notin', values: ['web', 'api'] },
+    { key: 'team', operator: '=', values: ['x'] }
+  ]);
+});
+
+test('an empty value matches labels set to the empty string', () => {
+  assert.deepEqual(parseLabelSelector('owner='), [{ key: 'owner', operator: '=', values: [''] }]);
+});
+
+test('malformed selectors are rejected', () => {
+  assert.throws(() => parseLabelSelector(''), /non-empty string/);
+  assert.throws(() => parseLabelSelector('team=a,'), /Empty requirement/);
+  assert.throws(() => parseLabelSelector('team.name=a'), /Invalid label key "team.name"/);
+  assert.throws(() => parseLabelSelector('tier in (web,-api)'), /Invalid label value "-api"/);
+  assert.throws(() => parseLabelSelector('tier in web'), /Cannot parse/);
+});
+
+test('label keys and values follow the stored-field rules', () => {
+  assert.equal(isValidLabelKey('app/tier'), true);
+  assert.equal(isValidLabelKey('$where'), false);
+  assert.equal(isValidLabelKey('a.b'), false);
+  assert.equal(isValidLabelValue(''), true);
+  assert.equal(isValidLabelValue('v1.2_rc-1'), true);
+  assert.equal(isValidLabelValue('x'.repeat(64)), false);
+});
+
+test('bulk pause reports each matched job, skipping and failing without stopping', async () => {
+  const jobs = [
+    { _id: 'job-1', name: 'invoice', status: 'active' },
+    { _id: 'job-2', name: 'reminder', status: 'paused' },
+    { _id: 'gone', name: 'deleted-meanwhile', status: 'active' }
+  ];
+  const { res, calls } = await bulk(jobController.bulkPauseJobs, jobs);
+
+  assert.deepEqual(calls[0].requirements, [{ key: 'team', operator: '=', values: ['billing'] }]);
+  assert.equal(calls[0].namespace, 'billing');
+  assert.deepEqual(res.body.data.summary, { matched: 3, succeeded: 1, skipped: 1, failed: 1 });
+  assert.deepEqual(res.body.data.results.map(result => result.outcome), ['succeeded', 'skipped', 'failed']);
+  assert.equal(res.body.data.results[2].error, 'Job not found');
+});
+
+test('bulk delete removes downstream jobs before their upstream jobs', async () => {
+  const jobs = [
+    { _id: 'extract', name: 'extract', dependsOn: [] },
+    { _id: 'load', name: 'load', dependsOn: ['transform'] },
+    { _id: 'transform', name: 'transform', dependsOn: ['extract'] }
+  ];
+  const { calls } = await bulk(jobController.bulkDeleteJobs, jobs);
+  assert.deepEqual(calls.slice(1).map(call => call.deleted), ['load', 'transform', 'extract']);
+});
+
+test('bulk actions need a valid selector and a bounded match', async () => {
+  const missing = await bulk(jobController.bulkPauseJobs, [], { body: {} });
+  assert.equal(missing.res.statusCode, 400);
+  assert.match(missing.res.body.error, /"selector" is required/);
+
+  assert.equal((await bulk(jobController.bulkPauseJobs, [], { body: { selector: 'team.name=a' } })).res.statusCode, 400);
+
+  const many = Array.from({ length: 501 }, (_, index) => ({ _id: `job-${index}`, name: `job-${index}`, status: 'active' }));
+  const { res, calls } = await bulk(jobController.bulkPauseJobs, many);
+  assert.equal(calls[0].limit, 501);
+  assert.equal(res.statusCode, 400);
+  assert.match(res.body.error, /more than 500 jobs/);
+});
@@ -0,0 +1,119 @@
+/**
+ * Lease handling without a database: claiming, renewing and releasing job slots, and two
+ * scheduler instances sharing one lease store. The store follows JobLeaseRepository's rules
+ * (one holder per job slot; only an expired, unreleased lease can be taken over).
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LeaseManager } from '../src/scheduler/lease-manager.js';
+import { SchedulerManager } from '../src/scheduler/scheduler-manager.js';
+import { JobTypeRegistry } from '../src/scheduler/job-type-registry.js';
+import { EventBus } from '../src/core/event-bus.js';
+import { previousFireTime } from '../src/core/cron.js';
+
+function memoryLeaseStore() {
+  const leases = new Map(); // "<jobId>:<slot ms>" -> { instanceId, state, expiresAt }
+  const calls = [];
+  const key = (jobId, slot) => `${jobId}:${slot.getTime()}`;
+  return {
+    leases,
+    calls,
+    async acquire(jobId, slot, instanceId, ttlMs) {
+      calls.push(['acquire', instanceId]);
+      const existing = leases.get(key(jobId, slot));
+      if (existing && !(existing.state === 'held' && existing.expiresAt <= Date.now())) return null;
+      leases.set(key(jobId, slot), { instanceId, state: 'held', expiresAt: Date.now() + ttlMs });
+      return { reclaimedFrom: existing ? existing.instanceId : null };
+    },
+    async renew(jobId, slot, instanceId, ttlMs) {
+      calls.push(['renew', instanceId]);
+      const lease = leases.get(key(jobId, slot));
+      if (!lease || lease.instanceId !== instanceId || lease.state !== 'held') return false;
+      lease.expiresAt = Date.now() + ttlMs;
+      return true;
+    },
+    async release(jobId, slot, instanceId) {
+      calls.push(['release', instanceId]);
+      const lease = leases.get(key(jobId, slot));
+      if (!lease || lease.instanceId !== instanceId) return false;
+      lease.state = 'released';
+      return true;
+    }
+  };
+}
+
+const job = { _id: 'job-1', name: 'nightly', cronSchedule: '*/5 * * * *', type: 'counter', status: 'active', timezone: 'UTC' };
+const slot = new Date('2030-01-01T12:05:00.000Z');
+
+test('a slot is leased to one instance at a time', async () => {
+  const store = memoryLeaseStore();
+  const first = new LeaseManager(store, 'first', { ttlMs: 60 * 1000 });
+  const second = new LeaseManager(store, 'second', { ttlMs: 60 * 1000 });
+
+  const lease = await first.acquire(job, slot);
+  assert.ok(lease);
+  assert.equal(await second.acquire(job, slot), null);
+
+  // A released slot stays taken: the run is done, not up for grabs
+  await lease.release();
+  assert.equal(await second.acquire(job, slot), null);
+  first.stop();
+  second.stop();
+});
+
+test('a held lease is renewed until it is released', async t => {
+  t.mock.timers.enable({ apis: ['setInterval'] });
+  const store = memoryLeaseStore();
+  const manager = new LeaseManager(store, 'first', { ttlMs: 30 * 1000 });
+
+  const lease = await manager.acquire(job, slot);
+  t.mock.timers.tick(10 * 1000);
+  t.mock.timers.tick(10 * 1000);
+  await lease.release();
+  t.mock.timers.tick(10 * 1000);
+
+  assert.deepEqual(store.calls.map(([call]) => call), ['acquire', 'renew', 'renew', 'release']);
+  assert.equal(manager.heldLeases.size, 0);
+});
+
+test('an expired lease of a crashed instance can be reclaimed', async () => {
+  const store = memoryLeaseStore();
+  const crashed = new LeaseManager(store, 'crashed', { ttlMs: 60 * 1000 });
+  const survivor = new LeaseManager(store, 'survivor', { ttlMs: 60 * 1000 });
+
+  await crashed.acquire(job, slot);
+  crashed.stop(); // Stops renewing, as a dead process would
+  store.leases.get(`${job._id}:${slot.getTime()}`).expiresAt = Date.now() - 1;
+
+  assert.ok(await survivor.acquire(job, slot));
+  assert.equal(store.leases.get(`${job._id}:${slot.getTime()}`).instanceId, 'survivor');
+  survivor.stop();
+});
+
+test('two instances ticking late or early for the same cron fire run it once', async () => {
+  const store = memoryLeaseStore();
+  let runs = 0;
+  const registry = new JobTypeRegistry();
+  registry.register({
+    type: 'counter',
+    async execute() {
+      runs++;
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+  });
+  const jobService = { markJobCompleted: async () => job, markJobFailed: async () => job, updateNextRun: async () => job };
+  const createInstance = () => new SchedulerManager(jobService, { leaseRepository: store, registry, eventBus: new EventBus() });
+  const [first, second] = [createInstance(), createInstance()];
+
+  const onTime = previousFireTime(job.cronSchedule, { timezone: 'UTC', at: new Date(slot.getTime() + 20) });
+  const late = previousFireTime(job.cronSchedule, { timezone: 'UTC', at: new Date(slot.getTime() + 1500) });
+  await Promise.all([
+    first.runQueue.execute(job, { scheduledAt: onTime }),
+    second.runQueue.execute(job, { scheduledAt: late })
+  ]);
+  assert.equal(runs, 1);
+
+  await first.runQueue.execute(job, { scheduledAt: new Date('2030-01-01T12:10:00.000Z') });
+  assert.equal(runs, 2);
+});
@@ -0,0 +1,83 @@
+/**
+ * Two scheduler instances sharing a database must run each cron slot once,
+ * even when their ticks for it arrive at different times.
+ * Needs a MongoDB binary for mongodb-memory-server; skipped when none can be obtained.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { MongoMemoryServer } from 'mongodb-memory-server';
+import { SchedulerManager } from '../src/scheduler/scheduler-manager.js';
+import { JobTypeRegistry } from '../src/scheduler/job-type-registry.js';
+import { JobRepository } from '../src/database/job-repository.js';
+import { JobService } from '../src/database/job-service.js';
+import { JobLeaseRepository } from '../src/database/job-lease-repository.js';
+import JobLease from '../src/database/job-lease-model.js';
+import { EventBus } from '../src/core/event-bus.js';
+import { previousFireTime } from '../src/core/cron.js';
+
+let server = null;
+let unavailable = null;
+
+before(async () => {
+  try {
+    server = await MongoMemoryServer.create({ binary: { version: '7.0.14' } });
+    await mongoose.connect(server.getUri());
+    await JobLease.init(); // The unique (jobId, slot) index must exist before claims race
+  } catch (error) {
+    unavailable = `in-memory MongoDB unavailable: ${error.message.split('\n')[0]}`;
+  }
+});
+
+after(async () => {
+  await mongoose.disconnect();
+  await server?.stop();
+});
+
+function createInstance(jobService, registry) {
+  return new SchedulerManager(jobService, {
+    leaseRepository: new JobLeaseRepository(),
+    leaseTtlMs: 60 * 1000,
+    registry,
+    eventBus: new EventBus()
+  });
+}
+
+test('a cron slot runs on one instance when ticks are late or clocks are skewed', async t => {
+  if (unavailable) return t.skip(unavailable);
+
+  let runs = 0;
+  const registry = new JobTypeRegistry();
+  registry.register({
+    type: 'counter',
+    async execute() {
+      runs++;
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+  });
+  const jobService = new JobService(new JobRepository());
+  const job = await jobService.create({ name: 'lease-test', description: 'Counts its runs', cronSchedule: '*/5 * * * *', type: 'counter' });
+  const [first, second] = [createInstance(jobService, registry), createInstance(jobService, registry)];
+
+  // Both instances tick for the 12:05 fire: one on time, one 1.5s late
+  const fire = new Date('2030-01-01T12:05:00.000Z');
+  const onTime = previousFireTime(job.cronSchedule, { timezone: 'UTC', at: new Date(fire.getTime() + 20) });
+  const late = previousFireTime(job.cronSchedule, { timezone: 'UTC', at: new Date(fire.getTime() + 1500) });
+  assert.deepEqual(onTime, fire);
+  assert.deepEqual(late, fire);
+
+  await Promise.all([
+    first.runQueue.execute(job, { scheduledAt: onTime }),
+    second.runQueue.execute(job, { scheduledAt: late })
+  ]);
+  assert.equal(runs, 1);
+
+  // The slot stays taken after release, so a straggling tick does not run it again
+  await second.runQueue.execute(job, { scheduledAt: late });
+  assert.equal(runs, 1);
+
+  // The next fire is a new slot
+  await first.runQueue.execute(job, { scheduledAt: new Date('2030-01-01T12:10:00.000Z') });
+  assert.equal(runs, 2);
+});
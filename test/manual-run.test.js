@@ -0,0 +1,93 @@
+/**
+ * Manual "run now": data overrides are validated against the job type, "forbid" jobs are not
+ * run twice, waited runs report their result, and no run is attempted without a scheduler.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Job from '../src/database/job-model.js';
+import jobController from '../src/api/controllers/jobController.js';
+
+function newJob(fields = {}) {
+  return new Job({ name: 'digest', description: 'Daily digest', cronSchedule: '0 8 * * *', type: 'reminder', ...fields });
+}
+
+function fakeResponse(locals) {
+  return {
+    locals: { namespace: 'default', ...locals },
+    statusCode: 200,
+    body: undefined,
+    headersSent: false,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; this.headersSent = true; return this; }
+  };
+}
+
+// Scheduler whose manual runs settle with `result`
+function fakeScheduler({ running = false, result = { started: true, outcome: 'succeeded' } } = {}) {
+  return {
+    triggered: [],
+    isJobRunning() { return running; },
+    triggerJob(job, options) {
+      this.triggered.push(options);
+      return Promise.resolve(result);
+    }
+  };
+}
+
+function locals(job, schedulerService = fakeScheduler()) {
+  return {
+    jobService: { async getById() { return job; } },
+    schedulerService,
+    runService: {
+      newRunId() { return 'run-1'; },
+      async getById(id) { return { _id: id, outcome: 'succeeded' }; }
+    }
+  };
+}
+
+test('a run is queued with its overrides and answered with its run id', async () => {
+  const schedulerService = fakeScheduler();
+  const res = fakeResponse(locals(newJob(), schedulerService));
+  await jobController.runJob({ params: { id: 'job-1' }, query: {}, body: { data: { message: 'Now!' } } }, res);
+
+  assert.equal(res.statusCode, 202);
+  assert.deepEqual(res.body, { data: { runId: 'run-1' } });
+  assert.deepEqual(schedulerService.triggered, [{ runId: 'run-1', dataOverrides: { message: 'Now!' } }]);
+});
+
+test('overrides must be an object the job type accepts', async () => {
+  for (const data of [['a'], 'text', { message: 42 }]) {
+    const res = fakeResponse(locals(newJob()));
+    await jobController.runJob({ params: { id: 'job-1' }, query: {}, body: { data } }, res);
+    assert.equal(res.statusCode, 400, JSON.stringify(data));
+  }
+});
+
+test('a "forbid" job already running is not run again', async () => {
+  const res = fakeResponse(locals(newJob({ concurrencyPolicy: 'forbid' }), fakeScheduler({ running: true })));
+  await jobController.runJob({ params: { id: 'job-1' }, query: {}, body: {} }, res);
+  assert.equal(res.statusCode, 409);
+});
+
+test('?wait=true answers with the finished run, or 409 when it never started', async () => {
+  const res = fakeResponse(locals(newJob()));
+  await jobController.runJob({ params: { id: 'job-1' }, query: { wait: 'true' }, body: {} }, res);
+  assert.deepEqual(res.body, { data: { _id: 'run-1', outcome: 'succeeded' } });
+
+  const dropped = fakeScheduler({ result: { started: false, outcome: 'cancelled', reason: 'Replaced by a newer run' } });
+  const notStarted = fakeResponse(locals(newJob(), dropped));
+  await jobController.runJob({ params: { id: 'job-1' }, query: { wait: 'true' }, body: {} }, notStarted);
+  assert.equal(notStarted.statusCode, 409);
+  assert.match(notStarted.body.error, /cancelled before it started: Replaced by a newer run/);
+});
+
+test('runs answer 503 without a scheduler or run service', async () => {
+  const withoutScheduler = fakeResponse({ ...locals(newJob()), schedulerService: null });
+  await jobController.runJob({ params: { id: 'job-1' }, query: {}, body: {} }, withoutScheduler);
+  assert.equal(withoutScheduler.statusCode, 503);
+
+  const withoutRuns = fakeResponse({ ...locals(newJob()), runService: null });
+  await jobController.bulkRunJobs({ body: { selector: 'team=billing' }, query: {} }, withoutRuns);
+  assert.equal(withoutRuns.statusCode, 503);
+});
@@ -0,0 +1,73 @@
+/**
+ * Prometheus metrics: run counters and durations, schedule lag, gauges read from the
+ * scheduler when scraped, and HTTP requests labelled by route pattern rather than URL.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { registry, observeScheduler, recordRun, recordScheduleLag } from '../src/core/metrics.js';
+import { requestLogger } from '../src/core/middleware.js';
+
+// The sample of `name` with the given labels; histograms are read through their "_sum" or "_count" sample
+async function metricValue(name, labels = {}, sampleName = name) {
+  const metric = await registry.getSingleMetric(name).get();
+  const sample = metric.values.find(value => (value.metricName ?? name) === sampleName
+    && Object.entries(labels).every(([key, label]) => value.labels[key] === label));
+  return sample ? sample.value : 0;
+}
+
+test('finished runs are counted by type, outcome and trigger', async () => {
+  recordRun({ type: 'http' }, { outcome: 'failed', trigger: 'schedule', durationMs: 1500 });
+  recordRun({ type: 'http' }, { outcome: 'failed', trigger: 'schedule', durationMs: 500 });
+  recordRun({}, { outcome: 'succeeded', trigger: 'manual', durationMs: 10 });
+
+  assert.equal(await metricValue('scheduler_job_runs_total', { job_type: 'http', outcome: 'failed', trigger: 'schedule' }), 2);
+  assert.equal(await metricValue('scheduler_job_runs_total', { job_type: 'unknown', outcome: 'succeeded', trigger: 'manual' }), 1);
+  assert.equal(await metricValue('scheduler_job_run_duration_seconds', { job_type: 'http', outcome: 'failed' }, 'scheduler_job_run_duration_seconds_sum'), 2);
+});
+
+test('schedule lag is never negative', async () => {
+  const scheduledAt = new Date('2030-01-01T00:00:10Z');
+  recordScheduleLag({ type: 'email' }, { trigger: 'schedule', scheduledAt, startedAt: new Date('2030-01-01T00:00:12Z') });
+  recordScheduleLag({ type: 'email' }, { trigger: 'schedule', scheduledAt, startedAt: new Date('2030-01-01T00:00:09Z') });
+
+  const labels = { job_type: 'email', trigger: 'schedule' };
+  assert.equal(await metricValue('scheduler_schedule_lag_seconds', labels, 'scheduler_schedule_lag_seconds_sum'), 2);
+  assert.equal(await metricValue('scheduler_schedule_lag_seconds', labels, 'scheduler_schedule_lag_seconds_count'), 2);
+});
+
+test('scheduler gauges are read when scraped', async () => {
+  assert.equal(await metricValue('scheduler_scheduled_tasks'), 0);
+
+  observeScheduler({
+    getScheduledJobCount: () => 7,
+    jobExecutor: { getInFlightRuns: () => [{ jobType: 'http' }, { jobType: 'http' }, { jobType: 'email' }] },
+    runQueue: { getStatus: () => ({ depth: 4 }) }
+  });
+
+  assert.equal(await metricValue('scheduler_scheduled_tasks'), 7);
+  assert.equal(await metricValue('scheduler_in_flight_runs', { job_type: 'http' }), 2);
+  assert.equal(await metricValue('scheduler_queued_runs'), 4);
+  assert.match(await registry.metrics(), /^scheduler_in_flight_runs\{job_type="email"\} 1$/m);
+});
+
+test('HTTP requests are labelled by route pattern', async t => {
+  const app = express();
+  app.use(requestLogger);
+  const router = express.Router();
+  router.get('/:id', (req, res) => res.json({}));
+  app.use('/api/jobs', router);
+
+  const server = await new Promise(resolve => { const listening = app.listen(0, '127.0.0.1', () => resolve(listening)); });
+  t.after(() => new Promise(resolve => server.close(resolve)));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  await fetch(`${baseUrl}/api/jobs/65a1b2c3d4e5f60718293a4b`);
+  await fetch(`${baseUrl}/api/jobs/65a1b2c3d4e5f60718293a4c`);
+  await fetch(`${baseUrl}/nowhere`);
+  await new Promise(resolve => setImmediate(resolve)); // Requests are recorded once their response has finished
+
+  const count = labels => metricValue('http_request_duration_seconds', labels, 'http_request_duration_seconds_count');
+  assert.equal(await count({ method: 'GET', route: '/api/jobs/:id', status: '200' }), 2);
+  assert.equal(await count({ method: 'GET', route: 'unmatched', status: '404' }), 1);
+});
@@ -0,0 +1,85 @@
+/**
+ * Misfire handling: finding the cron slots a job missed, and what each misfire policy
+ * runs or skips.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MisfireHandler } from '../src/scheduler/misfire-handler.js';
+
+const now = new Date('2030-01-01T12:30:00.000Z');
+
+function hourlyJob(fields = {}) {
+  return {
+    _id: 'job-1',
+    name: 'hourly',
+    cronSchedule: '0 * * * *',
+    timezone: 'UTC',
+    nextRun: new Date('2030-01-01T08:00:00.000Z'),
+    ...fields
+  };
+}
+
+function fakes() {
+  const executed = [];
+  const nextRuns = [];
+  const jobService = { async updateNextRun(id, nextRun) { nextRuns.push(nextRun); } };
+  const executor = { async execute(job, options) { executed.push(options); } };
+  return { executed, nextRuns, handler: new MisfireHandler(jobService, executor, { thresholdMs: 60 * 1000 }) };
+}
+
+// Catch-up runs and nextRun updates happen in the background
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+test('the slots between the stored nextRun and now are missed', () => {
+  const { handler } = fakes();
+
+  const { slots, truncated } = handler.findMissedSlots(hourlyJob(), now);
+  assert.deepEqual(slots.map(slot => slot.toISOString().slice(11, 16)), ['08:00', '09:00', '10:00', '11:00', '12:00']);
+  assert.equal(truncated, false);
+
+  // Late by less than the threshold is not a misfire
+  assert.deepEqual(handler.findMissedSlots(hourlyJob({ nextRun: new Date(now.getTime() - 30 * 1000) }), now).slots, []);
+  // One-off jobs never misfire
+  assert.deepEqual(handler.findMissedSlots(hourlyJob({ cronSchedule: null, runAt: new Date('2030-01-01T08:00:00Z') }), now).slots, []);
+});
+
+test('the scan stops at 1000 slots', () => {
+  const { handler } = fakes();
+  const { slots, truncated } = handler.findMissedSlots(hourlyJob({ cronSchedule: '* * * * * *' }), now);
+  assert.equal(slots.length, 1000);
+  assert.equal(truncated, true);
+});
+
+test('"skip" runs nothing and moves nextRun into the future', async () => {
+  const { handler, executed, nextRuns } = fakes();
+  assert.deepEqual(handler.handle(hourlyJob({ misfirePolicy: 'skip', nextRun: new Date(Date.now() - 3 * 60 * 60 * 1000) })), []);
+  await settle();
+
+  assert.equal(executed.length, 0);
+  assert.equal(nextRuns.length, 1);
+  assert.ok(nextRuns[0] > new Date());
+});
+
+test('"run-once-now" runs the latest missed slot', async () => {
+  const { handler, executed } = fakes();
+  const toRun = handler.handle(hourlyJob({ misfirePolicy: 'run-once-now', nextRun: new Date(Date.now() - 3 * 60 * 60 * 1000) }));
+  await settle();
+
+  assert.equal(toRun.length, 1);
+  assert.deepEqual(executed, [{ scheduledAt: toRun[0], trigger: 'misfire' }]);
+});
+
+test('"run-all-missed" runs the most recent slots up to maxMissedRuns, oldest first', async () => {
+  const { handler, executed } = fakes();
+  const toRun = handler.handle(hourlyJob({
+    misfirePolicy: 'run-all-missed',
+    maxMissedRuns: 2,
+    nextRun: new Date(Date.now() - 5 * 60 * 60 * 1000)
+  }));
+  for (let i = 0; i < 3; i++) await settle();
+
+  assert.equal(toRun.length, 2);
+  assert.ok(toRun[0] < toRun[1]);
+  assert.deepEqual(executed.map(options => options.scheduledAt), toRun);
+});
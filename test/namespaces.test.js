@@ -0,0 +1,102 @@
+/**
+ * Namespaces: valid names, quotas and their overrides, quota and name checks on create, and
+ * the startup check that no two jobs share a name in a namespace.
+ * The startup check needs a MongoDB binary for mongodb-memory-server; skipped when none can be obtained.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { MongoMemoryServer } from 'mongodb-memory-server';
+import { isValidNamespace, parseNamespaceQuotas, NamespaceQuotas } from '../src/core/namespaces.js';
+import jobController from '../src/api/controllers/jobController.js';
+import { JobRepository } from '../src/database/job-repository.js';
+import Job from '../src/database/job-model.js';
+
+let server = null;
+let unavailable = null;
+
+before(async () => {
+  try {
+    // Indexes are built by the test, after the duplicates are in place
+    mongoose.set('autoIndex', false);
+    server = await MongoMemoryServer.create({ binary: { version: '7.0.14' } });
+    await mongoose.connect(server.getUri());
+  } catch (error) {
+    unavailable = `in-memory MongoDB unavailable: ${error.message.split('\n')[0]}`;
+  }
+});
+
+after(async () => {
+  await mongoose.disconnect();
+  await server?.stop();
+});
+
+function fakeResponse(locals) {
+  return {
+    locals: { namespace: 'billing', ...locals },
+    statusCode: 200,
+    body: undefined,
+    headersSent: false,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; this.headersSent = true; return this; }
+  };
+}
+
+test('namespace names are lower-case slugs', () => {
+  for (const name of ['default', 'team-a', 'eu_west_1']) assert.equal(isValidNamespace(name), true, name);
+  for (const name of ['Team', '-lead', 'a b', '', 'x'.repeat(64), null]) assert.equal(isValidNamespace(name), false, String(name));
+});
+
+test('quota overrides are parsed per namespace, ignoring malformed entries', () => {
+  assert.deepEqual(parseNamespaceQuotas('team-a:maxJobs=50,minIntervalMs=60000; team-b:maxJobs=10,burst=3;BAD:maxJobs=1;team-c:maxJobs=-1'), {
+    'team-a': { maxJobs: 50, minIntervalMs: 60000 },
+    'team-b': { maxJobs: 10 },
+    'team-c': {}
+  });
+
+  const quotas = new NamespaceQuotas({ maxJobs: 100, minIntervalMs: 1000, overrides: 'team-a:maxJobs=5' });
+  assert.deepEqual(quotas.get('team-a'), { maxJobs: 5, minIntervalMs: 1000 });
+  assert.deepEqual(quotas.get('team-z'), { maxJobs: 100, minIntervalMs: 1000 });
+  assert.deepEqual(quotas.getOverriddenNamespaces(), ['team-a']);
+});
+
+test('creating a job checks the namespace quota and the name', async () => {
+  const created = [];
+  const jobService = {
+    async countInNamespace() { return 2; },
+    async isNameTaken(namespace, name) { return name === 'taken'; },
+    async create(payload) { created.push(payload); return payload; }
+  };
+  const create = async (body, quotas) => {
+    const res = fakeResponse({ jobService, namespaceQuotas: new NamespaceQuotas(quotas) });
+    await jobController.createJob({ body: { description: 'Quota check', type: 'reminder', cronSchedule: '*/5 * * * *', ...body } }, res);
+    return res;
+  };
+
+  assert.equal((await create({ name: 'third' }, { maxJobs: 2 })).statusCode, 403);
+  assert.match((await create({ name: 'often' }, { minIntervalMs: 10 * 60 * 1000 })).body.error, /more often than namespace "billing" allows/);
+  assert.equal((await create({ name: 'taken' }, {})).statusCode, 409);
+
+  const res = await create({ name: 'fits', namespace: 'elsewhere' }, { maxJobs: 3 });
+  assert.equal(res.statusCode, 201);
+  assert.equal(created[0].namespace, 'billing');
+});
+
+test('startup refuses to build indexes while jobs share a name in a namespace', async t => {
+  if (unavailable) return t.skip(unavailable);
+
+  const repository = new JobRepository();
+  const job = { description: 'Imported', type: 'reminder', cronSchedule: '0 2 * * *', status: 'active' };
+  await Job.collection.insertMany([
+    { ...job, name: 'nightly', namespace: 'default' },
+    { ...job, name: 'nightly', namespace: 'default' },
+    { ...job, name: 'nightly', namespace: 'billing' }
+  ]);
+
+  await assert.rejects(repository.ensureIndexes(), /"nightly" in namespace "default" \(2 jobs\)/);
+
+  await Job.deleteOne({ namespace: 'default', name: 'nightly' });
+  await repository.ensureIndexes();
+  await assert.rejects(Job.collection.insertOne({ ...job, name: 'nightly', namespace: 'billing' }), { code: 11000 });
+});
@@ -0,0 +1,82 @@
+/**
+ * One-off jobs: runAt and delayMs on create, the "one schedule only" rule, and a one-off job
+ * being left with no next run once it has run.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Job from '../src/database/job-model.js';
+import jobController from '../src/api/controllers/jobController.js';
+import { JobExecutor } from '../src/scheduler/job-executor.js';
+import { JobTypeRegistry } from '../src/scheduler/job-type-registry.js';
+import { EventBus } from '../src/core/event-bus.js';
+
+function fakeResponse(locals) {
+  return {
+    locals: { namespace: 'default', ...locals },
+    statusCode: 200,
+    body: undefined,
+    headersSent: false,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; this.headersSent = true; return this; }
+  };
+}
+
+function createRequest(body) {
+  const jobService = {
+    async isNameTaken() { return false; },
+    async create(payload) { return payload; }
+  };
+  return { req: { body: { name: 'once', description: 'Runs once', type: 'reminder', ...body } }, res: fakeResponse({ jobService }) };
+}
+
+test('delayMs becomes a runAt that is also the next run', async () => {
+  const before = Date.now();
+  const { req, res } = createRequest({ delayMs: 60000 });
+  await jobController.createJob(req, res);
+
+  assert.equal(res.statusCode, 201);
+  const { runAt, nextRun, delayMs } = res.body.data;
+  assert.equal(delayMs, undefined);
+  assert.ok(runAt.getTime() >= before + 60000 && runAt.getTime() <= Date.now() + 60000);
+  assert.deepEqual(nextRun, runAt);
+});
+
+test('a job takes one of runAt, delayMs or cronSchedule', async () => {
+  const runAt = new Date(Date.now() + 60000).toISOString();
+  const cases = [
+    { runAt, delayMs: 1000 },
+    { runAt, cronSchedule: '0 2 * * *' },
+    { delayMs: -5 },
+    { runAt: 'tomorrow' },
+    { runAt: new Date(Date.now() - 60 * 60 * 1000).toISOString() }
+  ];
+  for (const body of cases) {
+    const { req, res } = createRequest(body);
+    await jobController.createJob(req, res);
+    assert.equal(res.statusCode, 400, JSON.stringify(body));
+  }
+});
+
+test('the model rejects a job with both a cron schedule and a runAt', async () => {
+  const both = new Job({ name: 'x', description: 'x', type: 'reminder', cronSchedule: '0 2 * * *', runAt: new Date() });
+  await assert.rejects(both.validate(), /either a cronSchedule or a runAt/);
+
+  const once = new Job({ name: 'x', description: 'x', type: 'reminder', runAt: new Date() });
+  await once.validate();
+});
+
+test('a one-off job has no next run after it ran', async () => {
+  const calls = [];
+  const jobService = {
+    async markJobCompleted(id) { calls.push(['completed', id]); },
+    async markJobFailed(id) { calls.push(['failed', id]); },
+    async updateNextRun(id, nextRun) { calls.push(['nextRun', nextRun]); }
+  };
+  const registry = new JobTypeRegistry();
+  registry.register({ type: 'probe', async execute() {} });
+  const executor = new JobExecutor(jobService, { registry, eventBus: new EventBus() });
+
+  await executor.execute({ _id: 'job-1', name: 'once', type: 'probe', runAt: new Date(), cronSchedule: null });
+  assert.deepEqual(calls, [['completed', 'job-1'], ['nextRun', null]]);
+});
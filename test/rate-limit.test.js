@@ -0,0 +1,79 @@
+/**
+ * Rate limiting: per-key read, write and trigger budgets, the per-address limit that also
+ * counts requests with a wrong key, and requests let through when the store fails.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { rateLimit, ipRateLimit } from '../src/core/middleware.js';
+import { MemoryRateLimitStore } from '../src/core/rate-limit-store.js';
+
+// Long enough that a test does not straddle two windows
+const windowMs = 60 * 60 * 1000;
+
+// Serves /jobs behind the limiters; "good-key" is the only accepted key
+async function startApp(t, { limits = {}, ipLimit = 0, store = new MemoryRateLimitStore() } = {}) {
+  const app = express();
+  app.use(ipRateLimit({ store, windowMs, limit: ipLimit }));
+  app.use((req, res, next) => {
+    if (req.get('X-API-Key') !== 'good-key') return res.status(401).json({ error: 'Invalid or revoked API key' });
+    res.locals.apiKey = { _id: 'key-1' };
+    next();
+  });
+  app.use(rateLimit({ store, windowMs, limits }));
+  app.get('/jobs', (req, res) => res.json({ data: [] }));
+  app.post('/jobs', (req, res) => res.status(201).json({}));
+  app.post('/jobs/:id/run', (req, res) => res.status(202).json({}));
+
+  const server = await new Promise(resolve => { const listening = app.listen(0, '127.0.0.1', () => resolve(listening)); });
+  t.after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await store.close?.();
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  return (path, { method = 'GET', key = 'good-key' } = {}) => fetch(`${baseUrl}${path}`, { method, headers: { 'X-API-Key': key } });
+}
+
+test('a key over its read budget gets 429 with Retry-After', async t => {
+  const request = await startApp(t, { limits: { read: 2 } });
+
+  const first = await request('/jobs');
+  assert.equal(first.headers.get('ratelimit-limit'), '2');
+  assert.equal(first.headers.get('ratelimit-remaining'), '1');
+  assert.equal((await request('/jobs')).status, 200);
+
+  const limited = await request('/jobs');
+  assert.equal(limited.status, 429);
+  assert.ok(Number(limited.headers.get('retry-after')) > 0);
+  assert.match((await limited.json()).error, /^Too many read requests; retry in \d+s$/);
+});
+
+test('reads, writes and manual triggers have separate budgets', async t => {
+  const request = await startApp(t, { limits: { read: 1, write: 1, trigger: 1 } });
+
+  assert.equal((await request('/jobs')).status, 200);
+  assert.equal((await request('/jobs', { method: 'POST' })).status, 201);
+  assert.equal((await request('/jobs/job-1/run', { method: 'POST' })).status, 202);
+  assert.equal((await request('/jobs/job-1/run', { method: 'POST' })).status, 429);
+  assert.equal((await request('/jobs', { method: 'POST' })).status, 429);
+});
+
+test('requests with a wrong key count against the address limit', async t => {
+  const request = await startApp(t, { ipLimit: 3 });
+
+  for (let i = 0; i < 3; i++) {
+    assert.equal((await request('/jobs', { key: `guess-${i}` })).status, 401);
+  }
+  const limited = await request('/jobs');
+  assert.equal(limited.status, 429);
+  assert.match((await limited.json()).error, /Too many requests from this address/);
+});
+
+test('requests go through when the store is unavailable', async t => {
+  const store = { async increment() { throw new Error('connection refused'); } };
+  const request = await startApp(t, { limits: { read: 1 }, ipLimit: 1, store });
+
+  assert.equal((await request('/jobs')).status, 200);
+  assert.equal((await request('/jobs')).status, 200);
+});
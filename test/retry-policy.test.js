@@ -0,0 +1,43 @@
+/**
+ * Retry policies: defaults for partial policies and the delay before each retry.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_RETRY_POLICY, resolveRetryPolicy, computeRetryDelay } from '../src/scheduler/retry-policy.js';
+
+test('a missing or partial policy is filled in with the defaults', () => {
+  assert.deepEqual(resolveRetryPolicy(), DEFAULT_RETRY_POLICY);
+  assert.deepEqual(resolveRetryPolicy(null), DEFAULT_RETRY_POLICY);
+  assert.deepEqual(
+    resolveRetryPolicy({ maxRetries: 3, retryDelay: null }),
+    { ...DEFAULT_RETRY_POLICY, maxRetries: 3 }
+  );
+});
+
+test('an unknown backoff strategy falls back to fixed', () => {
+  assert.equal(resolveRetryPolicy({ backoff: 'linear' }).backoff, 'fixed');
+});
+
+test('fixed backoff waits the same time before every retry', () => {
+  const policy = resolveRetryPolicy({ backoff: 'fixed', retryDelay: 500 });
+  assert.deepEqual([1, 2, 5].map(attempt => computeRetryDelay(policy, attempt)), [500, 500, 500]);
+});
+
+test('exponential backoff doubles the delay up to maxRetryDelay', () => {
+  const policy = resolveRetryPolicy({ backoff: 'exponential', retryDelay: 1000, maxRetryDelay: 5000 });
+  assert.deepEqual([1, 2, 3, 4].map(attempt => computeRetryDelay(policy, attempt)), [1000, 2000, 4000, 5000]);
+});
+
+test('exponential-jitter picks a delay between 0 and the exponential delay', t => {
+  const policy = resolveRetryPolicy({ backoff: 'exponential-jitter', retryDelay: 1000, maxRetryDelay: 60000 });
+
+  t.mock.method(Math, 'random', () => 0.5);
+  assert.equal(computeRetryDelay(policy, 3), 2000);
+
+  t.mock.method(Math, 'random', () => 0.999999);
+  assert.equal(computeRetryDelay(policy, 20), 60000);
+
+  t.mock.method(Math, 'random', () => 0);
+  assert.equal(computeRetryDelay(policy, 3), 0);
+});
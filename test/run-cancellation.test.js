@@ -0,0 +1,98 @@
+/**
+ * Run timeouts and cancellation: aborted runs end as 'timed-out' or 'cancelled', built-in
+ * handlers stop on the run's signal, heartbeats keep up with the stale threshold, and the
+ * sweeper reports runs abandoned by dead instances.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JobExecutor } from '../src/scheduler/job-executor.js';
+import { JobTypeRegistry } from '../src/scheduler/job-type-registry.js';
+import { JobRunService } from '../src/database/job-run-service.js';
+import { RunSweeper } from '../src/scheduler/run-sweeper.js';
+import { EventBus } from '../src/core/event-bus.js';
+import { reminderHandler } from '../src/scheduler/handlers/simulated-handlers.js';
+import emailHandler from '../src/scheduler/handlers/email-handler.js';
+
+const silentLogger = { info() {}, warn() {}, error() {}, debug() {} };
+
+function createExecutor(execute) {
+  const outcomes = [];
+  const runService = {
+    heartbeatIntervalMs: 5000,
+    async startRun() { return { _id: `run-${outcomes.length + 1}` }; },
+    async finishRun(id, outcome, error) { outcomes.push({ outcome, error: error?.message }); }
+  };
+  const jobService = { async markJobCompleted() {}, async markJobFailed() {}, async updateNextRun() {} };
+  const registry = new JobTypeRegistry();
+  registry.register({ type: 'slow', execute });
+  const executor = new JobExecutor(jobService, { runService, registry, eventBus: new EventBus() });
+  return { executor, outcomes };
+}
+
+const job = { _id: 'job-1', name: 'slow', type: 'slow', cronSchedule: '0 2 * * *' };
+
+// Never settles on its own; only the signal ends it
+const waitForAbort = (_job, { signal }) => new Promise((resolve, reject) => {
+  signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+});
+
+test('a run past its timeout ends as timed-out', async () => {
+  const { executor, outcomes } = createExecutor(waitForAbort);
+  await executor.execute({ ...job, timeoutMs: 20 });
+
+  assert.deepEqual(outcomes, [{ outcome: 'timed-out', error: 'Run exceeded its timeout of 20ms' }]);
+  assert.equal(executor.getInFlightRuns().length, 0);
+});
+
+test('cancelling a job aborts its in-flight runs', async () => {
+  const { executor, outcomes } = createExecutor(waitForAbort);
+  const running = executor.execute(job);
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.equal(executor.getInFlightRuns().length, 1);
+  assert.deepEqual(executor.cancelJob('job-1', 'Stopped from the API'), ['run-1']);
+  await running;
+  assert.deepEqual(outcomes, [{ outcome: 'cancelled', error: 'Stopped from the API' }]);
+});
+
+test('built-in handlers stop on the run signal', async () => {
+  const controller = new AbortController();
+  const reason = new Error('Cancelled by request');
+  const reminder = reminderHandler.execute({ name: 'reminder' }, { logger: silentLogger, signal: controller.signal });
+  controller.abort(reason);
+  await assert.rejects(reminder, error => error === reason);
+
+  // An email run aborted before sending never reaches the SMTP server
+  await assert.rejects(
+    emailHandler.execute({ name: 'mail', data: { to: 'ops@example.com' } }, { logger: silentLogger, signal: controller.signal }),
+    error => error === reason
+  );
+});
+
+test('heartbeats follow the stale threshold, which must allow several of them', () => {
+  const repository = {};
+  assert.equal(new JobRunService(repository).heartbeatIntervalMs, 5000);
+  assert.equal(new JobRunService(repository, { staleAfterMs: 8000 }).heartbeatIntervalMs, 2000);
+  assert.throws(() => new JobRunService(repository, { staleAfterMs: 3000 }), /at least 4000ms/);
+
+  const executor = new JobExecutor({}, { runService: new JobRunService(repository, { staleAfterMs: 10000 }) });
+  assert.equal(executor.cancelPollIntervalMs, 2500);
+});
+
+test('the sweeper reports each abandoned run', async () => {
+  const run = { _id: 'run-7', jobId: 'job-1', jobName: 'slow', trigger: 'schedule', instanceId: 'gone', error: { message: 'Run abandoned' } };
+  const runService = { async abandonStaleRuns() { return [run]; } };
+  const jobService = { async getById() { throw new Error('Job not found'); } };
+  const eventBus = new EventBus();
+  const published = [];
+  eventBus.publish = (type, eventJob, details) => published.push({ type, name: eventJob.name, details });
+  const handled = [];
+  const sweeper = new RunSweeper(jobService, runService, { eventBus, onRunAbandoned: (eventJob, abandoned) => handled.push(abandoned._id) });
+
+  assert.equal(await sweeper.sweep(), 1);
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.deepEqual(published, [{ type: 'run.abandoned', name: 'slow', details: { runId: 'run-7', trigger: 'schedule', instanceId: 'gone', error: 'Run abandoned' } }]);
+  assert.deepEqual(handled, ['run-7']);
+});
@@ -0,0 +1,123 @@
+/**
+ * Execution history: every run is recorded with its outcome and result, recording is
+ * best effort, and the run query endpoints validate their filters.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JobExecutor } from '../src/scheduler/job-executor.js';
+import { JobTypeRegistry } from '../src/scheduler/job-type-registry.js';
+import { JobRunService } from '../src/database/job-run-service.js';
+import { EventBus } from '../src/core/event-bus.js';
+import runController from '../src/api/controllers/runController.js';
+
+const job = { _id: 'job-1', name: 'nightly', cronSchedule: '0 2 * * *', type: 'probe', namespace: 'default', status: 'active' };
+
+function fakeJobService() {
+  return {
+    async markJobCompleted() {},
+    async markJobFailed() {},
+    async updateNextRun() {}
+  };
+}
+
+// Run repository keeping its records in memory
+function memoryRunRepository() {
+  const runs = new Map();
+  let nextId = 1;
+  return {
+    runs,
+    newId() { return `run-${nextId++}`; },
+    async create(data) {
+      const run = { _id: data._id ?? this.newId(), outcome: 'running', ...data };
+      runs.set(run._id, run);
+      return run;
+    },
+    async finish(id, outcome, error, details) {
+      Object.assign(runs.get(id), { outcome, error: error ? { message: error.message } : null, ...details });
+      return runs.get(id);
+    }
+  };
+}
+
+function createExecutor(execute, runService) {
+  const registry = new JobTypeRegistry();
+  registry.register({ type: 'probe', execute });
+  return new JobExecutor(fakeJobService(), { runService, registry, instanceId: 'test', eventBus: new EventBus() });
+}
+
+function fakeResponse(locals) {
+  return {
+    locals: { namespace: 'default', ...locals },
+    statusCode: 200,
+    body: undefined,
+    headersSent: false,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; this.headersSent = true; return this; }
+  };
+}
+
+test('a run is recorded with its trigger, outcome and result', async () => {
+  const repository = memoryRunRepository();
+  const executor = createExecutor(async () => ({ delivered: 3 }), new JobRunService(repository));
+
+  await executor.execute(job, { trigger: 'manual', runId: 'run-manual' });
+
+  const run = repository.runs.get('run-manual');
+  assert.equal(run.jobName, 'nightly');
+  assert.equal(run.trigger, 'manual');
+  assert.equal(run.instanceId, 'test');
+  assert.equal(run.outcome, 'succeeded');
+  assert.deepEqual(run.result, { delivered: 3 });
+});
+
+test('a failed run keeps its error message', async () => {
+  const repository = memoryRunRepository();
+  const executor = createExecutor(async () => { throw new Error('upstream down'); }, new JobRunService(repository));
+
+  await executor.execute(job);
+
+  const [run] = repository.runs.values();
+  assert.equal(run.outcome, 'failed');
+  assert.equal(run.error.message, 'upstream down');
+  assert.equal(run.attempts, 1);
+});
+
+test('the job still runs when its history cannot be written', async () => {
+  const repository = memoryRunRepository();
+  repository.create = async () => { throw new Error('database unavailable'); };
+  let executed = 0;
+  const executor = createExecutor(async () => { executed++; }, new JobRunService(repository));
+
+  await executor.execute(job);
+  assert.equal(executed, 1);
+});
+
+test('run listings reject malformed filters and unknown jobs', async () => {
+  const queries = [];
+  const locals = {
+    jobService: { async getById(id) { if (id !== 'job-1') throw new Error('Job not found'); return job; } },
+    runService: { async getByJobId(id, options) { queries.push(options); return { runs: [] }; } }
+  };
+
+  for (const query of [{ outcome: 'exploded' }, { limit: '500' }, { from: 'yesterday' }]) {
+    const res = fakeResponse(locals);
+    await runController.listJobRuns({ params: { id: 'job-1' }, query }, res);
+    assert.equal(res.statusCode, 400, JSON.stringify(query));
+  }
+
+  const missing = fakeResponse(locals);
+  await runController.listJobRuns({ params: { id: 'job-2' }, query: {} }, missing);
+  assert.equal(missing.statusCode, 404);
+
+  const res = fakeResponse(locals);
+  await runController.listJobRuns({ params: { id: 'job-1' }, query: { outcome: 'failed', page: '2' } }, res);
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(queries, [{ outcome: 'failed', page: 2 }]);
+});
+
+test('an unknown run answers 404', async () => {
+  const res = fakeResponse({ runService: { async getById() { throw new Error('Job run not found'); } } });
+  await runController.getRun({ params: { runId: 'run-9' } }, res);
+  assert.equal(res.statusCode, 404);
+});
@@ -0,0 +1,152 @@
+/**
+ * Run queue admission: concurrency policies, worker limits, priorities and the queue bound.
+ * The executor is a stand-in whose runs finish when the test says so.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RunQueue, parseTypeLimits } from '../src/scheduler/run-queue.js';
+
+function fakeExecutor() {
+  const executor = {
+    started: [],
+    running: [],
+    cancelled: [],
+    notStarted: [],
+    execute(job) {
+      executor.started.push(job.name);
+      return new Promise(resolve => executor.running.push({ name: job.name, finish: resolve }));
+    },
+    cancelJob(jobId, reason) {
+      executor.cancelled.push({ jobId, reason });
+      return [];
+    },
+    recordNotStarted(job, options, outcome, reason) {
+      executor.notStarted.push({ name: job.name, runId: options.runId, outcome, reason });
+    },
+    // Let the run of `name` finish and the queue dispatch what comes next
+    async finish(name) {
+      const index = executor.running.findIndex(run => run.name === name);
+      executor.running.splice(index, 1)[0].finish();
+      await new Promise(resolve => setImmediate(resolve));
+    }
+  };
+  return executor;
+}
+
+let nextId = 0;
+function job(name, fields = {}) {
+  return { _id: `job-${name}-${nextId++}`, name, type: 'http', ...fields };
+}
+
+test('type limits are parsed from "type=limit" pairs', () => {
+  assert.deepEqual(parseTypeLimits('http=5, email=2,bad=x,zero=0'), { http: 5, email: 2 });
+  assert.deepEqual(parseTypeLimits(''), {});
+  assert.deepEqual(parseTypeLimits({ http: 1 }), { http: 1 });
+});
+
+test('queued runs start by priority, then in submission order', async () => {
+  const executor = fakeExecutor();
+  const queue = new RunQueue(executor, { maxConcurrent: 1 });
+
+  queue.execute(job('first'));
+  queue.execute(job('low'));
+  queue.execute(job('high', { priority: 5 }));
+  queue.execute(job('low-later'));
+  assert.deepEqual(executor.started, ['first']);
+  assert.equal(queue.getStatus().depth, 3);
+
+  await executor.finish('first');
+  await executor.finish('high');
+  await executor.finish('low');
+  assert.deepEqual(executor.started, ['first', 'high', 'low', 'low-later']);
+});
+
+test('a run resolves as started once it finishes', async () => {
+  const executor = fakeExecutor();
+  const queue = new RunQueue(executor);
+  const result = queue.execute(job('only'));
+  await executor.finish('only');
+  assert.deepEqual(await result, { started: true });
+});
+
+test('a type at its limit waits while other types keep running', async () => {
+  const executor = fakeExecutor();
+  const queue = new RunQueue(executor, { maxConcurrent: 5, typeLimits: 'http=1' });
+
+  queue.execute(job('http-1'));
+  queue.execute(job('http-2'));
+  queue.execute(job('mail', { type: 'email' }));
+  assert.deepEqual(executor.started, ['http-1', 'mail']);
+
+  await executor.finish('http-1');
+  assert.deepEqual(executor.started, ['http-1', 'mail', 'http-2']);
+});
+
+test('"forbid" skips a run while the previous one is active and records manual runs', async () => {
+  const executor = fakeExecutor();
+  const queue = new RunQueue(executor);
+  const forbidden = job('forbidden', { concurrencyPolicy: 'forbid' });
+
+  queue.execute(forbidden);
+  const skipped = await queue.execute(forbidden, { runId: 'run-2', trigger: 'manual' });
+
+  assert.equal(skipped.started, false);
+  assert.equal(skipped.outcome, 'skipped');
+  assert.deepEqual(executor.started, ['forbidden']);
+  assert.deepEqual(executor.notStarted.map(entry => [entry.runId, entry.outcome]), [['run-2', 'skipped']]);
+
+  await executor.finish('forbidden');
+  queue.execute(forbidden);
+  assert.deepEqual(executor.started, ['forbidden', 'forbidden']);
+});
+
+test('"replace" drops queued runs of the job and cancels its running one', async () => {
+  const executor = fakeExecutor();
+  const queue = new RunQueue(executor, { maxConcurrent: 1 });
+  const replaced = job('replaced', { concurrencyPolicy: 'replace' });
+
+  queue.execute(replaced);
+  const queued = queue.execute(replaced);
+  queue.execute(replaced);
+
+  const dropped = await queued;
+  assert.equal(dropped.outcome, 'cancelled');
+  assert.equal(dropped.reason, 'Replaced by a newer run');
+  assert.equal(executor.cancelled.length, 2);
+  assert.equal(executor.cancelled[0].jobId, replaced._id);
+  assert.equal(queue.getStatus().depth, 1);
+});
+
+test('runs beyond maxQueued are skipped instead of queued', async () => {
+  const executor = fakeExecutor();
+  const queue = new RunQueue(executor, { maxConcurrent: 1, maxQueued: 1 });
+
+  queue.execute(job('running'));
+  queue.execute(job('waiting'));
+  const rejected = await queue.execute(job('rejected'), { runId: 'run-3' });
+
+  assert.deepEqual(rejected, { started: false, outcome: 'skipped', reason: 'Run queue is full' });
+  assert.equal(queue.getStatus().rejected, 1);
+  assert.deepEqual(executor.notStarted.map(entry => entry.runId), ['run-3']);
+
+  await executor.finish('running');
+  assert.deepEqual(executor.started, ['running', 'waiting']);
+});
+
+test('dropped and cleared runs resolve as cancelled without starting', async () => {
+  const executor = fakeExecutor();
+  const queue = new RunQueue(executor, { maxConcurrent: 1 });
+  const dropped = job('dropped');
+
+  queue.execute(job('running'));
+  const droppedRun = queue.execute(dropped);
+  const clearedRun = queue.execute(job('cleared'));
+
+  assert.equal(queue.dropQueued(dropped._id, 'Job unscheduled'), 1);
+  assert.deepEqual(await droppedRun, { started: false, outcome: 'cancelled', reason: 'Job unscheduled' });
+
+  assert.equal(queue.clear(), 1);
+  assert.deepEqual(await clearedRun, { started: false, outcome: 'cancelled', reason: 'Scheduler shut down' });
+  assert.deepEqual(executor.started, ['running']);
+});
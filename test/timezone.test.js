@@ -0,0 +1,55 @@
+/**
+ * Per-job timezones: zone validation, local formatting, and cron schedules that keep their
+ * wall-clock time across daylight saving changes.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isValidTimezone, resolveTimezone, formatInTimezone, DEFAULT_TIMEZONE } from '../src/core/timezone.js';
+import { parseCron } from '../src/core/cron.js';
+import { JobValidator } from '../src/database/job-validator.js';
+import Job from '../src/database/job-model.js';
+
+const validator = new JobValidator();
+
+test('only IANA zone names are valid timezones', () => {
+  assert.equal(isValidTimezone('Europe/Berlin'), true);
+  assert.equal(isValidTimezone('UTC'), true);
+  assert.equal(isValidTimezone('Mars/Olympus_Mons'), false);
+  assert.equal(isValidTimezone(''), false);
+  assert.equal(isValidTimezone(42), false);
+
+  assert.throws(() => validator.validateTimezone('Europe/Atlantis'), /Invalid timezone/);
+});
+
+test('jobs without a timezone use the default zone', () => {
+  assert.equal(resolveTimezone({ timezone: 'Asia/Tokyo' }), 'Asia/Tokyo');
+  assert.equal(resolveTimezone({}), DEFAULT_TIMEZONE);
+});
+
+test('dates are formatted with the offset of the zone', () => {
+  const date = new Date('2024-03-11T13:00:00.000Z');
+  assert.equal(formatInTimezone(date, 'America/New_York'), '2024-03-11T09:00:00.000-04:00');
+  assert.equal(formatInTimezone(date, 'Europe/Berlin'), '2024-03-11T14:00:00.000+01:00');
+  assert.equal(formatInTimezone(null, 'UTC'), null);
+});
+
+test('a cron schedule keeps its local time across a daylight saving change', () => {
+  // New York moved to daylight saving time on 2024-03-10
+  const interval = parseCron('0 9 * * *', { timezone: 'America/New_York', currentDate: new Date('2024-03-08T12:00:00Z') });
+  const runs = [1, 2, 3].map(() => interval.next().toDate().toISOString());
+  assert.deepEqual(runs, ['2024-03-08T14:00:00.000Z', '2024-03-09T14:00:00.000Z', '2024-03-10T13:00:00.000Z']);
+});
+
+test('a job shows its run times in its own zone', () => {
+  const job = new Job({
+    name: 'morning', description: 'Morning reminder', cronSchedule: '0 9 * * *', type: 'reminder',
+    timezone: 'Asia/Kolkata', nextRun: new Date('2024-06-01T03:30:00.000Z')
+  });
+  const json = job.toJSON();
+  assert.equal(json.nextRunLocal, '2024-06-01T09:00:00.000+05:30');
+  assert.equal(json.lastRunLocal, null);
+
+  const nextRun = validator.calculateJobNextRun(job);
+  assert.equal(formatInTimezone(nextRun, 'Asia/Kolkata').slice(11, 16), '09:00');
+});
@@ -0,0 +1,102 @@
+/**
+ * Job dependencies: ordering the dependency graph, trigger conditions, and the coordinator
+ * starting a dependent job once, after all of its upstream jobs in the workflow run.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { workflowNodeIds, inDependencyOrder } from '../src/scheduler/workflow-graph.js';
+import { WorkflowCoordinator } from '../src/scheduler/workflow-coordinator.js';
+
+// extract -> (clean, enrich) -> load, plus an unrelated job
+const nodes = [
+  { _id: 'load', name: 'load', dependsOn: ['clean', 'enrich'], status: 'active' },
+  { _id: 'clean', name: 'clean', dependsOn: ['extract'], status: 'active' },
+  { _id: 'enrich', name: 'enrich', dependsOn: ['extract'], status: 'active' },
+  { _id: 'extract', name: 'extract', dependsOn: [], status: 'active' },
+  { _id: 'audit', name: 'audit', dependsOn: [], status: 'active' }
+];
+
+test('a workflow lists the root and its downstream jobs, upstream first', () => {
+  assert.deepEqual(workflowNodeIds('extract', nodes), ['extract', 'clean', 'enrich', 'load']);
+  assert.deepEqual(workflowNodeIds('enrich', nodes), ['enrich', 'load']);
+  assert.deepEqual(inDependencyOrder(nodes).map(node => node._id), ['extract', 'audit', 'clean', 'enrich', 'load']);
+});
+
+test('trigger conditions decide on the finished upstream runs', () => {
+  const coordinator = new WorkflowCoordinator({}, {}, {});
+  const succeeded = { outcome: 'succeeded' };
+  const failed = { outcome: 'failed' };
+  const skipped = { outcome: 'skipped' };
+  const decide = (triggerCondition, runs, status = 'active') => coordinator.decide({ triggerCondition, status }, runs).run;
+
+  assert.equal(decide('on-success', [succeeded, succeeded]), true);
+  assert.equal(decide('on-success', [succeeded, failed]), false);
+  assert.equal(decide('on-failure', [succeeded, failed]), true);
+  assert.equal(decide('on-failure', [succeeded, succeeded]), false);
+  assert.equal(decide('on-failure', [failed, skipped]), false);
+  assert.equal(decide('always', [failed, skipped]), true);
+  assert.equal(decide('always', [skipped, skipped]), false);
+  assert.equal(decide('on-success', [succeeded], 'paused'), false);
+});
+
+test('a job with two upstream jobs starts once, after both finished', async () => {
+  const workflowRunId = new mongoose.Types.ObjectId();
+  const runs = [{ _id: workflowRunId, jobId: 'extract', outcome: 'succeeded', workflowRunId, startedAt: new Date() }];
+  const started = [];
+  const jobService = {
+    async getDependents(id) { return nodes.filter(node => node.dependsOn.includes(id.toString())); },
+    async getDependencyGraph() { return nodes; }
+  };
+  const runService = { async getByWorkflowRunId() { return runs; } };
+  const executor = { async execute(job, options) { started.push({ name: job.name, ...options }); } };
+  const coordinator = new WorkflowCoordinator(jobService, runService, executor);
+
+  const finish = async (jobId, outcome) => {
+    const run = { _id: new mongoose.Types.ObjectId(), jobId, outcome, workflowRunId, startedAt: new Date() };
+    runs.push(run);
+    await coordinator.handleRunFinished(nodes.find(node => node._id === jobId), run);
+  };
+
+  await coordinator.handleRunFinished(nodes[3], runs[0]);
+  assert.deepEqual(started.map(run => run.name), ['clean', 'enrich']);
+  assert.ok(started.every(run => run.trigger === 'dependency' && run.workflowRunId === workflowRunId));
+
+  await finish('clean', 'succeeded');
+  assert.equal(started.length, 2); // load still waits for enrich
+
+  await finish('enrich', 'succeeded');
+  assert.deepEqual(started.map(run => run.name), ['clean', 'enrich', 'load']);
+});
+
+test('a skipped job is recorded and its own dependents decide on the skip', async () => {
+  const workflowRunId = new mongoose.Types.ObjectId();
+  const runs = [{ _id: workflowRunId, jobId: 'clean', outcome: 'failed', workflowRunId, startedAt: new Date() }];
+  const graph = [
+    { _id: 'clean', name: 'clean', dependsOn: [], status: 'active' },
+    { _id: 'report', name: 'report', dependsOn: ['clean'], triggerCondition: 'on-success', status: 'active' },
+    { _id: 'notify', name: 'notify', dependsOn: ['report'], triggerCondition: 'always', status: 'active' }
+  ];
+  const skipped = [];
+  const jobService = {
+    async getDependents(id) { return graph.filter(node => node.dependsOn.includes(id.toString())); },
+    async getDependencyGraph() { return graph; }
+  };
+  const runService = {
+    async getByWorkflowRunId() { return runs; },
+    async recordSkipped(job, { reason }) {
+      const run = { _id: new mongoose.Types.ObjectId(), jobId: job._id, outcome: 'skipped', workflowRunId };
+      runs.push(run);
+      skipped.push({ name: job.name, reason });
+      return run;
+    }
+  };
+  const coordinator = new WorkflowCoordinator(jobService, runService, { async execute() { throw new Error('nothing should run'); } });
+
+  await coordinator.handleRunFinished(graph[0], runs[0]);
+  assert.deepEqual(skipped, [
+    { name: 'report', reason: 'An upstream job did not succeed' },
+    { name: 'notify', reason: 'Every upstream job was skipped' }
+  ]);
+});